@@ -16,13 +16,17 @@ function showHelp() {
 Usage: antigravity-openai-adapter <command> [options]
 
 Commands:
-  startStart the adapter server
+  start               Start the adapter server
+  replay <file...>    Re-run the converters on recorded exchanges and diff the output
+                      (--update stores the new output in the files)
 
 Options:
   --port=<port>        Port to listen on (default: 8081)
   --upstream=<url>     Upstream antigravity-claude-proxy URL
                 (default: http://localhost:8080)
   --debug              Enable debug logging
+  --record=<dir>       Record every exchange to <dir> (for replay)
+  --log-json           Write logs as JSON lines
   --no-proxy           Disable automatic starting of antigravity-claude-proxy
   --help, -h           Show this help message
 
@@ -30,10 +34,46 @@ Environment Variables:
   PORT Server port
   UPSTREAM_URL         Upstream proxy URL
   ANTHROPIC_BASE_URL   Alternative to UPSTREAM_URL
+  UPSTREAM_URLS        Several upstream URLs to balance across, comma-separated
+  UPSTREAM_STRATEGY    round-robin or least-in-flight (default: round-robin)
+  SESSION_AFFINITY=true Pin sessions (x-session-id, user) to one upstream
   API_KEY              API key for this adapter (optional)
+  API_KEYS_FILE        JSON file with named API keys (reloaded on change)
+  ADMIN_API_KEY        Key for the /admin endpoints (usage reports)
+  USAGE_LEDGER_FILE    Write a usage ledger (JSONL) to this file
   UPSTREAM_API_KEY     API key for upstream proxy
   ANTHROPIC_AUTH_TOKEN Alternative to UPSTREAM_API_KEY
   AUTO_START_PROXY=false Disable automatic starting of proxy
+  DEFAULT_MODEL        Model used when a request does not name one
+  MODEL_ALIASES        Model aliases, JSON or alias=model,alias2=model2
+  MODEL_FALLBACKS      Fallback chains, JSON or model=fallback1|fallback2
+  REASONING_EFFORT_BUDGETS Thinking budget per reasoning_effort, JSON or low=4096,high=24000
+  THINKING_BUDGETS     Default thinking budget per model, JSON or model=budget
+  REASONING_STYLE      Thinking in chat responses: reasoning_content, think or hidden
+  PROMPT_CACHING       Prompt caching breakpoints: auto, system or off (default: auto)
+  REQUEST_TIMEOUT      Total upstream timeout in ms (default: 120000)
+  FIRST_BYTE_TIMEOUT   Upstream first stream event timeout in ms (default: 60000)
+  IDLE_TIMEOUT         Upstream stream idle timeout in ms (default: 60000)
+  MAX_RETRIES          Retries for transient upstream failures (default: 2)
+  RATE_LIMIT_RPM       Default requests per minute per API key (default: 0, unlimited)
+  RATE_LIMIT_TPM       Default tokens per minute per API key (default: 0, unlimited)
+  MAX_CHOICES          Maximum choices/prompts per request (default: 8)
+  LOG_LEVEL            Minimum log level: debug, info, warn, error, silent (default: info)
+  LOG_FORMAT           Log output: text or json (default: text)
+  FETCH_IMAGES=true    Download image URLs and send them upstream inline
+  IMAGE_MAX_BYTES      Largest image downloaded in bytes (default: 5242880)
+  IMAGE_FETCH_TIMEOUT  Image download timeout in ms (default: 10000)
+  FILES_DIR            Files API storage directory
+  FILES_QUOTA          Files API storage limit in bytes, 0 for none (default: 1073741824)
+  FILE_MAX_BYTES       Largest file upload in bytes (default: 52428800)
+  BATCH_OUTPUT_QUOTA   Batch output files storage limit in bytes, 0 for none (default: 1073741824)
+  BATCHES_DIR          Batch API state directory
+  BATCH_CONCURRENCY    Requests of a batch run at the same time (default: 4)
+  RESPONSE_CACHE=true  Cache responses to temperature 0 chat requests
+  RESPONSE_CACHE_TTL   Lifetime of cached responses in ms (default: 86400000)
+  RESPONSE_CACHE_FILE  Persist the response cache to this file
+  RESPONSE_CACHE_SHARED=true Share cached responses across API keys
+  RECORD_DIR           Record every exchange to this directory (for replay)
   DEBUG=true           Enable debug mode
 
 Examples:
@@ -46,11 +86,53 @@ Examples:
   # Start with custom upstream
   antigravity-openai-adapter start --upstream=http://localhost:9000
 
+  # Record traffic, then replay a recording against the current converters
+  antigravity-openai-adapter start --record=./recordings
+  antigravity-openai-adapter replay ./recordings/*.json
+
   # Using npx
   npx antigravity-openai-adapter start
 `);
 }
 
+/**
+ * Replay recorded exchanges and report differences
+ * @param {Array<string>} replayArgs - Recording files and flags
+ */
+async function replay(replayArgs) {
+    const files = replayArgs.filter(arg => !arg.startsWith('--'));
+    const update = replayArgs.includes('--update');
+
+    if (files.length === 0) {
+        console.error('Usage: antigravity-openai-adapter replay <file...> [--update]');
+        process.exit(1);
+    }
+
+    const { replayFile } = await import('../src/replay.js');
+    let failed = 0;
+
+    for (const file of files) {
+        const { recording, choices } = await replayFile(file, { update });
+        console.log(`${file} (${recording.endpoint}, ${recording.stream ? 'stream' : 'non-stream'}, status ${recording.status})`);
+
+        for (const choice of choices) {
+            const summary = `  choice ${choice.index}: ${choice.events} upstream event(s) -> ${choice.outputs} output(s)`;
+            if (choice.differences.length === 0) {
+                console.log(`${summary} OK`);
+                continue;
+            }
+
+            console.log(`${summary} ${choice.differences.length} difference(s)${update ? ', updated' : ''}`);
+            for (const difference of choice.differences) {
+                console.log(`    ${difference}`);
+            }
+            if (!update) failed++;
+        }
+    }
+
+    process.exit(failed > 0 ? 1 : 0);
+}
+
 async function main() {
     if (!command || command === '--help' || command === '-h') {
         showHelp();
@@ -60,6 +142,8 @@ async function main() {
     if (command === 'start') {
         // Import and start the server
         await import('../src/index.js');
+    } else if (command === 'replay') {
+        await replay(args.slice(1));
     } else {
         console.error(`Unknown command: ${command}`);
         showHelp();
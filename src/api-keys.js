@@ -0,0 +1,229 @@
+/**
+ * API key store
+ * Named client keys with optional model allowlists and expiry, loaded from config
+ * (apiKey, apiKeys) and from a keys file that is reloaded when it changes
+ */
+
+import crypto from 'crypto';
+import { readFileSync, existsSync, watchFile } from 'fs';
+import { config } from './config.js';
+import { logger } from './utils/logger.js';
+import { matchModelPattern } from './utils/model-aliases.js';
+
+let keys = [];
+let loaded = false;
+
+/**
+ * Hash a key so comparisons always run on equal-length buffers
+ * @param {string} key - API key
+ * @returns {Buffer}
+ */
+function hashKey(key) {
+    return crypto.createHash('sha256').update(String(key)).digest();
+}
+
+/**
+ * Normalize a key entry from config or the keys file
+ * @param {Object|string} entry - Key entry, or a bare key string
+ * @param {number} index - Position in its list (to name it in warnings)
+ * @returns {Object|null}
+ */
+function normalizeKey(entry, index) {
+    const raw = typeof entry === 'string' ? { key: entry } : entry;
+    if (!raw?.key) {
+        logger.warn(`[Auth] Ignoring API key entry #${index + 1} without a key`);
+        return null;
+    }
+
+    const expiresAt = raw.expiresAt ? Date.parse(raw.expiresAt) : null;
+    if (Number.isNaN(expiresAt)) {
+        logger.warn(`[Auth] Ignoring API key "${raw.label || index + 1}" with invalid expiresAt`);
+        return null;
+    }
+
+    const hash = hashKey(String(raw.key).trim());
+    return {
+        hash,
+        // The label owns rate limits, budgets, files and batches - the default one is derived from the key,
+        // so reordering keys never hands them to another key
+        label: raw.label || `key-${hash.toString('hex').substring(0, 12)}`,
+        models: Array.isArray(raw.models) && raw.models.length > 0 ? raw.models : null,
+        expiresAt,
+        // Per-key rate limits, null falls back to the global defaults
+        rpm: raw.rpm ?? null,
+        tpm: raw.tpm ?? null,
+        // Optional token budget per day, month (default) or in total
+        tokenBudget: raw.tokenBudget || null,
+        budgetPeriod: raw.budgetPeriod || 'month',
+        // Reasoning output style, null falls back to reasoningStyle
+        reasoningStyle: raw.reasoningStyle || null,
+        metadata: raw.metadata || {}
+    };
+}
+
+/**
+ * Read the keys file
+ * @returns {Array} - Raw key entries
+ */
+function readKeysFile() {
+    if (!config.apiKeysFile || !existsSync(config.apiKeysFile)) {
+        return [];
+    }
+
+    const data = JSON.parse(readFileSync(config.apiKeysFile, 'utf-8'));
+    return Array.isArray(data) ? data : data.keys || [];
+}
+
+/**
+ * Read and normalize the keys of config and the keys file
+ * @returns {{ list: Array<Object>, secrets: Array<string> }} - Normalized keys and the key values
+ */
+function readApiKeys() {
+    const entries = [
+        ...(config.apiKey ? [{ key: config.apiKey, label: 'default' }] : []),
+        ...(config.apiKeys || []),
+        ...readKeysFile()
+    ];
+    const list = entries.map(normalizeKey).filter(Boolean);
+
+    const labels = list.map(key => key.label);
+    const duplicates = [...new Set(labels.filter((label, i) => labels.indexOf(label) !== i))];
+    if (duplicates.length > 0) {
+        throw new Error(`Duplicate API key labels: ${duplicates.join(', ')} (every key needs its own label)`);
+    }
+
+    const secrets = entries
+        .map(entry => String((typeof entry === 'string' ? entry : entry?.key) || '').trim())
+        .filter(Boolean);
+    return { list, secrets };
+}
+
+/**
+ * (Re)load all API keys from config and the keys file
+ * Invalid keys (unparseable keys file, duplicate labels) stop the startup, a reload keeps the current keys
+ */
+export function loadApiKeys() {
+    let loadedKeys;
+    try {
+        loadedKeys = readApiKeys();
+    } catch (e) {
+        if (!loaded) {
+            throw new Error(`[Auth] Failed to load API keys: ${e.message}`);
+        }
+        logger.error(`[Auth] Failed to load API keys, keeping current keys: ${e.message}`);
+        return;
+    }
+
+    keys = loadedKeys.list;
+    loaded = true;
+    // Key values are redacted from logs wherever they show up, not only in auth headers
+    logger.setSecrets(loadedKeys.secrets);
+    logger.info(`[Auth] Loaded ${keys.length} API key(s)`);
+
+    const shortKeys = loadedKeys.secrets.filter(secret => secret.length < 8).length;
+    if (shortKeys > 0) {
+        logger.warn(`[Auth] ${shortKeys} API key(s) shorter than 8 characters, too short to be redacted from logs`);
+    }
+}
+
+/**
+ * Reload keys when the keys file changes or the process receives SIGHUP
+ */
+export function watchApiKeys() {
+    if (config.apiKeysFile) {
+        watchFile(config.apiKeysFile, { interval: 2000 }, () => {
+            logger.info(`[Auth] ${config.apiKeysFile} changed, reloading API keys`);
+            loadApiKeys();
+        });
+    }
+
+    process.on('SIGHUP', () => {
+        logger.info('[Auth] SIGHUP received, reloading API keys');
+        loadApiKeys();
+    });
+}
+
+/**
+ * Whether any API key is configured (authentication is skipped otherwise)
+ * @returns {boolean}
+ */
+export function hasApiKeys() {
+    return keys.length > 0;
+}
+
+/**
+ * Find the key matching a provided secret
+ * Every configured key is compared in constant time, so timing reveals nothing about matches
+ * @param {string} providedKey - Key sent by the client
+ * @returns {{ key: Object|null, error: string|null }}
+ */
+export function authenticateKey(providedKey) {
+    if (!providedKey) {
+        return { key: null, error: 'Invalid or missing API key' };
+    }
+
+    const providedHash = hashKey(providedKey);
+    let match = null;
+    for (const key of keys) {
+        if (crypto.timingSafeEqual(key.hash, providedHash) && !match) {
+            match = key;
+        }
+    }
+
+    if (!match) {
+        return { key: null, error: 'Invalid or missing API key' };
+    }
+    if (match.expiresAt && match.expiresAt <= Date.now()) {
+        return { key: null, error: `API key "${match.label}" has expired` };
+    }
+
+    return { key: match, error: null };
+}
+
+/**
+ * Find a key by its label (for work done after the request that authenticated it, like batches)
+ * @param {string} label - Key label
+ * @returns {Object|null} - The key, null when it no longer exists or has expired
+ */
+export function findKeyByLabel(label) {
+    const key = keys.find(candidate => candidate.label === label);
+    return key && !(key.expiresAt && key.expiresAt <= Date.now()) ? key : null;
+}
+
+/**
+ * Check the admin key (for the /admin endpoints)
+ * @param {string} providedKey - Key sent by the client
+ * @returns {boolean}
+ */
+export function isAdminKey(providedKey) {
+    if (!config.adminApiKey || !providedKey) {
+        return false;
+    }
+    return crypto.timingSafeEqual(hashKey(String(config.adminApiKey).trim()), hashKey(providedKey));
+}
+
+/**
+ * Check a key's model allowlist
+ * @param {Object} [key] - Authenticated key (no key means authentication is disabled)
+ * @param {...string} models - Model names for the request (requested and resolved), any match allows it
+ * @returns {boolean}
+ */
+export function isModelAllowed(key, ...models) {
+    if (!key?.models) {
+        return true;
+    }
+    return models.some(model => model && key.models.some(pattern => matchModelPattern(pattern, model)));
+}
+
+// Load once at startup, like the alias table - watchApiKeys() keeps the list current
+loadApiKeys();
+
+export default {
+    loadApiKeys,
+    watchApiKeys,
+    hasApiKeys,
+    authenticateKey,
+    findKeyByLabel,
+    isAdminKey,
+    isModelAllowed
+};
\ No newline at end of file
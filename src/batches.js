@@ -0,0 +1,619 @@
+/**
+ * Batch API
+ * Runs batches of Chat Completions requests (/v1/batches) read from a JSONL file of the Files API, in a
+ * background worker with bounded concurrency - batch state and finished requests are kept in batchesDir so
+ * unfinished batches resume after a restart, results end up in JSONL output and error files
+ */
+
+import crypto from 'crypto';
+import { existsSync, mkdirSync, readdirSync, readFileSync } from 'fs';
+import { readFile, writeFile, appendFile, rename, unlink } from 'fs/promises';
+import { join } from 'path';
+import { config } from './config.js';
+import { logger, runWithLogContext } from './utils/logger.js';
+import { createErrorResponse } from './format/anthropic-to-openai.js';
+import { createFile, getFile, readFileContent } from './file-store.js';
+import { findKeyByLabel } from './api-keys.js';
+
+export const BATCH_ENDPOINTS = ['/v1/chat/completions'];
+export const BATCH_COMPLETION_WINDOWS = ['24h'];
+
+const COMPLETION_WINDOW = 24 * 60 * 60;
+
+// Input validation reports at most this many problems
+const MAX_VALIDATION_ERRORS = 100;
+
+// Statuses of batches the worker has not finished
+const ACTIVE_STATUSES = ['validating', 'in_progress', 'finalizing', 'cancelling'];
+
+// id -> batch (OpenAI batch object plus owner), in creation order
+const batches = new Map();
+// Ids of the batches waiting for the worker
+const queue = [];
+// Writes of a batch's files are chained so they land in order (id -> promise)
+const writeChains = new Map();
+
+let executeRequest = null;
+let running = false;
+
+/**
+ * Load the stored batches
+ */
+function loadBatches() {
+    if (!existsSync(config.batchesDir)) {
+        return;
+    }
+
+    const loaded = [];
+    for (const name of readdirSync(config.batchesDir).filter(name => name.endsWith('.json'))) {
+        try {
+            loaded.push(JSON.parse(readFileSync(join(config.batchesDir, name), 'utf-8')));
+        } catch (e) {
+            logger.warn(`[Batches] Ignoring unreadable batch ${name}: ${e.message}`);
+        }
+    }
+    loaded
+        .sort((a, b) => a.created_at - b.created_at)
+        .forEach(batch => batches.set(batch.id, batch));
+
+    if (batches.size > 0) {
+        logger.info(`[Batches] Loaded ${batches.size} batches from ${config.batchesDir}`);
+    }
+}
+
+loadBatches();
+
+/**
+ * Create a Batch API error
+ * @param {string} message - Error message
+ * @param {string} [param] - Offending parameter
+ * @returns {Error}
+ */
+function createBatchError(message, param = null) {
+    const error = new Error(message);
+    error.status = 400;
+    error.type = 'invalid_request_error';
+    error.param = param;
+    return error;
+}
+
+/**
+ * Current time in seconds, as used by batch timestamps
+ * @returns {number}
+ */
+function now() {
+    return Math.floor(Date.now() / 1000);
+}
+
+/**
+ * Strip the internal fields of a batch
+ * @param {Object} batch - Stored batch
+ * @returns {Object} - OpenAI batch object
+ */
+function toBatchObject(batch) {
+    const { owner, ...batchObject } = batch;
+    return batchObject;
+}
+
+/**
+ * Get a batch owned by the caller
+ * @param {string} id - Batch id
+ * @param {string|null} owner - Label of the caller's API key (null without API keys)
+ * @returns {Object|null}
+ */
+function getOwnedBatch(id, owner) {
+    const batch = batches.get(id);
+    return batch && batch.owner === owner ? batch : null;
+}
+
+/**
+ * Path of a batch's partial results
+ * @param {Object} batch - Batch
+ * @param {string} kind - 'output' or 'errors'
+ * @returns {string}
+ */
+function getResultsPath(batch, kind) {
+    return join(config.batchesDir, `${batch.id}.${kind}.jsonl`);
+}
+
+/**
+ * Run a write of a batch's files after its earlier ones
+ * @param {Object} batch - Batch
+ * @param {Function} write - Returns a promise
+ * @returns {Promise<void>}
+ */
+function chainWrite(batch, write) {
+    const chain = (writeChains.get(batch.id) || Promise.resolve()).then(write);
+    writeChains.set(batch.id, chain.catch(() => {}));
+    return chain;
+}
+
+/**
+ * Persist the current state of a batch
+ * @param {Object} batch - Batch
+ * @returns {Promise<void>}
+ */
+function saveBatch(batch) {
+    const data = JSON.stringify(batch);
+    const path = join(config.batchesDir, `${batch.id}.json`);
+    return chainWrite(batch, async () => {
+        mkdirSync(config.batchesDir, { recursive: true });
+        // Written aside then renamed, a crash never leaves a truncated state file
+        await writeFile(`${path}.tmp`, data);
+        await rename(`${path}.tmp`, path);
+    });
+}
+
+/**
+ * Append a result line to a batch's partial results
+ * @param {Object} batch - Batch
+ * @param {string} kind - 'output' or 'errors'
+ * @param {Object} line - Result line
+ * @returns {Promise<void>}
+ */
+function appendResult(batch, kind, line) {
+    return chainWrite(batch, () => appendFile(getResultsPath(batch, kind), JSON.stringify(line) + '\n'));
+}
+
+/**
+ * Read a batch's partial results
+ * @param {Object} batch - Batch
+ * @param {string} kind - 'output' or 'errors'
+ * @returns {Promise<Array<Object>>} - Result lines
+ */
+async function readResults(batch, kind) {
+    let data;
+    try {
+        data = await readFile(getResultsPath(batch, kind), 'utf-8');
+    } catch (e) {
+        if (e.code === 'ENOENT') return [];
+        throw e;
+    }
+
+    const lines = [];
+    for (const text of data.split('\n')) {
+        try {
+            if (text.trim()) lines.push(JSON.parse(text));
+        } catch (e) {
+            // A line cut short by a crash is run again
+        }
+    }
+    return lines;
+}
+
+/**
+ * Parse and validate a batch input file
+ * Every line is a request object: { custom_id, method: "POST", url: <the batch endpoint>, body }
+ * @param {Buffer} data - Input file content
+ * @param {string} endpoint - Endpoint of the batch
+ * @returns {{ requests: Array<{ custom_id: string, body: Object }>, errors: Array<Object> }}
+ */
+function parseBatchInput(data, endpoint) {
+    const requests = [];
+    const errors = [];
+    const customIds = new Set();
+
+    data.toString('utf-8').split('\n').forEach((text, i) => {
+        if (!text.trim()) return;
+        const fail = (code, message, param = null) => errors.push({ code, message, param, line: i + 1 });
+
+        let request;
+        try {
+            request = JSON.parse(text);
+        } catch (e) {
+            return fail('invalid_json_line', 'This line is not parseable as valid JSON.');
+        }
+        if (!request || typeof request !== 'object' || Array.isArray(request)) {
+            return fail('invalid_request', 'Each line must be a JSON object.');
+        }
+        if (typeof request.custom_id !== 'string' || !request.custom_id) {
+            return fail('missing_required_parameter', 'custom_id is required and must be a string', 'custom_id');
+        }
+        if (customIds.has(request.custom_id)) {
+            return fail('duplicate_custom_id', `The custom_id ${request.custom_id} is used by more than one request`, 'custom_id');
+        }
+        if (request.method !== 'POST') {
+            return fail('invalid_method', 'method must be POST', 'method');
+        }
+        if (request.url !== endpoint) {
+            return fail('mismatched_url', `url must be ${endpoint}, the endpoint of the batch`, 'url');
+        }
+        if (!request.body || typeof request.body !== 'object' || Array.isArray(request.body)) {
+            return fail('missing_required_parameter', 'body is required and must be an object', 'body');
+        }
+
+        customIds.add(request.custom_id);
+        requests.push({ custom_id: request.custom_id, body: request.body });
+    });
+
+    if (errors.length === 0 && requests.length === 0) {
+        errors.push({ code: 'empty_file', message: 'The input file has no requests', param: null, line: null });
+    }
+    if (requests.length > config.batchMaxRequests) {
+        errors.push({ code: 'too_many_requests', message: `A batch can hold at most ${config.batchMaxRequests} requests`, param: null, line: null });
+    }
+    return { requests, errors: errors.slice(0, MAX_VALIDATION_ERRORS) };
+}
+
+/**
+ * Create a batch and queue it for the worker
+ * @param {Object} params
+ * @param {string} params.input_file_id - JSONL file of requests (uploaded with purpose "batch")
+ * @param {string} params.endpoint - Endpoint every request targets (BATCH_ENDPOINTS)
+ * @param {string} params.completion_window - Time frame to process the batch in (BATCH_COMPLETION_WINDOWS)
+ * @param {Object} [params.metadata] - Key-value pairs kept with the batch
+ * @param {string|null} owner - Label of the caller's API key
+ * @returns {Promise<Object>} - OpenAI batch object
+ */
+export async function createBatch({ input_file_id, endpoint, completion_window, metadata }, owner) {
+    if (!BATCH_ENDPOINTS.includes(endpoint)) {
+        throw createBatchError(`endpoint must be one of: ${BATCH_ENDPOINTS.join(', ')}`, 'endpoint');
+    }
+    if (!BATCH_COMPLETION_WINDOWS.includes(completion_window)) {
+        throw createBatchError(`completion_window must be one of: ${BATCH_COMPLETION_WINDOWS.join(', ')}`, 'completion_window');
+    }
+    if (metadata !== undefined && metadata !== null && (typeof metadata !== 'object' || Array.isArray(metadata))) {
+        throw createBatchError('metadata must be an object', 'metadata');
+    }
+
+    const inputFile = typeof input_file_id === 'string' ? getFile(input_file_id, owner) : null;
+    if (!inputFile) {
+        throw createBatchError(`No such File object: ${input_file_id}`, 'input_file_id');
+    }
+    if (inputFile.purpose !== 'batch') {
+        throw createBatchError(`File ${input_file_id} must be uploaded with purpose "batch"`, 'input_file_id');
+    }
+
+    const createdAt = now();
+    const batch = {
+        id: `batch_${crypto.randomBytes(12).toString('hex')}`,
+        object: 'batch',
+        endpoint,
+        errors: null,
+        input_file_id,
+        completion_window,
+        status: 'validating',
+        output_file_id: null,
+        error_file_id: null,
+        created_at: createdAt,
+        in_progress_at: null,
+        expires_at: createdAt + COMPLETION_WINDOW,
+        finalizing_at: null,
+        completed_at: null,
+        failed_at: null,
+        expired_at: null,
+        cancelling_at: null,
+        cancelled_at: null,
+        request_counts: { total: 0, completed: 0, failed: 0 },
+        metadata: metadata || null,
+        owner
+    };
+
+    await saveBatch(batch);
+    batches.set(batch.id, batch);
+    logger.info(`[Batches] Created ${batch.id} from ${input_file_id}`);
+
+    queue.push(batch.id);
+    runQueue();
+    return toBatchObject(batch);
+}
+
+/**
+ * List the caller's batches, newest first
+ * @param {string|null} owner - Label of the caller's API key
+ * @param {Object} [options]
+ * @param {number} [options.limit] - Page size (default 20)
+ * @param {string} [options.after] - Cursor, the last batch id of the previous page
+ * @returns {Object} - OpenAI list object
+ */
+export function listBatches(owner, { limit = 20, after } = {}) {
+    let list = [...batches.values()].filter(batch => batch.owner === owner).reverse();
+
+    if (after) {
+        const index = list.findIndex(batch => batch.id === after);
+        list = index >= 0 ? list.slice(index + 1) : [];
+    }
+
+    const data = list.slice(0, limit).map(toBatchObject);
+    return {
+        object: 'list',
+        data,
+        first_id: data[0]?.id || null,
+        last_id: data[data.length - 1]?.id || null,
+        has_more: list.length > limit
+    };
+}
+
+/**
+ * Get one of the caller's batches
+ * @param {string} id - Batch id
+ * @param {string|null} owner - Label of the caller's API key
+ * @returns {Object|null} - OpenAI batch object
+ */
+export function getBatch(id, owner) {
+    const batch = getOwnedBatch(id, owner);
+    return batch ? toBatchObject(batch) : null;
+}
+
+/**
+ * Cancel one of the caller's batches
+ * Requests already sent upstream finish, the results so far are kept in the output and error files
+ * @param {string} id - Batch id
+ * @param {string|null} owner - Label of the caller's API key
+ * @returns {Promise<Object|null>} - OpenAI batch object (status cancelling), null when there is no such batch
+ */
+export async function cancelBatch(id, owner) {
+    const batch = getOwnedBatch(id, owner);
+    if (!batch) {
+        return null;
+    }
+
+    if (batch.status === 'validating' || batch.status === 'in_progress') {
+        batch.status = 'cancelling';
+        batch.cancelling_at = now();
+        await saveBatch(batch);
+        logger.info(`[Batches] Cancelling ${batch.id}`);
+    } else if (batch.status !== 'cancelling' && batch.status !== 'cancelled') {
+        throw createBatchError(`Cannot cancel a batch with status ${batch.status}`);
+    }
+    return toBatchObject(batch);
+}
+
+/**
+ * Start processing batches, resuming the ones a restart interrupted
+ * @param {Function} executor - Runs one request: (body, apiKey) => Promise<response body>,
+ *                              rejecting with an error that may carry status, type, code and param
+ */
+export function startBatchWorker(executor) {
+    executeRequest = executor;
+
+    for (const batch of batches.values()) {
+        if (ACTIVE_STATUSES.includes(batch.status) && !queue.includes(batch.id)) {
+            queue.push(batch.id);
+        }
+    }
+    if (queue.length > 0) {
+        logger.info(`[Batches] ${queue.length} unfinished batches queued`);
+    }
+    runQueue();
+}
+
+/**
+ * Process the queued batches one after the other
+ */
+async function runQueue() {
+    if (running || !executeRequest) {
+        return;
+    }
+
+    running = true;
+    try {
+        while (queue.length > 0) {
+            const batch = batches.get(queue.shift());
+            await runWithLogContext({ requestId: batch.id }, () => processBatch(batch));
+        }
+    } finally {
+        running = false;
+    }
+}
+
+/**
+ * Take a batch from its current status to a final one
+ * @param {Object} batch - Batch
+ */
+async function processBatch(batch) {
+    try {
+        if (batch.status === 'validating' || batch.status === 'in_progress') {
+            const requests = await readBatchInput(batch);
+            if (requests) {
+                await runRequests(batch, requests);
+            }
+        }
+
+        if (batch.status === 'finalizing') {
+            await finishBatch(batch, 'completed');
+        } else if (batch.status === 'cancelling') {
+            await finishBatch(batch, 'cancelled');
+        }
+    } catch (error) {
+        logger.error(`[Batches] Batch ${batch.id} failed:`, error);
+        await failBatch(batch, [{ code: 'batch_failed', message: error.message, param: null, line: null }])
+            .catch(e => logger.error(`[Batches] Failed to save batch ${batch.id}: ${e.message}`));
+    }
+}
+
+/**
+ * Read and validate the input of a batch (again when resuming one)
+ * @param {Object} batch - Batch
+ * @returns {Promise<Array<Object>|null>} - Requests, null when the batch failed validation
+ */
+async function readBatchInput(batch) {
+    const input = await readFileContent(batch.input_file_id, batch.owner);
+    if (!input) {
+        await failBatch(batch, [{ code: 'missing_input_file', message: `No such File object: ${batch.input_file_id}`, param: 'input_file_id', line: null }]);
+        return null;
+    }
+
+    const { requests, errors } = parseBatchInput(input.data, batch.endpoint);
+    if (errors.length > 0) {
+        logger.warn(`[Batches] Batch ${batch.id} input is invalid (${errors.length} errors)`);
+        await failBatch(batch, errors);
+        return null;
+    }
+
+    // A batch cancelled while it was validating stays cancelling
+    if (batch.status === 'validating') {
+        batch.status = 'in_progress';
+        batch.in_progress_at = now();
+        batch.request_counts.total = requests.length;
+        await saveBatch(batch);
+        logger.info(`[Batches] Batch ${batch.id} started (${requests.length} requests)`);
+    }
+    return requests;
+}
+
+/**
+ * Run the requests of a batch that have no result yet, batchConcurrency at a time
+ * Stops taking new requests when the batch is cancelled or expires
+ * @param {Object} batch - Batch (in_progress)
+ * @param {Array<Object>} requests - All requests of the batch
+ */
+async function runRequests(batch, requests) {
+    // Results written before a restart count, their requests are not run again
+    const output = await readResults(batch, 'output');
+    const errors = await readResults(batch, 'errors');
+    batch.request_counts = { total: requests.length, completed: output.length, failed: errors.length };
+    const finished = new Set([...output, ...errors].map(line => line.custom_id));
+    const pending = requests.filter(request => !finished.has(request.custom_id));
+
+    const isExpired = () => now() >= batch.expires_at;
+    let next = 0;
+    const workers = Array.from({ length: Math.min(Math.max(config.batchConcurrency, 1), pending.length) }, async () => {
+        while (next < pending.length && batch.status === 'in_progress' && !isExpired()) {
+            await runRequest(batch, pending[next++]);
+        }
+    });
+    await Promise.all(workers);
+
+    if (batch.status !== 'in_progress') {
+        return;
+    }
+
+    if (next < pending.length) {
+        // Requests not run in the completion window are reported in the error file
+        for (const request of pending.slice(next)) {
+            await appendResult(batch, 'errors', {
+                id: `batch_req_${crypto.randomBytes(12).toString('hex')}`,
+                custom_id: request.custom_id,
+                response: null,
+                error: { code: 'batch_expired', message: 'This request could not be executed before the completion window expired.' }
+            });
+            batch.request_counts.failed++;
+        }
+        await finishBatch(batch, 'expired');
+        return;
+    }
+
+    batch.status = 'finalizing';
+    batch.finalizing_at = now();
+    await saveBatch(batch);
+}
+
+/**
+ * Run one request of a batch and store its result
+ * @param {Object} batch - Batch
+ * @param {Object} request - { custom_id, body }
+ */
+async function runRequest(batch, request) {
+    const requestId = `batch_req_${crypto.randomBytes(12).toString('hex')}`;
+    let response;
+
+    try {
+        // The owner's key is looked up for every request, a revoked key stops the rest of the batch
+        const apiKey = batch.owner ? findKeyByLabel(batch.owner) : null;
+        if (batch.owner && !apiKey) {
+            const error = new Error(`API key "${batch.owner}" no longer exists or has expired`);
+            error.status = 401;
+            error.type = 'authentication_error';
+            throw error;
+        }
+
+        const body = await runWithLogContext({ requestId }, () => executeRequest(request.body, apiKey));
+        response = { status_code: 200, request_id: requestId, body };
+    } catch (error) {
+        const status = error.status || 500;
+        logger.warn(`[Batches] Request ${request.custom_id} of ${batch.id} failed: ${error.message}`);
+        response = { status_code: status, request_id: requestId, body: createErrorResponse(error.message, error.type || 'api_error', status, error) };
+    }
+
+    const succeeded = response.status_code === 200;
+    await appendResult(batch, succeeded ? 'output' : 'errors', { id: requestId, custom_id: request.custom_id, response, error: null });
+    batch.request_counts[succeeded ? 'completed' : 'failed']++;
+    await saveBatch(batch);
+}
+
+/**
+ * Store a batch's partial results as a file of the batch owner
+ * Done once per kind, a resumed batch keeps the file stored before the restart
+ * @param {Object} batch - Batch
+ * @param {string} kind - 'output' or 'errors'
+ * @param {string} field - output_file_id or error_file_id
+ */
+async function storeResults(batch, kind, field) {
+    if (!batch[field]) {
+        const data = await readFile(getResultsPath(batch, kind)).catch(e => {
+            if (e.code === 'ENOENT') return null;
+            throw e;
+        });
+        if (!data || data.length === 0) {
+            return;
+        }
+
+        const file = await createFile({
+            data,
+            filename: `${batch.id}_${kind === 'output' ? 'output' : 'error'}.jsonl`,
+            purpose: 'batch_output',
+            mediaType: 'application/jsonl'
+        }, batch.owner);
+        batch[field] = file.id;
+        await saveBatch(batch);
+    }
+    await removeResults(batch, kind);
+}
+
+/**
+ * Delete a batch's partial results
+ * @param {Object} batch - Batch
+ * @param {string} kind - 'output' or 'errors'
+ */
+async function removeResults(batch, kind) {
+    await chainWrite(batch, () => unlink(getResultsPath(batch, kind)).catch(e => {
+        if (e.code !== 'ENOENT') logger.warn(`[Batches] Failed to delete ${getResultsPath(batch, kind)}: ${e.message}`);
+    }));
+}
+
+/**
+ * Store the results of a batch and give it its final status
+ * @param {Object} batch - Batch
+ * @param {string} status - completed, cancelled or expired
+ */
+async function finishBatch(batch, status) {
+    await storeResults(batch, 'output', 'output_file_id');
+    await storeResults(batch, 'errors', 'error_file_id');
+
+    batch.status = status;
+    batch[`${status}_at`] = now();
+    await saveBatch(batch);
+    const { completed, failed, total } = batch.request_counts;
+    logger.info(`[Batches] Batch ${batch.id} ${status} (${completed} completed, ${failed} failed of ${total})`);
+}
+
+/**
+ * Mark a batch as failed
+ * Results of the requests that already ran are still stored as its output and error files,
+ * and kept in batchesDir when that fails too
+ * @param {Object} batch - Batch
+ * @param {Array<Object>} errors - Batch errors (code, message, param, line)
+ */
+async function failBatch(batch, errors) {
+    for (const [kind, field] of [['output', 'output_file_id'], ['errors', 'error_file_id']]) {
+        await storeResults(batch, kind, field).catch(e => {
+            logger.error(`[Batches] Failed to store the ${kind} of ${batch.id}, kept in ${getResultsPath(batch, kind)}: ${e.message}`);
+        });
+    }
+
+    batch.status = 'failed';
+    batch.failed_at = now();
+    batch.errors = { object: 'list', data: errors };
+    await saveBatch(batch);
+}
+
+export default {
+    BATCH_ENDPOINTS,
+    BATCH_COMPLETION_WINDOWS,
+    createBatch,
+    listBatches,
+    getBatch,
+    cancelBatch,
+    startBatchWorker
+};
\ No newline at end of file
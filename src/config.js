@@ -15,25 +15,184 @@ const defaults = {
     // Upstream antigravity-claude-proxy URL
     upstreamUrl: 'http://localhost:8080',
 
+    // Several upstream instances to balance across (replaces upstreamUrl): ["<url>"] or [{ "url", "apiKey" }]
+    upstreams: [],
+
+    // How to pick an upstream: 'round-robin' or 'least-in-flight'
+    upstreamStrategy: 'round-robin',
+
+    // Interval between upstream /health probes in milliseconds, 0 disables them
+    healthCheckInterval: 10000,
+
+    // Consecutive failures (network errors, 5xx) that eject an upstream, and how long it stays ejected
+    circuitBreakerThreshold: 3,
+    circuitBreakerCooldown: 30000,
+
+    // Pin a session (x-session-id header or `user` field) to the same upstream while it is available
+    sessionAffinity: false,
+
     // API key for this adapter (optional)
     apiKey: null,
 
+    // Additional named keys: [{ "key", "label", "models": ["<name, glob or /regex/>"], "expiresAt" }]
+    apiKeys: [],
+
+    // JSON file with more keys (same shape as apiKeys, or { "keys": [...] }), reloaded on change and SIGHUP
+    apiKeysFile: null,
+
+    // Key for the /admin endpoints (usage reports), they are disabled without it once API keys are set
+    adminApiKey: null,
+
     // API key for upstream (usually'test' for antigravity-claude-proxy)
     upstreamApiKey: 'test',
 
-    // Request timeout in milliseconds
+    // Model used when the request does not name one
+    defaultModel: 'claude-sonnet-4-5',
+
+    // Model alias/rewrite table: { "<name, glob or /regex/>": "<upstream model>" }
+    // Glob `*` and regex groups can be referenced in the target as $1, $2...
+    modelAliases: {},
+
+    // Fallback chains tried in order when a model is rate limited or overloaded:
+    // { "<upstream model>": ["<fallback 1>", "<fallback 2>"] }
+    modelFallbacks: {},
+
+    // Extended thinking budget (budget_tokens) for each OpenAI reasoning_effort ('none' disables thinking)
+    reasoningEffortBudgets: { minimal: 1024, low: 4096, medium: 12000, high: 24000 },
+
+    // Default thinking budget per upstream model, when the request sets neither reasoning_effort nor thinking:
+    // { "<name, glob or /regex/>": budget_tokens } - the first matching entry wins
+    thinkingBudgets: { '*thinking*': 16000 },
+
+    // How Chat Completions responses present the model's thinking: 'reasoning_content' (separate field),
+    // 'think' (inline <think>...</think> ahead of the content) or 'hidden' - API keys and the
+    // x-reasoning-style header can override it
+    reasoningStyle: 'reasoning_content',
+
+    // Prompt caching breakpoints: 'auto' (system prompt, last tool and the most recent stable turn),
+    // 'system' (system prompt and last tool only) or 'off'
+    promptCaching: 'auto',
+
+    // Retries for transient upstream failures (network errors and retryStatuses)
+    maxRetries: 2,
+    retryBaseDelay: 500,
+    retryMaxDelay: 8000,
+    // Longest upstream Retry-After we are willing to wait for, longer ones fail immediately
+    retryMaxAfter: 30000,
+    retryStatuses: [408, 429, 502, 503, 504, 529],
+
+    // Total request timeout in milliseconds (whole upstream exchange, retries included)
     requestTimeout: 120000,
 
+    // Upstream connect + first event timeout of streaming requests, per attempt
+    firstByteTimeout: 60000,
+
+    // Longest silence allowed between two upstream stream events
+    idleTimeout: 60000,
+
+    // Default rate limits per API key (or per client address without keys), 0 disables the limit
+    // Keys can override them with their own rpm/tpm
+    rateLimitRpm: 0,
+    rateLimitTpm: 0,
+
+    // Usage ledger (one JSONL record per completion), null keeps budget totals in memory only
+    usageLedgerFile: null,
+
+    // Maximum choices per request (chat n, or prompts per legacy completion), each one is a separate upstream call
+    maxChoices: 8,
+
+    // Download http(s) image_url images and send them upstream inline (base64) instead of as URLs
+    fetchImages: false,
+    // Largest image downloaded (Anthropic accepts up to 5 MB per image) and the download timeout in milliseconds
+    imageMaxBytes: 5 * 1024 * 1024,
+    imageFetchTimeout: 10000,
+    // Allow image URLs resolving to private, loopback and link-local addresses
+    imageFetchAllowPrivate: false,
+    // Recently downloaded images kept in memory (by URL)
+    imageCacheSize: 50,
+
+    // Files API storage (/v1/files), its total size limit in bytes (0 = unlimited) and the largest upload
+    filesDir: join(homedir(), '.config/antigravity-openai-adapter/files'),
+    filesQuota: 1024 * 1024 * 1024,
+    fileMaxBytes: 50 * 1024 * 1024,
+    // Separate size limit for batch output and error files (0 = unlimited), uploads cannot use it up
+    batchOutputQuota: 1024 * 1024 * 1024,
+
+    // Batch API state (/v1/batches) and the requests of a batch run upstream at the same time
+    batchesDir: join(homedir(), '.config/antigravity-openai-adapter/batches'),
+    batchConcurrency: 4,
+    // Most requests accepted in one batch input file
+    batchMaxRequests: 50000,
+
+    // Cache responses to deterministic (temperature 0) chat completion requests
+    responseCache: false,
+    // Maximum cached responses (least recently used ones are dropped) and their lifetime in milliseconds
+    responseCacheSize: 1000,
+    responseCacheTtl: 24 * 60 * 60 * 1000,
+    // File the cache is persisted to (kept across restarts), null keeps it in memory only
+    responseCacheFile: null,
+    // Share cached responses across API keys (by default every key only gets its own entries)
+    responseCacheShared: false,
+
     // Cache TTL for models list in milliseconds (5 minutes)
     modelsCacheTtl: 5 * 60 * 1000,
 
-    // Enable debug logging
+    // Directory to record every exchange to (for `replay`), null disables recording
+    recordDir: null,
+
+    // Enable debug logging (same as logLevel: 'debug')
     debug: false,
 
+    // Minimum log level: debug, info, warn, error or silent
+    logLevel: 'info',
+
+    // Log output: 'text' (colored) or 'json' (one object per line)
+    logFormat: 'text',
+
     // Automatically start antigravity-claude-proxy
     autoStartProxy: true
 };
 
+/**
+ * Parse a mapping from an environment variable
+ * Accepts JSON (`{"a":"b"}`) or a comma-separated list (`a=b,c=d`)
+ * @param {string} value - Raw environment value
+ * @param {string} name - Variable name (for warnings)
+ * @returns {Object}
+ */
+function parseMapping(value, name) {
+    const trimmed = value.trim();
+    if (trimmed.startsWith('{')) {
+        try {
+            return JSON.parse(trimmed);
+        } catch (e) {
+            console.warn(`[Config] Failed to parse ${name}: ${e.message}`);
+            return {};
+        }
+    }
+
+    const mapping = {};
+    for (const pair of trimmed.split(',')) {
+        const separator = pair.indexOf('=');
+        if (separator > 0) {
+            mapping[pair.substring(0, separator).trim()] = pair.substring(separator + 1).trim();
+        }
+    }
+    return mapping;
+}
+
+/**
+ * Parse a token budget table from an environment variable (same formats as parseMapping)
+ * @param {string} value - Raw environment value
+ * @param {string} name - Variable name (for warnings)
+ * @returns {Object<string, number>}
+ */
+function parseBudgets(value, name) {
+    return Object.fromEntries(
+        Object.entries(parseMapping(value, name)).map(([key, budget]) => [key, parseInt(budget, 10)])
+    );
+}
+
 /**
  * Load configuration from file or environment
  */
@@ -68,15 +227,123 @@ function loadConfig() {
     if (process.env.ANTHROPIC_BASE_URL) {
         config.upstreamUrl = process.env.ANTHROPIC_BASE_URL;
     }
+    if (process.env.UPSTREAM_URLS) {
+        config.upstreams = process.env.UPSTREAM_URLS.split(',').map(url => url.trim()).filter(Boolean);
+    }
+    if (process.env.UPSTREAM_STRATEGY) {
+        config.upstreamStrategy = process.env.UPSTREAM_STRATEGY;
+    }
+    if (process.env.SESSION_AFFINITY) {
+        config.sessionAffinity = process.env.SESSION_AFFINITY === 'true';
+    }
     if (process.env.API_KEY) {
         config.apiKey = process.env.API_KEY.trim();
     }
+    if (process.env.API_KEYS_FILE) {
+        config.apiKeysFile = process.env.API_KEYS_FILE;
+    }
+    if (process.env.ADMIN_API_KEY) {
+        config.adminApiKey = process.env.ADMIN_API_KEY.trim();
+    }
+    if (process.env.USAGE_LEDGER_FILE !== undefined) {
+        config.usageLedgerFile = process.env.USAGE_LEDGER_FILE || null;
+    }
     if (process.env.UPSTREAM_API_KEY) {
         config.upstreamApiKey = process.env.UPSTREAM_API_KEY;
     }
     if (process.env.ANTHROPIC_AUTH_TOKEN) {
         config.upstreamApiKey = process.env.ANTHROPIC_AUTH_TOKEN;
     }
+    if (process.env.DEFAULT_MODEL) {
+        config.defaultModel = process.env.DEFAULT_MODEL;
+    }
+    if (process.env.MODEL_ALIASES) {
+        config.modelAliases = { ...config.modelAliases, ...parseMapping(process.env.MODEL_ALIASES, 'MODEL_ALIASES') };
+    }
+    if (process.env.MODEL_FALLBACKS) {
+        config.modelFallbacks = { ...config.modelFallbacks, ...parseMapping(process.env.MODEL_FALLBACKS, 'MODEL_FALLBACKS') };
+    }
+    if (process.env.REASONING_EFFORT_BUDGETS) {
+        config.reasoningEffortBudgets = { ...config.reasoningEffortBudgets, ...parseBudgets(process.env.REASONING_EFFORT_BUDGETS, 'REASONING_EFFORT_BUDGETS') };
+    }
+    if (process.env.THINKING_BUDGETS) {
+        config.thinkingBudgets = { ...config.thinkingBudgets, ...parseBudgets(process.env.THINKING_BUDGETS, 'THINKING_BUDGETS') };
+    }
+    if (process.env.REASONING_STYLE) {
+        config.reasoningStyle = process.env.REASONING_STYLE.toLowerCase();
+    }
+    if (process.env.PROMPT_CACHING) {
+        config.promptCaching = process.env.PROMPT_CACHING.toLowerCase();
+    }
+    if (process.env.REQUEST_TIMEOUT) {
+        config.requestTimeout = parseInt(process.env.REQUEST_TIMEOUT, 10);
+    }
+    if (process.env.FIRST_BYTE_TIMEOUT) {
+        config.firstByteTimeout = parseInt(process.env.FIRST_BYTE_TIMEOUT, 10);
+    }
+    if (process.env.IDLE_TIMEOUT) {
+        config.idleTimeout = parseInt(process.env.IDLE_TIMEOUT, 10);
+    }
+    if (process.env.MAX_RETRIES) {
+        config.maxRetries = parseInt(process.env.MAX_RETRIES, 10);
+    }
+    if (process.env.MAX_CHOICES) {
+        config.maxChoices = parseInt(process.env.MAX_CHOICES, 10);
+    }
+    if (process.env.RATE_LIMIT_RPM) {
+        config.rateLimitRpm = parseInt(process.env.RATE_LIMIT_RPM, 10);
+    }
+    if (process.env.RATE_LIMIT_TPM) {
+        config.rateLimitTpm = parseInt(process.env.RATE_LIMIT_TPM, 10);
+    }
+    if (process.env.FETCH_IMAGES) {
+        config.fetchImages = process.env.FETCH_IMAGES === 'true';
+    }
+    if (process.env.IMAGE_MAX_BYTES) {
+        config.imageMaxBytes = parseInt(process.env.IMAGE_MAX_BYTES, 10);
+    }
+    if (process.env.IMAGE_FETCH_TIMEOUT) {
+        config.imageFetchTimeout = parseInt(process.env.IMAGE_FETCH_TIMEOUT, 10);
+    }
+    if (process.env.FILES_DIR) {
+        config.filesDir = process.env.FILES_DIR;
+    }
+    if (process.env.FILES_QUOTA) {
+        config.filesQuota = parseInt(process.env.FILES_QUOTA, 10);
+    }
+    if (process.env.FILE_MAX_BYTES) {
+        config.fileMaxBytes = parseInt(process.env.FILE_MAX_BYTES, 10);
+    }
+    if (process.env.BATCH_OUTPUT_QUOTA) {
+        config.batchOutputQuota = parseInt(process.env.BATCH_OUTPUT_QUOTA, 10);
+    }
+    if (process.env.BATCHES_DIR) {
+        config.batchesDir = process.env.BATCHES_DIR;
+    }
+    if (process.env.BATCH_CONCURRENCY) {
+        config.batchConcurrency = parseInt(process.env.BATCH_CONCURRENCY, 10);
+    }
+    if (process.env.RESPONSE_CACHE) {
+        config.responseCache = process.env.RESPONSE_CACHE === 'true';
+    }
+    if (process.env.RESPONSE_CACHE_TTL) {
+        config.responseCacheTtl = parseInt(process.env.RESPONSE_CACHE_TTL, 10);
+    }
+    if (process.env.RESPONSE_CACHE_FILE) {
+        config.responseCacheFile = process.env.RESPONSE_CACHE_FILE;
+    }
+    if (process.env.RESPONSE_CACHE_SHARED) {
+        config.responseCacheShared = process.env.RESPONSE_CACHE_SHARED === 'true';
+    }
+    if (process.env.RECORD_DIR) {
+        config.recordDir = process.env.RECORD_DIR;
+    }
+    if (process.env.LOG_LEVEL) {
+        config.logLevel = process.env.LOG_LEVEL.toLowerCase();
+    }
+    if (process.env.LOG_FORMAT) {
+        config.logFormat = process.env.LOG_FORMAT.toLowerCase();
+    }
     if (process.env.DEBUG === 'true') {
         config.debug = true;
     }
@@ -97,6 +364,10 @@ function loadConfig() {
             config.upstreamUrl = args[i].split('=')[1];
         } else if (args[i] === '--debug') {
             config.debug = true;
+        } else if (args[i].startsWith('--record=')) {
+            config.recordDir = args[i].split('=')[1];
+        } else if (args[i] === '--log-json') {
+            config.logFormat = 'json';
         } else if (args[i] === '--no-proxy') {
             config.autoStartProxy = false;
         }
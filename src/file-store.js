@@ -0,0 +1,289 @@
+/**
+ * Local file store
+ * Backs the Files API (/v1/files): each upload is kept in filesDir as a data file plus a JSON
+ * metadata file, belongs to the API key that uploaded it, and can be referenced by file_id in chat messages
+ */
+
+import crypto from 'crypto';
+import { existsSync, mkdirSync, readdirSync, readFileSync } from 'fs';
+import { readFile, writeFile, unlink } from 'fs/promises';
+import { join } from 'path';
+import { config } from './config.js';
+import { logger } from './utils/logger.js';
+import { IMAGE_MEDIA_TYPES, sniffMediaType, getMediaTypeFromFilename } from './utils/media-type.js';
+
+export const FILE_PURPOSES = ['assistants', 'batch', 'fine-tune', 'vision', 'user_data', 'evals'];
+
+// id -> metadata (OpenAI file object plus media_type and owner), in upload order
+const files = new Map();
+// Bytes of files being written, counted against the quota of their kind
+const pendingBytes = { uploads: 0, batchOutput: 0 };
+
+/**
+ * Load the metadata of stored files
+ */
+function loadFiles() {
+    if (!existsSync(config.filesDir)) {
+        return;
+    }
+
+    const loaded = [];
+    for (const name of readdirSync(config.filesDir).filter(name => name.endsWith('.json'))) {
+        try {
+            loaded.push(JSON.parse(readFileSync(join(config.filesDir, name), 'utf-8')));
+        } catch (e) {
+            logger.warn(`[Files] Ignoring unreadable metadata ${name}: ${e.message}`);
+        }
+    }
+    loaded
+        .sort((a, b) => a.created_at - b.created_at)
+        .forEach(metadata => files.set(metadata.id, metadata));
+
+    if (files.size > 0) {
+        logger.info(`[Files] Loaded ${files.size} files from ${config.filesDir}`);
+    }
+}
+
+loadFiles();
+
+/**
+ * Create a Files API error
+ * @param {string} message - Error message
+ * @param {number} status - HTTP status
+ * @param {Object} [details] - param and code
+ * @returns {Error}
+ */
+function createFileError(message, status, { param = null, code = null } = {}) {
+    const error = new Error(message);
+    error.status = status;
+    error.type = 'invalid_request_error';
+    error.param = param;
+    error.code = code;
+    return error;
+}
+
+/**
+ * Strip the internal fields of a file's metadata
+ * @param {Object} metadata - Stored metadata
+ * @returns {Object} - OpenAI file object
+ */
+function toFileObject(metadata) {
+    const { media_type, owner, ...file } = metadata;
+    return file;
+}
+
+/**
+ * Get the metadata of a file owned by the caller
+ * @param {string} id - File id
+ * @param {string|null} owner - Label of the caller's API key (null without API keys)
+ * @returns {Object|null}
+ */
+function getOwnedFile(id, owner) {
+    const metadata = files.get(id);
+    return metadata && metadata.owner === owner ? metadata : null;
+}
+
+/**
+ * Which quota a file counts against
+ * Batch results hold work already done upstream, uploads cannot crowd them out
+ * @param {string} purpose - File purpose
+ * @returns {string} - 'batchOutput' (batchOutputQuota) or 'uploads' (filesQuota)
+ */
+function getQuotaKind(purpose) {
+    return purpose === 'batch_output' ? 'batchOutput' : 'uploads';
+}
+
+/**
+ * Total size of the stored files of one kind
+ * @param {string} kind - Quota kind (see getQuotaKind)
+ * @returns {number}
+ */
+function getStoredBytes(kind) {
+    let total = pendingBytes[kind];
+    for (const metadata of files.values()) {
+        if (getQuotaKind(metadata.purpose) === kind) {
+            total += metadata.bytes;
+        }
+    }
+    return total;
+}
+
+/**
+ * Store an uploaded file
+ * @param {Object} upload
+ * @param {Buffer} upload.data - File content
+ * @param {string} upload.filename - File name
+ * @param {string} upload.purpose - Intended use (FILE_PURPOSES)
+ * @param {string} [upload.mediaType] - Declared media type (the content and filename take precedence)
+ * @param {string|null} owner - Label of the uploader's API key
+ * @returns {Promise<Object>} - OpenAI file object
+ */
+export async function createFile({ data, filename, purpose, mediaType }, owner) {
+    const kind = getQuotaKind(purpose);
+    const quota = kind === 'batchOutput' ? config.batchOutputQuota : config.filesQuota;
+    if (quota && getStoredBytes(kind) + data.length > quota) {
+        const name = kind === 'batchOutput' ? 'Batch output storage quota' : 'File storage quota';
+        throw createFileError(`${name} exceeded (${quota} bytes)`, 400, { code: 'storage_quota_exceeded' });
+    }
+
+    const metadata = {
+        id: `file-${crypto.randomBytes(12).toString('hex')}`,
+        object: 'file',
+        bytes: data.length,
+        created_at: Math.floor(Date.now() / 1000),
+        filename: filename || 'upload',
+        purpose,
+        status: 'processed',
+        status_details: null,
+        media_type: sniffMediaType(data)
+            || (mediaType && mediaType !== 'application/octet-stream' ? mediaType.split(';')[0].toLowerCase() : null)
+            || getMediaTypeFromFilename(filename)
+            || 'application/octet-stream',
+        owner
+    };
+
+    pendingBytes[kind] += data.length;
+    try {
+        mkdirSync(config.filesDir, { recursive: true });
+        await writeFile(join(config.filesDir, metadata.id), data);
+        await writeFile(join(config.filesDir, `${metadata.id}.json`), JSON.stringify(metadata));
+    } finally {
+        pendingBytes[kind] -= data.length;
+    }
+
+    files.set(metadata.id, metadata);
+    logger.info(`[Files] Stored ${metadata.id} (${metadata.filename}, ${metadata.media_type}, ${metadata.bytes} bytes)`);
+    return toFileObject(metadata);
+}
+
+/**
+ * List the caller's files
+ * @param {string|null} owner - Label of the caller's API key
+ * @param {Object} [options]
+ * @param {string} [options.purpose] - Only files with this purpose
+ * @param {number} [options.limit] - Page size (default 10000)
+ * @param {string} [options.order] - 'desc' (newest first, default) or 'asc'
+ * @param {string} [options.after] - Cursor, the last file id of the previous page
+ * @returns {Object} - OpenAI list object
+ */
+export function listFiles(owner, { purpose, limit = 10000, order = 'desc', after } = {}) {
+    let list = [...files.values()].filter(metadata => metadata.owner === owner && (!purpose || metadata.purpose === purpose));
+    if (order !== 'asc') {
+        list.reverse();
+    }
+
+    if (after) {
+        const index = list.findIndex(metadata => metadata.id === after);
+        list = index >= 0 ? list.slice(index + 1) : [];
+    }
+
+    const data = list.slice(0, limit).map(toFileObject);
+    return {
+        object: 'list',
+        data,
+        first_id: data[0]?.id || null,
+        last_id: data[data.length - 1]?.id || null,
+        has_more: list.length > limit
+    };
+}
+
+/**
+ * Get one of the caller's files
+ * @param {string} id - File id
+ * @param {string|null} owner - Label of the caller's API key
+ * @returns {Object|null} - OpenAI file object
+ */
+export function getFile(id, owner) {
+    const metadata = getOwnedFile(id, owner);
+    return metadata ? toFileObject(metadata) : null;
+}
+
+/**
+ * Read the content of one of the caller's files
+ * @param {string} id - File id
+ * @param {string|null} owner - Label of the caller's API key
+ * @returns {Promise<{ file: Object, mediaType: string, data: Buffer }|null>}
+ */
+export async function readFileContent(id, owner) {
+    const metadata = getOwnedFile(id, owner);
+    if (!metadata) {
+        return null;
+    }
+
+    const data = await readFile(join(config.filesDir, id));
+    return { file: toFileObject(metadata), mediaType: metadata.media_type, data };
+}
+
+/**
+ * Delete one of the caller's files
+ * @param {string} id - File id
+ * @param {string|null} owner - Label of the caller's API key
+ * @returns {Promise<boolean>} - Whether the file existed
+ */
+export async function deleteFile(id, owner) {
+    if (!getOwnedFile(id, owner)) {
+        return false;
+    }
+
+    files.delete(id);
+    for (const path of [join(config.filesDir, id), join(config.filesDir, `${id}.json`)]) {
+        await unlink(path).catch(e => {
+            if (e.code !== 'ENOENT') logger.warn(`[Files] Failed to delete ${path}: ${e.message}`);
+        });
+    }
+    logger.info(`[Files] Deleted ${id}`);
+    return true;
+}
+
+/**
+ * Replace file_id references in user messages with the file content, inline as data URIs
+ * (`file` parts get file_data, `image_url` parts with a file_id get a url)
+ * @param {Array} messages - OpenAI format messages
+ * @param {string|null} owner - Label of the caller's API key
+ * @returns {Promise<Array>} - Messages with the references resolved (the input is not modified)
+ */
+export async function resolveFileReferences(messages, owner) {
+    if (!Array.isArray(messages)) {
+        return messages;
+    }
+
+    return Promise.all(messages.map(async (msg, i) => {
+        if (msg?.role !== 'user' || !Array.isArray(msg.content)) {
+            return msg;
+        }
+
+        const content = await Promise.all(msg.content.map(async (part, j) => {
+            const fileId = part?.type === 'file' ? part.file?.file_id : part?.type === 'image_url' ? part.image_url?.file_id : null;
+            if (!fileId) {
+                return part;
+            }
+
+            const param = `messages[${i}].content[${j}]`;
+            const stored = await readFileContent(fileId, owner);
+            if (!stored) {
+                throw createFileError(`No such File object: ${fileId}`, 400, { param });
+            }
+
+            const dataUri = `data:${stored.mediaType};base64,${stored.data.toString('base64')}`;
+            if (part.type === 'file') {
+                return { type: 'file', file: { file_data: dataUri, filename: part.file.filename || stored.file.filename } };
+            }
+            if (!IMAGE_MEDIA_TYPES.includes(stored.mediaType)) {
+                throw createFileError(`File ${fileId} is not an image (${stored.mediaType})`, 400, { param });
+            }
+            return { type: 'image_url', image_url: { url: dataUri, detail: part.image_url.detail } };
+        }));
+
+        return { ...msg, content };
+    }));
+}
+
+export default {
+    FILE_PURPOSES,
+    createFile,
+    listFiles,
+    getFile,
+    readFileContent,
+    deleteFile,
+    resolveFileReferences
+};
\ No newline at end of file
@@ -5,6 +5,20 @@
 
 import crypto from 'crypto';
 import { logger } from '../utils/logger.js';
+import { validateJsonSchema } from '../utils/json-schema.js';
+
+// How thinking is presented: a separate reasoning_content field, inline <think> tags in the content, or not at all
+export const REASONING_STYLES = ['reasoning_content', 'think', 'hidden'];
+
+/**
+ * Whether a reasoning style returns the signed thinking blocks - only reasoning_content (the default) does,
+ * think is meant for clients that only render content
+ * @param {string} [reasoningStyle] - How thinking is presented (REASONING_STYLES)
+ * @returns {boolean}
+ */
+function includesThinkingBlocks(reasoningStyle) {
+    return !reasoningStyle || reasoningStyle === 'reasoning_content';
+}
 
 /**
  * Map Anthropic stop reasons to OpenAI finish reasons
@@ -21,22 +35,67 @@ function mapFinishReason(stopReason) {
     return reasonMap[stopReason] || 'stop';
 }
 
+/**
+ * Validate structured output produced for a response_format
+ * Every mode requires valid JSON, strict json_schema also requires a match with the schema
+ * @param {string} json - JSON text produced by the model
+ * @param {Object} [responseFormat] - Response format metadata from the converted request
+ * @returns {string|null} - Error message, or null when valid (or without response_format)
+ */
+function validateStructuredOutput(json, responseFormat) {
+    if (!responseFormat) {
+        return null;
+    }
+
+    let value;
+    try {
+        value = JSON.parse(json);
+    } catch (e) {
+        return `Model output is not valid JSON: ${e.message}`;
+    }
+    if (!responseFormat.strict) {
+        return null;
+    }
+
+    const errors = validateJsonSchema(value, responseFormat.schema);
+    if (errors.length > 0) {
+        return `Model output does not match the "${responseFormat.name || 'response'}" schema: ${errors.join('; ')}`;
+    }
+    return null;
+}
+
+/**
+ * Create the error thrown when structured output fails validation
+ * @param {string} message - Validation error message
+ * @returns {Error}
+ */
+function createStructuredOutputError(message) {
+    const error = new Error(message);
+    error.status = 500;
+    error.type = 'invalid_response_format';
+    return error;
+}
+
 /**
  * Convert Anthropic content blocks to OpenAI message format
  * @param {Array} content - Anthropic content blocks
- * @returns {{ message: Object, hasToolCalls: boolean }}
+ * @param {Object} [responseFormat] - Response format metadata from the converted request
+ * @param {string} [reasoningStyle] - How thinking is presented (REASONING_STYLES)
+ * @returns {{ message: Object, hasToolCalls: boolean, thinkingChars: number }}
  */
-function convertContent(content) {
+function convertContent(content, responseFormat, reasoningStyle) {
     let textContent = '';
+    let structuredContent = null;
     const toolCalls = [];
-    let hasThinking = false;
     let thinkingContent = '';
+    const thinkingBlocks = [];
     const images = [];
  
     if (!content || !Array.isArray(content)) {
         return {
             message: { role: 'assistant', content: '' },
-            hasToolCalls: false
+            hasToolCalls: false,
+            thinkingChars: 0
         };
     }
 
@@ -47,12 +106,23 @@ function convertContent(content) {
                 break;
 
             case 'thinking':
-                // Store thinking content - can be exposed via custom field
-                hasThinking = true;
                 thinkingContent += block.thinking;
+                // Only signed blocks can be sent back upstream
+                if (block.signature) {
+                    thinkingBlocks.push({ type: 'thinking', thinking: block.thinking, signature: block.signature });
+                }
+                break;
+
+            case 'redacted_thinking':
+                thinkingBlocks.push({ type: 'redacted_thinking', data: block.data });
                 break;
 
             case 'tool_use':
+                // Unwrap the synthetic response_format tool into the message content
+                if (responseFormat && block.name === responseFormat.toolName) {
+                    structuredContent = JSON.stringify(block.input || {});
+                    break;
+                }
                 toolCalls.push({
                     id: block.id,
                     type: 'function',
@@ -76,6 +146,11 @@ function convertContent(content) {
         }
     }
 
+    // The structured answer replaces any text the model wrote around it
+    if (structuredContent !== null) {
+        textContent = structuredContent;
+    }
+
     const message = {
         role: 'assistant',
         content: textContent || null
@@ -91,15 +166,17 @@ function convertContent(content) {
     }
 
     // Handle thinking/reasoning content
-    if (hasThinking && thinkingContent) {
-        // Option 1: Custom field (compatible with many third-party tools)
-        message._thinking = thinkingContent;
-        
-        // Option 2: OpenAI 'reasoning_content' field (used by O1/DeepSeek-style tools)
+    if (thinkingContent && reasoningStyle === 'think') {
+        // Inline, for chat UIs that only render content
+        message.content = `<think>\n${thinkingContent}\n</think>\n\n${message.content || ''}`;
+    } else if (thinkingContent && reasoningStyle !== 'hidden') {
+        // 'reasoning_content' field (used by O1/DeepSeek-style tools)
         message.reasoning_content = thinkingContent;
-        
-        // Option 3: Prepend to content if requested or as fallback
-        // message.content = `<thought>\n${thinkingContent}\n</thought>\n\n${message.content || ''}`;
+    }
+
+    // Signed blocks, sent back unchanged with the assistant turn so thinking survives tool use
+    if (thinkingBlocks.length > 0 && includesThinkingBlocks(reasoningStyle)) {
+        message.thinking_blocks = thinkingBlocks;
     }
 
     // Handle generated images
@@ -115,17 +192,95 @@ function convertContent(content) {
  
     return {
         message,
-        hasToolCalls: toolCalls.length > 0
+        hasToolCalls: toolCalls.length > 0,
+        thinkingChars: thinkingContent.length
     };
 }
 
+/**
+ * Estimate the reasoning tokens of a response from its thinking text
+ * Anthropic counts thinking as output tokens without reporting them separately
+ * @param {number} thinkingChars - Length of the thinking text
+ * @param {number} outputTokens - Output tokens reported upstream
+ * @returns {number}
+ */
+export function estimateReasoningTokens(thinkingChars, outputTokens) {
+    return Math.min(outputTokens || 0, Math.ceil(thinkingChars / 4));
+}
+
+/**
+ * Convert Anthropic usage to Chat Completions usage
+ * Anthropic input_tokens exclude prompt cache reads and writes, OpenAI prompt_tokens include them
+ * @param {Object} [usage] - Anthropic usage
+ * @param {number} [thinkingChars] - Length of the response's thinking text
+ * @returns {Object} - OpenAI usage, with prompt_tokens_details when the prompt cache was used
+ * and completion_tokens_details when the model reasoned
+ */
+export function convertUsage(usage, thinkingChars = 0) {
+    const cachedTokens = usage?.cache_read_input_tokens || 0;
+    const cacheCreationTokens = usage?.cache_creation_input_tokens || 0;
+    const promptTokens = (usage?.input_tokens || 0) + cachedTokens + cacheCreationTokens;
+    const completionTokens = usage?.output_tokens || 0;
+
+    const openaiUsage = {
+        prompt_tokens: promptTokens,
+        completion_tokens: completionTokens,
+        total_tokens: promptTokens + completionTokens
+    };
+
+    // cached_tokens is the OpenAI field, cache_creation_tokens an extension (cache writes are billed differently)
+    if (cachedTokens || cacheCreationTokens) {
+        openaiUsage.prompt_tokens_details = {
+            cached_tokens: cachedTokens,
+            cache_creation_tokens: cacheCreationTokens
+        };
+    }
+
+    const reasoningTokens = estimateReasoningTokens(thinkingChars, completionTokens);
+    if (reasoningTokens) {
+        openaiUsage.completion_tokens_details = { reasoning_tokens: reasoningTokens };
+    }
+    return openaiUsage;
+}
+
+/**
+ * Sum the usage of several choices
+ * @param {Array<Object>} usages - OpenAI usage per choice (missing ones are skipped)
+ * @returns {Object} - Summed OpenAI usage
+ */
+export function sumUsage(usages) {
+    const total = { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 };
+
+    for (const usage of usages) {
+        if (!usage) continue;
+        total.prompt_tokens += usage.prompt_tokens;
+        total.completion_tokens += usage.completion_tokens;
+        total.total_tokens += usage.total_tokens;
+
+        if (usage.prompt_tokens_details) {
+            total.prompt_tokens_details = {
+                cached_tokens: (total.prompt_tokens_details?.cached_tokens || 0) + (usage.prompt_tokens_details.cached_tokens || 0),
+                cache_creation_tokens: (total.prompt_tokens_details?.cache_creation_tokens || 0) + (usage.prompt_tokens_details.cache_creation_tokens || 0)
+            };
+        }
+        if (usage.completion_tokens_details) {
+            total.completion_tokens_details = {
+                reasoning_tokens: (total.completion_tokens_details?.reasoning_tokens || 0) + usage.completion_tokens_details.reasoning_tokens
+            };
+        }
+    }
+    return total;
+}
+
 /**
  * Convert Anthropic Messages response to OpenAI Chat Completions format
  * @param {Object} anthropicResponse - Anthropic Messages API response
  * @param {string} requestModel - The model requested (for response)
+ * @param {Object} [responseFormat] - Response format metadata from the converted request
+ * @param {string} [reasoningStyle] - How thinking is presented (REASONING_STYLES, default reasoning_content)
  * @returns {Object} - OpenAI Chat Completions format response
  */
-export function convertAnthropicToOpenAI(anthropicResponse, requestModel) {
+export function convertAnthropicToOpenAI(anthropicResponse, requestModel, responseFormat, reasoningStyle) {
     const {
         id,
         content,
@@ -134,8 +289,18 @@ export function convertAnthropicToOpenAI(anthropicResponse, requestModel) {
         usage
     } = anthropicResponse;
 
-    const { message, hasToolCalls } = convertContent(content);
-    const finishReason = mapFinishReason(stop_reason);
+    const { message, hasToolCalls, thinkingChars } = convertContent(content, responseFormat, reasoningStyle);
+
+    // A turn calling the client's tools is not the answer yet, its text is not checked
+    if (responseFormat && message.content && !hasToolCalls) {
+        const validationError = validateStructuredOutput(message.content, responseFormat);
+        if (validationError) {
+            throw createStructuredOutputError(validationError);
+        }
+    }
+
+    // A synthetic response_format tool call is a normal stop for the client
+    const finishReason = stop_reason === 'tool_use' && !hasToolCalls ? 'stop' : mapFinishReason(stop_reason);
 
     // Generate unique IDs
     const responseId = `chatcmpl-${crypto.randomBytes(12).toString('hex')}`;
@@ -154,21 +319,10 @@ export function convertAnthropicToOpenAI(anthropicResponse, requestModel) {
                 finish_reason: finishReason
             }
         ],
-        usage: {
-            prompt_tokens: usage?.input_tokens || 0,
-            completion_tokens: usage?.output_tokens || 0,
-            total_tokens: (usage?.input_tokens || 0) + (usage?.output_tokens || 0)
-        },
+        usage: convertUsage(usage, thinkingChars),
         system_fingerprint: null
     };
 
-    // Add cache usage info if available (OpenAI extension)
-    if (usage?.cache_read_input_tokens || usage?.cache_creation_input_tokens) {
-        openaiResponse.usage.prompt_tokens_details = {
-            cached_tokens: usage.cache_read_input_tokens || 0
-        };
-    }
-
     logger.debug(`[Anthropic→OpenAI] Converted response: ${finishReason}, tokens: ${openaiResponse.usage.total_tokens}`);
 
     return openaiResponse;
@@ -178,7 +332,8 @@ export function convertAnthropicToOpenAI(anthropicResponse, requestModel) {
  * Convert Anthropic streaming event to OpenAI streaming format
  * @param {Object} anthropicEvent - Anthropic SSE event
  * @param {string} requestModel - The requested model name
- * @param {Object} state - Streaming state (to track accumulated data)
+ * @param {Object} state - Streaming state (to track accumulated data), one per choice;
+ *                         may carry `choiceIndex`, `responseFormat` and `reasoningStyle`
  * @returns {Array<Object>} - Array of OpenAI SSE events to send
  */
 export function convertStreamEvent(anthropicEvent, requestModel, state = {}) {
@@ -186,6 +341,7 @@ export function convertStreamEvent(anthropicEvent, requestModel, state = {}) {
     const eventType = anthropicEvent.type;
     const responseId = state.responseId || `chatcmpl-${crypto.randomBytes(12).toString('hex')}`;
     const created = state.created || Math.floor(Date.now() / 1000);
+    const choiceIndex = state.choiceIndex || 0;
 
     // Update state
     state.responseId = responseId;
@@ -193,6 +349,11 @@ export function convertStreamEvent(anthropicEvent, requestModel, state = {}) {
 
     switch (eventType) {
         case 'message_start':
+            // Input and prompt cache usage are reported here, message_delta may only carry output tokens
+            state.messageUsage = anthropicEvent.message?.usage;
+            // Usage so far, for a stream that is cut short before message_delta
+            state.usage = convertUsage(state.messageUsage);
+
             // Send initial chunk with role
             events.push({
                 id: responseId,
@@ -200,7 +361,7 @@ export function convertStreamEvent(anthropicEvent, requestModel, state = {}) {
                 created,
                 model: requestModel,
                 choices: [{
-                    index: 0,
+                    index: choiceIndex,
                     delta: { role: 'assistant', content: '' },
                     logprobs: null,
                     finish_reason: null
@@ -210,7 +371,27 @@ export function convertStreamEvent(anthropicEvent, requestModel, state = {}) {
 
         case 'content_block_start':
             const block = anthropicEvent.content_block;
-            if (block?.type === 'tool_use') {
+            if (block?.type === 'tool_use' && block.name === state.responseFormat?.toolName) {
+                // Synthetic response_format tool - its input is streamed as content
+                state.structuredOutput = { json: '' };
+                state.hasStructuredOutput = true;
+            } else if (block?.type === 'thinking') {
+                // Collected until content_block_stop, where the signed block is sent in one piece
+                state.currentThinking = { type: 'thinking', thinking: '', signature: '' };
+            } else if (block?.type === 'redacted_thinking' && includesThinkingBlocks(state.reasoningStyle)) {
+                events.push({
+                    id: responseId,
+                    object: 'chat.completion.chunk',
+                    created,
+                    model: requestModel,
+                    choices: [{
+                        index: choiceIndex,
+                        delta: { thinking_blocks: [{ type: 'redacted_thinking', data: block.data }] },
+                        logprobs: null,
+                        finish_reason: null
+                    }]
+                });
+            } else if (block?.type === 'tool_use') {
                 // Start of a tool call
                 state.currentToolCall = {
                     index: state.toolCallIndex || 0,
@@ -229,7 +410,7 @@ export function convertStreamEvent(anthropicEvent, requestModel, state = {}) {
                     created,
                     model: requestModel,
                     choices: [{
-                        index: 0,
+                        index: choiceIndex,
                         delta: {
                             tool_calls: [{
                                 index: state.currentToolCall.index,
@@ -251,7 +432,10 @@ export function convertStreamEvent(anthropicEvent, requestModel, state = {}) {
         case 'content_block_delta':
             const delta = anthropicEvent.delta;
             
-            if (delta?.type === 'text_delta' && delta.text) {
+            if (delta?.type === 'text_delta' && delta.text && state.responseFormat) {
+                // Text of a response_format answer is held back until the message ends, to be checked as JSON
+                state.responseText = (state.responseText || '') + delta.text;
+            } else if (delta?.type === 'text_delta' && delta.text) {
                 // Text content
                 events.push({
                     id: responseId,
@@ -259,7 +443,7 @@ export function convertStreamEvent(anthropicEvent, requestModel, state = {}) {
                     created,
                     model: requestModel,
                     choices: [{
-                        index: 0,
+                        index: choiceIndex,
                         delta: { content: delta.text },
                         logprobs: null,
                         finish_reason: null
@@ -274,26 +458,61 @@ export function convertStreamEvent(anthropicEvent, requestModel, state = {}) {
                     created,
                     model: requestModel,
                     choices: [{
-                        index: 0,
+                        index: choiceIndex,
                         delta: { content: delta.text },
                         logprobs: null,
                         finish_reason: null
                     }]
                 });
             } else if (delta?.type === 'thinking_delta' && delta.thinking) {
-                // Thinking content streamed via reasoning_content delta
+                state.thinkingChars = (state.thinkingChars || 0) + delta.thinking.length;
+                if (state.currentThinking) {
+                    state.currentThinking.thinking += delta.thinking;
+                }
+                if (state.reasoningStyle === 'hidden') {
+                    break;
+                }
+
+                // Thinking content streamed via reasoning_content delta, or as content
+                // inside <think> tags opened by the first delta of the block
+                let thinkingDelta = { reasoning_content: delta.thinking };
+                if (state.reasoningStyle === 'think') {
+                    thinkingDelta = { content: state.thinkTagOpen ? delta.thinking : `<think>\n${delta.thinking}` };
+                    state.thinkTagOpen = true;
+                }
                 events.push({
                     id: responseId,
                     object: 'chat.completion.chunk',
                     created,
                     model: requestModel,
                     choices: [{
-                        index: 0,
-                        delta: { reasoning_content: delta.thinking },
+                        index: choiceIndex,
+                        delta: thinkingDelta,
                         logprobs: null,
                         finish_reason: null
                     }]
                 });
+            } else if (delta?.type === 'signature_delta' && delta.signature) {
+                if (state.currentThinking) {
+                    state.currentThinking.signature += delta.signature;
+                }
+            } else if (delta?.type === 'input_json_delta' && delta.partial_json && state.structuredOutput) {
+                // Structured output - strict mode buffers it for validation
+                state.structuredOutput.json += delta.partial_json;
+                if (!state.responseFormat.strict) {
+                    events.push({
+                        id: responseId,
+                        object: 'chat.completion.chunk',
+                        created,
+                        model: requestModel,
+                        choices: [{
+                            index: choiceIndex,
+                            delta: { content: delta.partial_json },
+                            logprobs: null,
+                            finish_reason: null
+                        }]
+                    });
+                }
             } else if (delta?.type === 'input_json_delta' && delta.partial_json) {
                 // Tool call arguments being streamed
                 if (state.currentToolCall) {
@@ -303,7 +522,7 @@ export function convertStreamEvent(anthropicEvent, requestModel, state = {}) {
                         created,
                         model: requestModel,
                         choices: [{
-                            index: 0,
+                            index: choiceIndex,
                             delta: {
                                 tool_calls: [{
                                     index: state.currentToolCall.index,
@@ -323,19 +542,112 @@ export function convertStreamEvent(anthropicEvent, requestModel, state = {}) {
         case 'content_block_stop':
             // Content block ended
             state.currentToolCall = null;
+
+            if (state.thinkTagOpen) {
+                state.thinkTagOpen = false;
+                events.push({
+                    id: responseId,
+                    object: 'chat.completion.chunk',
+                    created,
+                    model: requestModel,
+                    choices: [{
+                        index: choiceIndex,
+                        delta: { content: '\n</think>\n\n' },
+                        logprobs: null,
+                        finish_reason: null
+                    }]
+                });
+            }
+
+            if (state.currentThinking) {
+                const thinkingBlock = state.currentThinking;
+                state.currentThinking = null;
+
+                // Only signed blocks can be sent back upstream
+                if (thinkingBlock.signature && includesThinkingBlocks(state.reasoningStyle)) {
+                    events.push({
+                        id: responseId,
+                        object: 'chat.completion.chunk',
+                        created,
+                        model: requestModel,
+                        choices: [{
+                            index: choiceIndex,
+                            delta: { thinking_blocks: [thinkingBlock] },
+                            logprobs: null,
+                            finish_reason: null
+                        }]
+                    });
+                }
+            }
+
+            if (state.structuredOutput) {
+                const structured = state.structuredOutput;
+                state.structuredOutput = null;
+
+                const validationError = validateStructuredOutput(structured.json, state.responseFormat);
+                if (validationError) {
+                    logger.warn(`[Anthropic→OpenAI] ${validationError}`);
+                    events.push(createErrorResponse(validationError, 'invalid_response_format', 500));
+                } else if (state.responseFormat.strict || !structured.json) {
+                    // Emit buffered (or empty) structured output in one piece
+                    events.push({
+                        id: responseId,
+                        object: 'chat.completion.chunk',
+                        created,
+                        model: requestModel,
+                        choices: [{
+                            index: choiceIndex,
+                            delta: { content: structured.json || '{}' },
+                            logprobs: null,
+                            finish_reason: null
+                        }]
+                    });
+                }
+            }
             break;
 
         case 'message_delta':
             // Message-level updates (stop_reason, usage)
+            if (state.responseText !== undefined) {
+                // Held back text is dropped next to a structured answer and passed on with tool calls
+                // (that turn is not the answer yet), else it is the answer and must be JSON
+                const text = state.responseText;
+                state.responseText = undefined;
+                const validationError = state.hasStructuredOutput || state.toolCallIndex
+                    ? null
+                    : validateStructuredOutput(text, state.responseFormat);
+                if (validationError) {
+                    logger.warn(`[Anthropic→OpenAI] ${validationError}`);
+                    events.push(createErrorResponse(validationError, 'invalid_response_format', 500));
+                } else if (!state.hasStructuredOutput) {
+                    events.push({
+                        id: responseId,
+                        object: 'chat.completion.chunk',
+                        created,
+                        model: requestModel,
+                        choices: [{
+                            index: choiceIndex,
+                            delta: { content: text },
+                            logprobs: null,
+                            finish_reason: null
+                        }]
+                    });
+                }
+            }
+
             if (anthropicEvent.delta?.stop_reason) {
-                const finishReason = mapFinishReason(anthropicEvent.delta.stop_reason);
+                // A synthetic response_format tool call is a normal stop for the client
+                const stopReason = anthropicEvent.delta.stop_reason;
+                const finishReason = stopReason === 'tool_use' && !state.toolCallIndex
+                    ? 'stop'
+                    : mapFinishReason(stopReason);
                 events.push({
                     id: responseId,
                     object: 'chat.completion.chunk',
                     created,
                     model: requestModel,
                     choices: [{
-                        index: 0,
+                        index: choiceIndex,
                         delta: {},
                         logprobs: null,
                         finish_reason: finishReason
@@ -345,11 +657,7 @@ export function convertStreamEvent(anthropicEvent, requestModel, state = {}) {
  
             // Include usage in final chunk if available
             if (anthropicEvent.usage) {
-                state.usage = {
-                    prompt_tokens: anthropicEvent.usage.input_tokens || 0,
-                    completion_tokens: anthropicEvent.usage.output_tokens || 0,
-                    total_tokens: (anthropicEvent.usage.input_tokens || 0) + (anthropicEvent.usage.output_tokens || 0)
-                };
+                state.usage = convertUsage({ ...state.messageUsage, ...anthropicEvent.usage }, state.thinkingChars);
 
                 // OpenAI expects a final chunk with usage if stream_options: { include_usage: true } is set
                 // or just to have usage in the last choice block.
@@ -369,29 +677,97 @@ export function convertStreamEvent(anthropicEvent, requestModel, state = {}) {
             // The actual [DONE] marker is handled by the streaming logic
             break;
 
-        case 'error':
-            // Error event
+        case 'error': {
+            // Error event - forwarded to the client as an OpenAI error chunk
             logger.error(`[Anthropic→OpenAI] Stream error: ${JSON.stringify(anthropicEvent.error)}`);
+            const mapped = mapUpstreamError(0, anthropicEvent.error);
+            events.push(createErrorResponse(mapped.message, mapped.type, mapped.status, mapped));
             break;
+        }
     }
 
     return events;
 }
 
+/**
+ * Merge several single-choice completions (n > 1) into one response
+ * @param {Array<Object>} openaiResponses - OpenAI Chat Completions responses, one per choice
+ * @returns {Object} - OpenAI Chat Completions response with all choices and summed usage
+ */
+export function mergeCompletions(openaiResponses) {
+    const [first] = openaiResponses;
+    return {
+        ...first,
+        choices: openaiResponses.map((response, index) => ({ ...response.choices[0], index })),
+        usage: sumUsage(openaiResponses.map(response => response.usage))
+    };
+}
+
+// Anthropic error types and their OpenAI equivalents
+const ERROR_TYPE_MAP = {
+    invalid_request_error: { status: 400, type: 'invalid_request_error' },
+    authentication_error: { status: 401, type: 'authentication_error', code: 'invalid_api_key' },
+    permission_error: { status: 403, type: 'permission_error' },
+    not_found_error: { status: 404, type: 'invalid_request_error', code: 'model_not_found' },
+    request_too_large: { status: 413, type: 'invalid_request_error', code: 'request_too_large' },
+    rate_limit_error: { status: 429, type: 'rate_limit_error', code: 'rate_limit_exceeded' },
+    api_error: { status: 500, type: 'api_error' },
+    overloaded_error: { status: 503, type: 'server_error', code: 'overloaded' }
+};
+
+// Default error codes by HTTP status, used when no explicit code is given
+const STATUS_CODE_MAP = {
+    401: 'invalid_api_key',
+    429: 'rate_limit_exceeded',
+    503: 'overloaded',
+    504: 'timeout'
+};
+
+// Upstream messages meaning the prompt does not fit in the model context window
+const CONTEXT_LENGTH_PATTERN = /prompt is too long|context (length|window)|maximum context|too many (input )?tokens|exceeds? the (maximum )?(input|context)/i;
+
+/**
+ * Map an upstream (Anthropic) error to an OpenAI status, type and code
+ * @param {number} status - Upstream HTTP status (0 when the error came in a 200 body or SSE event)
+ * @param {Object} [upstreamError] - Anthropic error object ({ type, message })
+ * @returns {{ status: number, type: string, code: string|null, param: string|null, message: string }}
+ */
+export function mapUpstreamError(status, upstreamError) {
+    const message = upstreamError?.message || `Upstream error: ${status}`;
+
+    if (CONTEXT_LENGTH_PATTERN.test(message)) {
+        return { status: 400, type: 'invalid_request_error', code: 'context_length_exceeded', param: 'messages', message };
+    }
+
+    const mapped = ERROR_TYPE_MAP[upstreamError?.type];
+    if (mapped) {
+        return { status: mapped.status, type: mapped.type, code: mapped.code || null, param: null, message };
+    }
+
+    // Unknown error type - keep the upstream status class
+    if (status >= 500) {
+        return { status, type: 'api_error', code: null, param: null, message };
+    }
+    return { status: status >= 400 ? status : 400, type: 'invalid_request_error', code: null, param: null, message };
+}
+
 /**
  * Create an OpenAI-format error response
  * @param {string} message - Error message
  * @param {string} type - Error type
- * @param {number} status - HTTP status code
+ * @param {number} status - HTTP status code (provides a default `code`)
+ * @param {Object} [details] - Optional error details
+ * @param {string|null} [details.param] - Request parameter the error relates to
+ * @param {string|null} [details.code] - Error code
  * @returns {Object} - OpenAI error format
  */
-export function createErrorResponse(message, type = 'invalid_request_error', status = 400) {
+export function createErrorResponse(message, type = 'invalid_request_error', status = 400, { param = null, code = null } = {}) {
     return {
         error: {
             message,
             type,
-            param: null,
-            code: null
+            param,
+            code: code || STATUS_CODE_MAP[status] || null
         }
     };
 }
@@ -399,6 +775,12 @@ export function createErrorResponse(message, type = 'invalid_request_error', sta
 export default {
     convertAnthropicToOpenAI,
     convertStreamEvent,
+    mergeCompletions,
+    convertUsage,
+    sumUsage,
+    estimateReasoningTokens,
+    REASONING_STYLES,
     createErrorResponse,
+    mapUpstreamError,
     mapFinishReason
 };
\ No newline at end of file
@@ -0,0 +1,138 @@
+/**
+ * Legacy Completions Converter
+ * Converts legacy Completions API requests (prompt-style) to single-turn Chat Completions
+ * requests and Chat Completions responses back to text_completion objects
+ */
+
+const COMPLETION_SYSTEM_PROMPT = 'You are a raw text completion engine. Continue the text provided by the user '
+    + 'exactly from where it ends. Output only the continuation: do not repeat the text, do not add commentary, '
+    + 'quotes or formatting.';
+
+const INSERTION_SYSTEM_PROMPT = 'You are a raw text completion engine. The user provides a <prefix> and a <suffix>. '
+    + 'Output only the text that belongs between them, so that prefix + your output + suffix reads as one '
+    + 'continuous text. Do not repeat the prefix or suffix, do not add commentary, quotes or formatting.';
+
+/**
+ * Convert a chat completion id to a legacy completion id
+ * @param {string} id - Chat completion id (chatcmpl-...)
+ * @returns {string} - Completion id (cmpl-...)
+ */
+function toCompletionId(id) {
+    return id.replace(/^chatcmpl-/, 'cmpl-');
+}
+
+/**
+ * Convert a legacy Completions request (for a single prompt) to a Chat Completions request
+ * @param {Object} completionRequest - Legacy Completions request
+ * @param {string} prompt - The prompt to complete
+ * @returns {Object} - Chat Completions request (input for convertOpenAIToAnthropic)
+ */
+export function convertCompletionToChat(completionRequest, prompt) {
+    const {
+        model,
+        suffix,
+        max_tokens,
+        temperature,
+        top_p,
+        stop,
+        stream,
+        stream_options
+    } = completionRequest;
+
+    const messages = suffix
+        ? [
+            { role: 'system', content: INSERTION_SYSTEM_PROMPT },
+            { role: 'user', content: `<prefix>${prompt}</prefix>\n<suffix>${suffix}</suffix>` }
+        ]
+        : [
+            { role: 'system', content: COMPLETION_SYSTEM_PROMPT },
+            { role: 'user', content: prompt }
+        ];
+
+    return {
+        model,
+        messages,
+        max_tokens,
+        temperature,
+        top_p,
+        stop,
+        stream,
+        stream_options
+    };
+}
+
+/**
+ * Convert a Chat Completions response to a legacy text_completion response
+ * @param {Object} chatResponse - Chat Completions response (one choice per prompt)
+ * @param {Array<string>} prompts - Prompts, indexed like the choices
+ * @param {boolean} echo - Whether to prepend the prompt to the completion text
+ * @returns {Object} - Legacy Completions response
+ */
+export function convertChatToCompletion(chatResponse, prompts, echo) {
+    return {
+        id: toCompletionId(chatResponse.id),
+        object: 'text_completion',
+        created: chatResponse.created,
+        model: chatResponse.model,
+        choices: chatResponse.choices.map(choice => ({
+            text: (echo ? prompts[choice.index] : '') + (choice.message.content || ''),
+            index: choice.index,
+            logprobs: null,
+            finish_reason: choice.finish_reason
+        })),
+        usage: chatResponse.usage,
+        system_fingerprint: null
+    };
+}
+
+/**
+ * Convert a Chat Completions stream chunk to a legacy text_completion chunk
+ * @param {Object} chunk - Chat Completions chunk
+ * @param {Array<string>} prompts - Prompts, indexed like the choices
+ * @param {boolean} echo - Whether to emit the prompt before the completion text
+ * @returns {Object|null} - Legacy Completions chunk, or null if there is nothing to send
+ */
+export function convertChatChunkToCompletion(chunk, prompts, echo) {
+    const base = {
+        id: toCompletionId(chunk.id),
+        object: 'text_completion',
+        created: chunk.created,
+        model: chunk.model
+    };
+
+    // Usage chunk
+    if (chunk.choices.length === 0) {
+        return chunk.usage ? { ...base, choices: [], usage: chunk.usage } : null;
+    }
+
+    const [choice] = chunk.choices;
+    let text;
+
+    if (choice.delta.role) {
+        // The role chunk opens the choice - the prompt goes here when echoing
+        text = echo ? prompts[choice.index] : '';
+    } else {
+        text = choice.delta.content || '';
+    }
+
+    // Reasoning and empty deltas have no legacy equivalent
+    if (!text && !choice.finish_reason) {
+        return null;
+    }
+
+    return {
+        ...base,
+        choices: [{
+            text,
+            index: choice.index,
+            logprobs: null,
+            finish_reason: choice.finish_reason
+        }]
+    };
+}
+
+export default {
+    convertCompletionToChat,
+    convertChatToCompletion,
+    convertChatChunkToCompletion
+};
\ No newline at end of file
@@ -3,7 +3,19 @@
  * Converts OpenAI Chat Completions API requests to Anthropic Messages API format
  */
 
+import { config } from '../config.js';
 import { logger } from '../utils/logger.js';
+import { resolveModel, matchModelPattern } from '../utils/model-aliases.js';
+import { IMAGE_MEDIA_TYPES, sniffMediaType, getMediaTypeFromFilename, isTextMediaType } from '../utils/media-type.js';
+
+// Smallest thinking budget Anthropic accepts
+const MIN_THINKING_BUDGET = 1024;
+
+// max_tokens when the client does not set one (thinking budgets come on top of it)
+const DEFAULT_MAX_TOKENS = 4096;
+
+// Thinking shown inline by the 'think' reasoning style, sent back with the assistant content
+const THINK_TAG_PATTERN = /^\s*<think>[\s\S]*?<\/think>\s*/;
 
 /**
  * Convert OpenAI messages format to Anthropic messages format
@@ -109,6 +121,98 @@ function convertMessages(openaiMessages) {
     return { system, messages };
 }
 
+/**
+ * Read the data and media type of a `file` content part
+ * file_data is a base64 data URI, or plain base64 typed by its first bytes or the filename extension
+ * @param {Object} file - The part's `file` object ({ file_data, filename })
+ * @returns {{ mediaType: string|null, data: string }}
+ */
+function parseFileData(file) {
+    const dataUri = file.file_data.match(/^data:([^;,]+)(?:;[^,]*)?;base64,(.*)$/s);
+    if (dataUri) {
+        return { mediaType: dataUri[1].toLowerCase(), data: dataUri[2] };
+    }
+
+    return {
+        mediaType: sniffMediaType(Buffer.from(file.file_data.slice(0, 16), 'base64')) || getMediaTypeFromFilename(file.filename),
+        data: file.file_data
+    };
+}
+
+/**
+ * Get the reason a user content part cannot be converted
+ * @param {Object} part - OpenAI content part
+ * @returns {string|null} - Error message, or null when the part is supported
+ */
+function getContentPartError(part) {
+    switch (part?.type) {
+        case 'text':
+        case 'image_url':
+            return null;
+
+        case 'file': {
+            // file_id references are resolved to file_data before validation
+            if (typeof part.file?.file_data !== 'string') {
+                return 'file parts require file.file_data (a base64 data URI) or file.file_id';
+            }
+            const { mediaType } = parseFileData(part.file);
+            if (mediaType !== 'application/pdf' && !IMAGE_MEDIA_TYPES.includes(mediaType) && !isTextMediaType(mediaType)) {
+                return `Unsupported file type${mediaType ? ` ${mediaType}` : ''}${part.file.filename ? ` for ${part.file.filename}` : ''}: only PDF, image and plain-text files are supported`;
+            }
+            return null;
+        }
+
+        case 'input_audio':
+            return 'Audio input (input_audio) is not supported by this endpoint';
+
+        default:
+            return `Unsupported content part type: ${part?.type}`;
+    }
+}
+
+/**
+ * Find the first user content part that cannot be converted (validation for the routes)
+ * @param {Array} openaiMessages - OpenAI format messages
+ * @returns {{ message: string, param: string }|null}
+ */
+export function findUnsupportedContent(openaiMessages) {
+    for (const [i, msg] of openaiMessages.entries()) {
+        if (msg?.role !== 'user' || !Array.isArray(msg.content)) {
+            continue;
+        }
+        for (const [j, part] of msg.content.entries()) {
+            const message = getContentPartError(part);
+            if (message) {
+                return { message, param: `messages[${i}].content[${j}]` };
+            }
+        }
+    }
+    return null;
+}
+
+/**
+ * Convert a `file` content part to an Anthropic document (or image) block
+ * PDFs are sent as base64 documents, text files as text documents
+ * @param {Object} file - The part's `file` object ({ file_data, filename })
+ * @returns {Object} - Anthropic document or image block
+ */
+function convertFilePart(file) {
+    const { mediaType, data } = parseFileData(file);
+    if (IMAGE_MEDIA_TYPES.includes(mediaType)) {
+        return { type: 'image', source: { type: 'base64', media_type: mediaType, data } };
+    }
+
+    const source = mediaType === 'application/pdf'
+        ? { type: 'base64', media_type: mediaType, data }
+        : { type: 'text', media_type: 'text/plain', data: Buffer.from(data, 'base64').toString('utf-8') };
+
+    return {
+        type: 'document',
+        source,
+        ...(file.filename && { title: file.filename })
+    };
+}
+
 /**
  * Convert user content from OpenAI to Anthropic format
  * @param {string|Array} content - OpenAI user content
@@ -149,7 +253,10 @@ function convertUserContent(content) {
                     }
                 };
             }
-            // Pass through unknown types
+            if (part.type === 'file') {
+                return convertFilePart(part.file);
+            }
+            // Pass through unknown types (rejected by findUnsupportedContent before conversion)
             return part;
         });
     }
@@ -157,22 +264,50 @@ function convertUserContent(content) {
     return content;
 }
 
+/**
+ * Restore the thinking blocks of an assistant turn (thinking_blocks, as returned in responses)
+ * Unsigned thinking cannot be verified upstream and is dropped
+ * @param {Array} [thinkingBlocks] - Thinking blocks sent back by the client
+ * @returns {Array} - Anthropic thinking and redacted_thinking blocks
+ */
+function convertThinkingBlocks(thinkingBlocks) {
+    if (!Array.isArray(thinkingBlocks)) {
+        return [];
+    }
+
+    const blocks = [];
+    for (const block of thinkingBlocks) {
+        if (block?.type === 'thinking' && typeof block.thinking === 'string' && block.signature) {
+            blocks.push({ type: 'thinking', thinking: block.thinking, signature: block.signature });
+        } else if (block?.type === 'redacted_thinking' && block.data) {
+            blocks.push({ type: 'redacted_thinking', data: block.data });
+        } else {
+            logger.debug('[OpenAI→Anthropic] Dropping unsigned or unknown thinking block');
+        }
+    }
+    return blocks;
+}
+
 /**
  * Convert assistant content from OpenAI to Anthropic format
  * @param {Object} msg - OpenAI assistant message
  * @returns {string|Array} - Anthropic format content
  */
 function convertAssistantContent(msg) {
-    const content = [];
+    // Thinking blocks from an earlier response go first - Anthropic requires the signed
+    // thinking ahead of tool_use when thinking is enabled and tool results follow
+    const content = convertThinkingBlocks(msg.thinking_blocks);
 
-    // Handle text content
+    // Handle text content - inline thinking is presentation only and is not replayed as text
     if (msg.content) {
         if (typeof msg.content === 'string') {
-            content.push({ type: 'text', text: msg.content });
+            const text = msg.content.replace(THINK_TAG_PATTERN, '');
+            if (text) content.push({ type: 'text', text });
         } else if (Array.isArray(msg.content)) {
             for (const part of msg.content) {
                 if (part.type === 'text') {
-                    content.push({ type: 'text', text: part.text });
+                    const text = part.text.replace(THINK_TAG_PATTERN, '');
+                    if (text) content.push({ type: 'text', text });
                 }}
         }
     }
@@ -292,14 +427,187 @@ function convertToolChoice(openaiToolChoice) {
     return { type: 'auto' };
 }
 
+/**
+ * Name of the synthetic tool used to enforce response_format
+ */
+const STRUCTURED_OUTPUT_TOOL = 'json_response';
+
+/**
+ * Convert OpenAI response_format to a synthetic Anthropic tool
+ * Anthropic has no JSON mode, so the model is forced to call a tool whose input_schema
+ * is the requested schema; the tool input is unwrapped back into message.content
+ * @param {Object} responseFormat - OpenAI response_format
+ * @returns {{ tool: Object, format: Object }|undefined} - Synthetic tool and format metadata
+ */
+function convertResponseFormat(responseFormat) {
+    if (!responseFormat || responseFormat.type === 'text') {
+        return undefined;
+    }
+
+    if (responseFormat.type === 'json_object') {
+        return {
+            tool: {
+                name: STRUCTURED_OUTPUT_TOOL,
+                description: 'Respond with a JSON object. Call this tool with your entire answer as its input.',
+                input_schema: { type: 'object', additionalProperties: true }
+            },
+            format: { type: 'json_object', toolName: STRUCTURED_OUTPUT_TOOL }
+        };
+    }
+
+    if (responseFormat.type === 'json_schema') {
+        const jsonSchema = responseFormat.json_schema || {};
+        const schema = jsonSchema.schema || { type: 'object' };
+        const description = [
+            `Respond with a JSON object matching the "${jsonSchema.name || 'response'}" schema.`,
+            jsonSchema.description,
+            'Call this tool with your entire answer as its input.'
+        ].filter(Boolean).join(' ');
+
+        return {
+            tool: {
+                name: STRUCTURED_OUTPUT_TOOL,
+                description,
+                input_schema: schema
+            },
+            format: {
+                type: 'json_schema',
+                toolName: STRUCTURED_OUTPUT_TOOL,
+                name: jsonSchema.name,
+                schema,
+                strict: jsonSchema.strict === true
+            }
+        };
+    }
+
+    logger.warn(`[OpenAI→Anthropic] Unsupported response_format type: ${responseFormat.type}`);
+    return undefined;
+}
+
+/**
+ * Mark the last cacheable block of some content with a prompt caching breakpoint
+ * @param {string|Array} content - System prompt or message content
+ * @returns {string|Array} - Content blocks, the last cacheable one carrying cache_control
+ */
+function withCacheBreakpoint(content) {
+    const blocks = typeof content === 'string' ? [{ type: 'text', text: content }] : [...content];
+
+    // Thinking blocks and empty text blocks cannot carry cache_control
+    for (let i = blocks.length - 1; i >= 0; i--) {
+        const block = blocks[i];
+        if (block.type === 'thinking' || block.type === 'redacted_thinking' || (block.type === 'text' && !block.text)) {
+            continue;
+        }
+        blocks[i] = { ...block, cache_control: { type: 'ephemeral' } };
+        return blocks;
+    }
+    return content;
+}
+
+/**
+ * Place prompt caching breakpoints according to config.promptCaching
+ * - 'system': on the system prompt and the last tool definition (the prefix every turn shares)
+ * - 'auto': also on the most recent stable turn - the message before the newest one, which clients
+ *   resend unchanged, so every turn reads the conversation prefix the previous turn wrote
+ * - 'off': none
+ * @param {Object} anthropicRequest - Anthropic request (modified in place)
+ */
+function addCacheBreakpoints(anthropicRequest) {
+    if (config.promptCaching !== 'system' && config.promptCaching !== 'auto') {
+        return;
+    }
+
+    if (anthropicRequest.system) {
+        anthropicRequest.system = withCacheBreakpoint(anthropicRequest.system);
+    }
+
+    const tools = anthropicRequest.tools;
+    if (tools?.length > 0) {
+        tools[tools.length - 1] = { ...tools[tools.length - 1], cache_control: { type: 'ephemeral' } };
+    }
+
+    const messages = anthropicRequest.messages;
+    if (config.promptCaching === 'auto' && messages.length >= 2) {
+        const stable = messages[messages.length - 2];
+        messages[messages.length - 2] = { ...stable, content: withCacheBreakpoint(stable.content) };
+    }
+}
+
+/**
+ * Resolve the extended thinking budget of a request
+ * An explicit `thinking` parameter wins over reasoning_effort, which wins over the model default (thinkingBudgets)
+ * @param {Object} [thinking] - Anthropic-style thinking parameter ({ type: 'enabled', budget_tokens } or { type: 'disabled' })
+ * @param {string} [reasoningEffort] - OpenAI reasoning_effort (none, minimal, low, medium, high)
+ * @param {string} model - Upstream model name
+ * @returns {number|null} - budget_tokens, null when thinking stays off
+ */
+function resolveThinkingBudget(thinking, reasoningEffort, model) {
+    if (thinking?.type === 'disabled' || reasoningEffort === 'none') {
+        return null;
+    }
+    if (thinking?.type === 'enabled' && thinking.budget_tokens > 0) {
+        return thinking.budget_tokens;
+    }
+
+    if (reasoningEffort) {
+        const budget = config.reasoningEffortBudgets[reasoningEffort];
+        if (budget) {
+            return budget;
+        }
+        logger.warn(`[OpenAI→Anthropic] Unsupported reasoning_effort: ${reasoningEffort}`);
+    }
+
+    const modelDefault = Object.entries(config.thinkingBudgets || {}).find(([pattern]) => matchModelPattern(pattern, model));
+    return modelDefault ? modelDefault[1] : null;
+}
+
+/**
+ * Enable extended thinking, keeping the request valid for it
+ * @param {Object} anthropicRequest - Anthropic request (modified in place)
+ * @param {number} budgetTokens - Requested thinking budget
+ * @param {boolean} hasMaxTokens - Whether the client set max_tokens
+ */
+function applyThinking(anthropicRequest, budgetTokens, hasMaxTokens) {
+    // Anthropic rejects extended thinking when tool use is forced (e.g. by response_format)
+    if (anthropicRequest.tool_choice?.type === 'any' || anthropicRequest.tool_choice?.type === 'tool') {
+        logger.debug('[OpenAI→Anthropic] Not enabling thinking, incompatible with forced tool use');
+        return;
+    }
+
+    // max_tokens must exceed budget_tokens
+    let budget = Math.max(MIN_THINKING_BUDGET, budgetTokens);
+    if (!hasMaxTokens) {
+        // Without a client limit the answer keeps the default room on top of the budget
+        anthropicRequest.max_tokens = DEFAULT_MAX_TOKENS + budget;
+    } else if (budget >= anthropicRequest.max_tokens) {
+        // A client limit covers thinking and answer, like OpenAI's max_completion_tokens
+        budget = anthropicRequest.max_tokens - 1;
+        if (budget < MIN_THINKING_BUDGET) {
+            logger.debug(`[OpenAI→Anthropic] Not enabling thinking, max_tokens ${anthropicRequest.max_tokens} leaves no room for it`);
+            return;
+        }
+    }
+    anthropicRequest.thinking = { type: 'enabled', budget_tokens: budget };
+
+    // Thinking requires the default temperature and top_p >= 0.95
+    if (anthropicRequest.temperature !== undefined && anthropicRequest.temperature !== 1) {
+        logger.debug('[OpenAI→Anthropic] Dropping temperature, incompatible with thinking');
+        delete anthropicRequest.temperature;
+    }
+    if (anthropicRequest.top_p !== undefined && anthropicRequest.top_p < 0.95) {
+        logger.debug('[OpenAI→Anthropic] Dropping top_p, incompatible with thinking');
+        delete anthropicRequest.top_p;
+    }
+}
+
 /**
  * Map OpenAI model names to Anthropic/Antigravity model names
- * @param {string} openaiModel - OpenAI model name
+ * @param {string} [openaiModel] - OpenAI model name (config.defaultModel when missing)
  * @returns {string} - Anthropic/Antigravity model name
  */
 function mapModel(openaiModel) {
-    // No mapping - use the model ID directly from the request as requested by user
-    return openaiModel;
+    // Names without an alias are used directly
+    return resolveModel(openaiModel);
 }
 
 /**
@@ -321,11 +629,13 @@ export function convertOpenAIToAnthropic(openaiRequest) {
         tool_choice,
         response_format,
         stop,
+        n,
+        reasoning_effort,
+        thinking,
         // OpenAI-specific params we'll ignore
         frequency_penalty,
         presence_penalty,
         logprobs,
-        n,
         seed,
         user
     } = openaiRequest;
@@ -335,9 +645,9 @@ export function convertOpenAIToAnthropic(openaiRequest) {
 
     // Build Anthropic request
     const anthropicRequest = {
-        model: mapModel(model || 'gpt-4'),
+        model: mapModel(model),
         messages: anthropicMessages,
-        max_tokens: max_completion_tokens || max_tokens || 4096,
+        max_tokens: max_completion_tokens || max_tokens || DEFAULT_MAX_TOKENS,
         stream: stream || false,
         // Pass through stream options internally for server logic
         openai_stream_options: stream_options
@@ -370,19 +680,42 @@ export function convertOpenAIToAnthropic(openaiRequest) {
         anthropicRequest.tool_choice = anthropicToolChoice;
     }
 
+    // Pass through the number of choices internally, the server fans out one upstream call per choice
+    if (n !== undefined && n !== 1) {
+        anthropicRequest.openai_n = n;
+    }
+
     // Handle stop sequences
     if (stop) {
         anthropicRequest.stop_sequences = Array.isArray(stop) ? stop : [stop];
     }
 
-    // Enable thinking for thinking-capable models
-    if (anthropicRequest.model.includes('thinking')) {
-        anthropicRequest.thinking = {
-            type: 'enabled',
-            budget_tokens: Math.min(16000, Math.floor((anthropicRequest.max_tokens || 4096) * 0.5))
-        };
+    // Enforce response_format through a synthetic tool
+    const structuredOutput = convertResponseFormat(response_format);
+    if (structuredOutput) {
+        anthropicRequest.tools = [...(anthropicRequest.tools || []), structuredOutput.tool];
+
+        // Without other tools (or with tool_choice none, the client's tools must not be called) the model
+        // must answer through the synthetic tool; with other tools it may call those first, but must call some tool
+        if (anthropicRequest.tools.length === 1 || anthropicRequest.tool_choice?.type === 'none') {
+            anthropicRequest.tool_choice = { type: 'tool', name: structuredOutput.tool.name };
+        } else if (!anthropicRequest.tool_choice || anthropicRequest.tool_choice.type === 'auto') {
+            anthropicRequest.tool_choice = { type: 'any' };
+        }
+
+        // Pass through response format internally for response conversion
+        anthropicRequest.openai_response_format = structuredOutput.format;
     }
 
+    // Extended thinking - after response_format, which may force tool use
+    const budgetTokens = resolveThinkingBudget(thinking, reasoning_effort, anthropicRequest.model);
+    if (budgetTokens) {
+        applyThinking(anthropicRequest, budgetTokens, !!(max_completion_tokens || max_tokens));
+    }
+
+    // Last, so the synthetic response_format tool is part of the cached prefix
+    addCacheBreakpoints(anthropicRequest);
+
     logger.debug(`[OpenAI→Anthropic] Converted request for model: ${model} -> ${anthropicRequest.model}`);
 
     return anthropicRequest;
@@ -390,8 +723,10 @@ export function convertOpenAIToAnthropic(openaiRequest) {
 
 export default {
     convertOpenAIToAnthropic,
+    findUnsupportedContent,
     mapModel,
     convertMessages,
     convertTools,
-    convertToolChoice
+    convertToolChoice,
+    convertResponseFormat
 };
\ No newline at end of file
@@ -0,0 +1,664 @@
+/**
+ * OpenAI Responses API Converter
+ * Converts Responses API requests to Chat Completions format (so they can go through
+ * convertOpenAIToAnthropic) and Anthropic Messages responses back to Responses format
+ */
+
+import crypto from 'crypto';
+import { logger } from '../utils/logger.js';
+import { estimateReasoningTokens } from './anthropic-to-openai.js';
+
+/**
+ * Generate a Responses-style object ID
+ * @param {string} prefix - ID prefix (resp, msg, fc, rs)
+ * @returns {string}
+ */
+function generateId(prefix) {
+    return `${prefix}_${crypto.randomBytes(12).toString('hex')}`;
+}
+
+/**
+ * Pack an Anthropic thinking block into a reasoning item's encrypted_content
+ * Opaque to clients, who send it back unchanged so the signed block can be restored
+ * @param {Object} block - Anthropic thinking or redacted_thinking block
+ * @returns {string}
+ */
+function encodeReasoningContent(block) {
+    return Buffer.from(JSON.stringify(block)).toString('base64');
+}
+
+/**
+ * Unpack the Anthropic thinking block of a reasoning item's encrypted_content
+ * @param {string} encryptedContent - encrypted_content from an input reasoning item
+ * @returns {Object|null} - Thinking block, null when it is not one of ours
+ */
+function decodeReasoningContent(encryptedContent) {
+    try {
+        const block = JSON.parse(Buffer.from(encryptedContent, 'base64').toString('utf-8'));
+        if ((block?.type === 'thinking' && block.signature) || (block?.type === 'redacted_thinking' && block.data)) {
+            return block;
+        }
+    } catch (e) {
+        // Not produced by this adapter
+    }
+    return null;
+}
+
+/**
+ * Whether a request asked for reasoning items to carry encrypted_content
+ * @param {Object} responsesRequest - Responses API request
+ * @returns {boolean}
+ */
+function includesEncryptedReasoning(responsesRequest) {
+    return Array.isArray(responsesRequest.include) && responsesRequest.include.includes('reasoning.encrypted_content');
+}
+
+/**
+ * Find the first malformed part of a Responses input - input items and their content parts must be objects
+ * @param {string|Array} input - Responses input
+ * @returns {{ message: string, param: string }|null} - The problem, null when the input is well formed
+ */
+export function findInvalidInput(input) {
+    if (typeof input === 'string') {
+        return null;
+    }
+    if (!Array.isArray(input)) {
+        return { message: 'input must be a string or an array of input items', param: 'input' };
+    }
+
+    const isObject = value => !!value && typeof value === 'object' && !Array.isArray(value);
+    for (const [i, item] of input.entries()) {
+        if (!isObject(item)) {
+            return { message: `input[${i}] must be an object`, param: `input[${i}]` };
+        }
+        if (!Array.isArray(item.content)) {
+            continue;
+        }
+        const j = item.content.findIndex(part => !isObject(part));
+        if (j >= 0) {
+            return { message: `input[${i}].content[${j}] must be an object`, param: `input[${i}].content[${j}]` };
+        }
+    }
+    return null;
+}
+
+/**
+ * Convert Responses content parts to Chat Completions content parts
+ * @param {string|Array} content - Responses message content
+ * @returns {string|Array} - Chat Completions content
+ */
+function convertInputContent(content) {
+    if (typeof content === 'string' || !Array.isArray(content)) {
+        return content;
+    }
+
+    const parts = [];
+    for (const part of content) {
+        switch (part.type) {
+            case 'input_text':
+            case 'output_text':
+            case 'text':
+                parts.push({ type: 'text', text: part.text });
+                break;
+
+            case 'input_image':
+                parts.push({
+                    type: 'image_url',
+                    image_url: { url: part.image_url, file_id: part.file_id, detail: part.detail }
+                });
+                break;
+
+            case 'input_file':
+                parts.push({
+                    type: 'file',
+                    file: { file_data: part.file_data, file_id: part.file_id, filename: part.filename }
+                });
+                break;
+
+            default:
+                // Kept as is - user content is validated (and unsupported parts rejected) after conversion
+                parts.push(part);
+        }
+    }
+
+    return parts;
+}
+
+/**
+ * Convert Responses input items to Chat Completions messages
+ * @param {string|Array} input - Responses input
+ * @param {string} [instructions] - Responses instructions (system prompt)
+ * @returns {Array} - Chat Completions messages
+ */
+function convertInput(input, instructions) {
+    const messages = [];
+
+    if (instructions) {
+        messages.push({ role: 'system', content: instructions });
+    }
+
+    if (typeof input === 'string') {
+        messages.push({ role: 'user', content: input });
+        return messages;
+    }
+
+    // Thinking restored from reasoning items, for the assistant turn that follows them
+    let thinkingBlocks = [];
+    const takeThinkingBlocks = () => {
+        const blocks = thinkingBlocks;
+        thinkingBlocks = [];
+        return blocks;
+    };
+
+    for (const item of input || []) {
+        // Message items (type is optional for messages)
+        if (!item.type || item.type === 'message') {
+            const role = item.role === 'developer' ? 'system' : item.role;
+            const message = { role, content: convertInputContent(item.content) };
+            if (role === 'assistant' && thinkingBlocks.length > 0) {
+                message.thinking_blocks = takeThinkingBlocks();
+            }
+            messages.push(message);
+            continue;
+        }
+
+        if (item.type === 'reasoning') {
+            const block = item.encrypted_content && decodeReasoningContent(item.encrypted_content);
+            if (block) {
+                thinkingBlocks.push(block);
+            } else {
+                logger.debug('[Responses] Skipping reasoning item without encrypted_content');
+            }
+            continue;
+        }
+
+        if (item.type === 'function_call') {
+            const toolCall = {
+                id: item.call_id,
+                type: 'function',
+                function: {
+                    name: item.name,
+                    arguments: item.arguments || '{}'
+                }
+            };
+
+            // Consecutive function calls belong to the same assistant turn
+            const lastMsg = messages[messages.length - 1];
+            if (lastMsg && lastMsg.role === 'assistant') {
+                lastMsg.tool_calls = [...(lastMsg.tool_calls || []), toolCall];
+                if (thinkingBlocks.length > 0) {
+                    lastMsg.thinking_blocks = [...(lastMsg.thinking_blocks || []), ...takeThinkingBlocks()];
+                }
+            } else {
+                const message = { role: 'assistant', content: null, tool_calls: [toolCall] };
+                if (thinkingBlocks.length > 0) {
+                    message.thinking_blocks = takeThinkingBlocks();
+                }
+                messages.push(message);
+            }
+            continue;
+        }
+
+        if (item.type === 'function_call_output') {
+            messages.push({
+                role: 'tool',
+                tool_call_id: item.call_id,
+                content: typeof item.output === 'string' ? item.output : JSON.stringify(item.output)
+            });
+            continue;
+        }
+
+        // Built-in tool calls have no Chat Completions equivalent
+        logger.debug(`[Responses] Skipping input item of type: ${item.type}`);
+    }
+
+    return messages;
+}
+
+/**
+ * Convert Responses tools to Chat Completions tools
+ * @param {Array} tools - Responses tools definition
+ * @returns {Array|undefined} - Chat Completions tools definition
+ */
+function convertTools(tools) {
+    if (!tools || !Array.isArray(tools)) {
+        return undefined;
+    }
+
+    const converted = [];
+    for (const tool of tools) {
+        if (tool.type !== 'function') {
+            logger.warn(`[Responses] Ignoring unsupported built-in tool: ${tool.type}`);
+            continue;
+        }
+        converted.push({
+            type: 'function',
+            function: {
+                name: tool.name,
+                description: tool.description,
+                parameters: tool.parameters
+            }
+        });
+    }
+
+    return converted;
+}
+
+/**
+ * Convert Responses tool_choice to Chat Completions tool_choice
+ * @param {string|Object} toolChoice - Responses tool choice
+ * @returns {string|Object|undefined}
+ */
+function convertToolChoice(toolChoice) {
+    if (toolChoice && typeof toolChoice === 'object' && toolChoice.type === 'function') {
+        return { type: 'function', function: { name: toolChoice.name } };
+    }
+    return toolChoice;
+}
+
+/**
+ * Convert a Responses API request to a Chat Completions request
+ * @param {Object} responsesRequest - Responses API request
+ * @returns {Object} - Chat Completions request (input for convertOpenAIToAnthropic)
+ */
+export function convertResponsesToChat(responsesRequest) {
+    const {
+        model,
+        input,
+        instructions,
+        tools,
+        tool_choice,
+        max_output_tokens,
+        temperature,
+        top_p,
+        stream,
+        reasoning
+    } = responsesRequest;
+
+    return {
+        model,
+        messages: convertInput(input, instructions),
+        max_tokens: max_output_tokens,
+        temperature,
+        top_p,
+        stream,
+        reasoning_effort: reasoning?.effort,
+        tools: convertTools(tools),
+        tool_choice: convertToolChoice(tool_choice)
+    };
+}
+
+/**
+ * Build the Responses object envelope
+ * @param {Object} responsesRequest - Original Responses API request
+ * @param {Object} fields - Fields that vary per response (id, status, output, usage...)
+ * @returns {Object} - Responses API response object
+ */
+function buildResponse(responsesRequest, fields) {
+    return {
+        id: fields.id,
+        object: 'response',
+        created_at: fields.created_at,
+        status: fields.status,
+        error: null,
+        incomplete_details: fields.incomplete_details || null,
+        instructions: responsesRequest.instructions || null,
+        max_output_tokens: responsesRequest.max_output_tokens || null,
+        model: responsesRequest.model,
+        output: fields.output,
+        parallel_tool_calls: responsesRequest.parallel_tool_calls ?? true,
+        previous_response_id: null,
+        reasoning: { effort: responsesRequest.reasoning?.effort || null, summary: responsesRequest.reasoning?.summary || null },
+        store: false,
+        temperature: responsesRequest.temperature ?? 1,
+        text: { format: { type: 'text' } },
+        tool_choice: responsesRequest.tool_choice || 'auto',
+        tools: responsesRequest.tools || [],
+        top_p: responsesRequest.top_p ?? 1,
+        truncation: 'disabled',
+        usage: fields.usage || null,
+        user: responsesRequest.user || null,
+        metadata: responsesRequest.metadata || {}
+    };
+}
+
+/**
+ * Convert Anthropic usage to Responses usage
+ * @param {Object} usage - Anthropic usage
+ * @param {number} [thinkingChars] - Length of the response's thinking text
+ * @returns {Object} - Responses usage
+ */
+function convertUsage(usage, thinkingChars = 0) {
+    // Anthropic input_tokens exclude prompt cache reads and writes, Responses input_tokens include them
+    const cachedTokens = usage?.cache_read_input_tokens || 0;
+    const cacheCreationTokens = usage?.cache_creation_input_tokens || 0;
+    const inputTokens = (usage?.input_tokens || 0) + cachedTokens + cacheCreationTokens;
+    const outputTokens = usage?.output_tokens || 0;
+    return {
+        input_tokens: inputTokens,
+        input_tokens_details: { cached_tokens: cachedTokens, cache_creation_tokens: cacheCreationTokens },
+        output_tokens: outputTokens,
+        output_tokens_details: { reasoning_tokens: estimateReasoningTokens(thinkingChars, outputTokens) },
+        total_tokens: inputTokens + outputTokens
+    };
+}
+
+/**
+ * Map Anthropic stop reason to Responses status and incomplete details
+ * @param {string} stopReason - Anthropic stop reason
+ * @returns {{ status: string, incomplete_details: Object|null }}
+ */
+function mapStatus(stopReason) {
+    if (stopReason === 'max_tokens') {
+        return { status: 'incomplete', incomplete_details: { reason: 'max_output_tokens' } };
+    }
+    return { status: 'completed', incomplete_details: null };
+}
+
+/**
+ * Convert Anthropic content blocks to Responses output items
+ * @param {Array} content - Anthropic content blocks
+ * @param {boolean} [includeEncrypted] - Attach the signed thinking to reasoning items as encrypted_content
+ * @returns {Array} - Responses output items
+ */
+function convertOutput(content, includeEncrypted = false) {
+    const output = [];
+    let message = null;
+
+    for (const block of content || []) {
+        switch (block.type) {
+            case 'thinking':
+                output.push({
+                    type: 'reasoning',
+                    id: generateId('rs'),
+                    summary: [{ type: 'summary_text', text: block.thinking }],
+                    ...(includeEncrypted && block.signature && {
+                        encrypted_content: encodeReasoningContent({ type: 'thinking', thinking: block.thinking, signature: block.signature })
+                    })
+                });
+                break;
+
+            case 'redacted_thinking':
+                // Nothing to show, only useful to send back
+                if (includeEncrypted) {
+                    output.push({
+                        type: 'reasoning',
+                        id: generateId('rs'),
+                        summary: [],
+                        encrypted_content: encodeReasoningContent({ type: 'redacted_thinking', data: block.data })
+                    });
+                }
+                break;
+
+            case 'text':
+                // Adjacent text blocks are merged into a single message item
+                if (!message) {
+                    message = {
+                        type: 'message',
+                        id: generateId('msg'),
+                        status: 'completed',
+                        role: 'assistant',
+                        content: []
+                    };
+                    output.push(message);
+                }
+                message.content.push({ type: 'output_text', text: block.text, annotations: [] });
+                break;
+
+            case 'tool_use':
+                message = null;
+                output.push({
+                    type: 'function_call',
+                    id: generateId('fc'),
+                    call_id: block.id,
+                    name: block.name,
+                    arguments: JSON.stringify(block.input || {}),
+                    status: 'completed'
+                });
+                break;
+        }
+    }
+
+    return output;
+}
+
+/**
+ * Get the length of the thinking text in Anthropic content blocks
+ * @param {Array} content - Anthropic content blocks
+ * @returns {number}
+ */
+function getThinkingLength(content) {
+    return (content || [])
+        .filter(block => block.type === 'thinking')
+        .reduce((length, block) => length + (block.thinking || '').length, 0);
+}
+
+/**
+ * Convert Anthropic Messages response to Responses API format
+ * @param {Object} anthropicResponse - Anthropic Messages API response
+ * @param {Object} responsesRequest - Original Responses API request
+ * @returns {Object} - Responses API response
+ */
+export function convertAnthropicToResponses(anthropicResponse, responsesRequest) {
+    const response = buildResponse(responsesRequest, {
+        id: generateId('resp'),
+        created_at: Math.floor(Date.now() / 1000),
+        ...mapStatus(anthropicResponse.stop_reason),
+        output: convertOutput(anthropicResponse.content, includesEncryptedReasoning(responsesRequest)),
+        usage: convertUsage(anthropicResponse.usage, getThinkingLength(anthropicResponse.content))
+    });
+
+    logger.debug(`[Anthropic→Responses] Converted response: ${response.status}, tokens: ${response.usage.total_tokens}`);
+
+    return response;
+}
+
+/**
+ * Create the state object used by convertResponsesStreamEvent
+ * @param {Object} responsesRequest - Original Responses API request
+ * @returns {Object} - Streaming state
+ */
+export function createResponsesStreamState(responsesRequest) {
+    return {
+        request: responsesRequest,
+        id: generateId('resp'),
+        created_at: Math.floor(Date.now() / 1000),
+        sequenceNumber: 0,
+        output: [],
+        blocks: {},
+        usage: {},
+        thinkingChars: 0,
+        stopReason: null
+    };
+}
+
+/**
+ * Convert Anthropic streaming event to Responses streaming events
+ * @param {Object} anthropicEvent - Anthropic SSE event
+ * @param {Object} state - State created by createResponsesStreamState
+ * @returns {Array<Object>} - Responses events to send (each carries its `type`)
+ */
+export function convertResponsesStreamEvent(anthropicEvent, state) {
+    const events = [];
+    const emit = (type, fields) => {
+        events.push({ type, sequence_number: state.sequenceNumber++, ...fields });
+    };
+    const snapshot = (status, extra = {}) => buildResponse(state.request, {
+        id: state.id,
+        created_at: state.created_at,
+        status,
+        output: state.output,
+        ...extra
+    });
+
+    switch (anthropicEvent.type) {
+        case 'message_start':
+            Object.assign(state.usage, anthropicEvent.message?.usage);
+            emit('response.created', { response: snapshot('in_progress', { output: [] }) });
+            emit('response.in_progress', { response: snapshot('in_progress', { output: [] }) });
+            break;
+
+        case 'content_block_start': {
+            const block = anthropicEvent.content_block;
+            const outputIndex = state.output.length;
+            let item;
+
+            if (block?.type === 'text') {
+                item = { type: 'message', id: generateId('msg'), status: 'in_progress', role: 'assistant', content: [] };
+            } else if (block?.type === 'thinking') {
+                item = { type: 'reasoning', id: generateId('rs'), summary: [] };
+            } else if (block?.type === 'redacted_thinking' && includesEncryptedReasoning(state.request)) {
+                item = {
+                    type: 'reasoning',
+                    id: generateId('rs'),
+                    summary: [],
+                    encrypted_content: encodeReasoningContent({ type: 'redacted_thinking', data: block.data })
+                };
+            } else if (block?.type === 'tool_use') {
+                item = {
+                    type: 'function_call',
+                    id: generateId('fc'),
+                    call_id: block.id,
+                    name: block.name,
+                    arguments: '',
+                    status: 'in_progress'
+                };
+            } else {
+                break;
+            }
+
+            state.output.push(item);
+            state.blocks[anthropicEvent.index] = { outputIndex, item, text: '', signature: '', redacted: block.type === 'redacted_thinking' };
+            emit('response.output_item.added', { output_index: outputIndex, item });
+
+            if (item.type === 'message') {
+                emit('response.content_part.added', {
+                    item_id: item.id,
+                    output_index: outputIndex,
+                    content_index: 0,
+                    part: { type: 'output_text', text: '', annotations: [] }
+                });
+            } else if (item.type === 'reasoning' && block.type === 'thinking') {
+                emit('response.reasoning_summary_part.added', {
+                    item_id: item.id,
+                    output_index: outputIndex,
+                    summary_index: 0,
+                    part: { type: 'summary_text', text: '' }
+                });
+            }
+            break;
+        }
+
+        case 'content_block_delta': {
+            const current = state.blocks[anthropicEvent.index];
+            const delta = anthropicEvent.delta;
+            if (!current) break;
+
+            if (delta?.type === 'text_delta' && delta.text) {
+                current.text += delta.text;
+                emit('response.output_text.delta', {
+                    item_id: current.item.id,
+                    output_index: current.outputIndex,
+                    content_index: 0,
+                    delta: delta.text
+                });
+            } else if (delta?.type === 'thinking_delta' && delta.thinking) {
+                current.text += delta.thinking;
+                state.thinkingChars += delta.thinking.length;
+                emit('response.reasoning_summary_text.delta', {
+                    item_id: current.item.id,
+                    output_index: current.outputIndex,
+                    summary_index: 0,
+                    delta: delta.thinking
+                });
+            } else if (delta?.type === 'signature_delta' && delta.signature) {
+                current.signature += delta.signature;
+            } else if (delta?.type === 'input_json_delta' && delta.partial_json) {
+                current.text += delta.partial_json;
+                emit('response.function_call_arguments.delta', {
+                    item_id: current.item.id,
+                    output_index: current.outputIndex,
+                    delta: delta.partial_json
+                });
+            }
+            break;
+        }
+
+        case 'content_block_stop': {
+            const current = state.blocks[anthropicEvent.index];
+            if (!current) break;
+            const { item, outputIndex, text, signature, redacted } = current;
+
+            if (item.type === 'message') {
+                const part = { type: 'output_text', text, annotations: [] };
+                item.content = [part];
+                item.status = 'completed';
+                emit('response.output_text.done', { item_id: item.id, output_index: outputIndex, content_index: 0, text });
+                emit('response.content_part.done', { item_id: item.id, output_index: outputIndex, content_index: 0, part });
+            } else if (item.type === 'reasoning' && !redacted) {
+                const part = { type: 'summary_text', text };
+                item.summary = [part];
+                if (signature && includesEncryptedReasoning(state.request)) {
+                    item.encrypted_content = encodeReasoningContent({ type: 'thinking', thinking: text, signature });
+                }
+                emit('response.reasoning_summary_text.done', { item_id: item.id, output_index: outputIndex, summary_index: 0, text });
+                emit('response.reasoning_summary_part.done', { item_id: item.id, output_index: outputIndex, summary_index: 0, part });
+            } else if (item.type === 'function_call') {
+                item.arguments = text || '{}';
+                item.status = 'completed';
+                emit('response.function_call_arguments.done', { item_id: item.id, output_index: outputIndex, arguments: item.arguments });
+            }
+
+            emit('response.output_item.done', { output_index: outputIndex, item });
+            delete state.blocks[anthropicEvent.index];
+            break;
+        }
+
+        case 'message_delta':
+            if (anthropicEvent.delta?.stop_reason) {
+                state.stopReason = anthropicEvent.delta.stop_reason;
+            }
+            Object.assign(state.usage, anthropicEvent.usage);
+            break;
+
+        case 'message_stop':
+            const { status, incomplete_details } = mapStatus(state.stopReason);
+            emit(status === 'completed' ? 'response.completed' : 'response.incomplete', {
+                response: snapshot(status, { incomplete_details, usage: convertUsage(state.usage, state.thinkingChars) })
+            });
+            break;
+
+        case 'error':
+            logger.error(`[Anthropic→Responses] Stream error: ${JSON.stringify(anthropicEvent.error)}`);
+            emit('response.failed', {
+                response: {
+                    ...snapshot('failed'),
+                    error: {
+                        code: anthropicEvent.error?.type || 'server_error',
+                        message: anthropicEvent.error?.message || 'Upstream stream error'
+                    }
+                }
+            });
+            break;
+    }
+
+    return events;
+}
+
+/**
+ * Usage reported by upstream so far in a Responses stream (complete once message_delta arrived)
+ * @param {Object} state - Streaming state from createResponsesStreamState
+ * @returns {Object} - Responses usage
+ */
+export function getResponsesStreamUsage(state) {
+    return convertUsage(state.usage, state.thinkingChars);
+}
+
+export default {
+    findInvalidInput,
+    convertResponsesToChat,
+    convertAnthropicToResponses,
+    createResponsesStreamState,
+    convertResponsesStreamEvent,
+    getResponsesStreamUsage
+};
\ No newline at end of file
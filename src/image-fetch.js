@@ -0,0 +1,271 @@
+/**
+ * Remote image fetching
+ * Downloads http(s) image URLs and inlines them as base64 image blocks, for upstreams that cannot
+ * fetch them (Gemini models, URLs only reachable from the adapter) - with size, time and type limits,
+ * private address blocking and an in-memory cache of recent URLs
+ */
+
+import dns from 'dns';
+import http from 'http';
+import https from 'https';
+import net from 'net';
+import { config } from './config.js';
+import { logger } from './utils/logger.js';
+import { IMAGE_MEDIA_TYPES, sniffMediaType } from './utils/media-type.js';
+
+const MAX_REDIRECTS = 3;
+const REDIRECT_STATUSES = [301, 302, 303, 307, 308];
+
+// Downloaded images are reused this long
+const IMAGE_CACHE_TTL = 10 * 60 * 1000;
+
+// Loopback, private, link-local, shared, multicast and reserved ranges, and the IPv6 prefixes
+// that embed an IPv4 address (NAT64, 6to4)
+const PRIVATE_RANGES = new net.BlockList();
+for (const [address, prefix] of [
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+    ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+]) {
+    PRIVATE_RANGES.addSubnet(address, prefix, 'ipv4');
+}
+for (const [address, prefix] of [
+    ['::', 127], ['64:ff9b::', 96], ['2002::', 16], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+]) {
+    PRIVATE_RANGES.addSubnet(address, prefix, 'ipv6');
+}
+
+// url -> { expiresAt, image: Promise<{ media_type, data }> }, in least recently used order
+const cache = new Map();
+
+/**
+ * Create the error returned for an image that cannot be used
+ * @param {string} message - Error message
+ * @returns {Error}
+ */
+function createImageError(message) {
+    const error = new Error(message);
+    error.status = 400;
+    error.type = 'invalid_request_error';
+    error.code = 'invalid_image_url';
+    error.param = 'messages';
+    return error;
+}
+
+/**
+ * Whether an IP address is private, loopback, link-local or reserved
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean}
+ */
+function isPrivateAddress(address) {
+    // BlockList matches IPv4-mapped IPv6 addresses (::ffff:10.0.0.1) against the IPv4 ranges
+    return PRIVATE_RANGES.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+}
+
+/**
+ * Create the DNS lookup of an image download: it fails when the host resolves to a private address,
+ * so the checked address is the one connected to (resolving again could return another one)
+ * @param {URL} url - Image URL
+ * @returns {Function} - lookup option of http.request
+ */
+function createPublicLookup(url) {
+    return (hostname, options, callback) => {
+        dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+            if (error) {
+                return callback(createImageError(`Failed to fetch image ${url.href}: cannot resolve ${hostname}`));
+            }
+            if (addresses.some(({ address }) => isPrivateAddress(address))) {
+                return callback(createImageError(`Image URL ${url.href} points to a private address`));
+            }
+            if (options.all) {
+                callback(null, addresses);
+            } else {
+                callback(null, addresses[0].address, addresses[0].family);
+            }
+        });
+    };
+}
+
+/**
+ * Send the GET request of an image download
+ * Unless private addresses are allowed, IP hosts are checked here and hostnames when they are resolved
+ * @param {URL} url - Image URL
+ * @param {AbortSignal} signal - Download timeout
+ * @returns {Promise<http.IncomingMessage>}
+ */
+function requestImage(url, signal) {
+    const hostname = url.hostname.replace(/^\[|\]$/g, '');
+    if (!config.imageFetchAllowPrivate && net.isIP(hostname) && isPrivateAddress(hostname)) {
+        return Promise.reject(createImageError(`Image URL ${url.href} points to a private address`));
+    }
+
+    const client = url.protocol === 'https:' ? https : http;
+    return new Promise((resolve, reject) => {
+        client.get(url, {
+            signal,
+            headers: { accept: 'image/*' },
+            lookup: config.imageFetchAllowPrivate ? undefined : createPublicLookup(url)
+        }, resolve).on('error', reject);
+    });
+}
+
+/**
+ * Read a response body, up to imageMaxBytes
+ * @param {http.IncomingMessage} response - Image response
+ * @param {string} url - Image URL (for errors)
+ * @returns {Promise<Buffer>}
+ */
+async function readBody(response, url) {
+    const tooLarge = () => createImageError(`Image ${url} is larger than ${config.imageMaxBytes} bytes`);
+    if (parseInt(response.headers['content-length'], 10) > config.imageMaxBytes) {
+        response.destroy();
+        throw tooLarge();
+    }
+
+    const chunks = [];
+    let size = 0;
+    for await (const chunk of response) {
+        size += chunk.length;
+        if (size > config.imageMaxBytes) {
+            response.destroy();
+            throw tooLarge();
+        }
+        chunks.push(chunk);
+    }
+    return Buffer.concat(chunks);
+}
+
+/**
+ * Download an image, following redirects (each hop is checked against private addresses)
+ * @param {string} imageUrl - http(s) image URL
+ * @returns {Promise<{ media_type: string, data: string }>} - Anthropic base64 image source fields
+ */
+async function downloadImage(imageUrl) {
+    const signal = AbortSignal.timeout(config.imageFetchTimeout);
+
+    try {
+        let url = new URL(imageUrl);
+        for (let redirects = 0; ; redirects++) {
+            const response = await requestImage(url, signal);
+
+            if (REDIRECT_STATUSES.includes(response.statusCode) && response.headers.location) {
+                response.destroy();
+                if (redirects >= MAX_REDIRECTS) {
+                    throw createImageError(`Failed to fetch image ${imageUrl}: too many redirects`);
+                }
+                url = new URL(response.headers.location, url);
+                if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+                    throw createImageError(`Failed to fetch image ${imageUrl}: redirected to ${url.protocol} URL`);
+                }
+                continue;
+            }
+
+            if (response.statusCode < 200 || response.statusCode >= 300) {
+                response.destroy();
+                throw createImageError(`Failed to fetch image ${imageUrl}: HTTP ${response.statusCode}`);
+            }
+
+            const contentType = response.headers['content-type']?.split(';')[0].trim().toLowerCase();
+            if (contentType && !contentType.startsWith('image/') && contentType !== 'application/octet-stream') {
+                response.destroy();
+                throw createImageError(`URL ${imageUrl} is not an image (${contentType})`);
+            }
+
+            // The type comes from the image data, the Content-Type header is not trusted
+            const data = await readBody(response, imageUrl);
+            const mediaType = sniffMediaType(data);
+            if (!IMAGE_MEDIA_TYPES.includes(mediaType)) {
+                throw createImageError(`URL ${imageUrl} is not a supported image (png, jpeg, gif or webp)`);
+            }
+
+            logger.debug(`[Images] Fetched ${imageUrl} (${mediaType}, ${data.length} bytes)`);
+            return { media_type: mediaType, data: data.toString('base64') };
+        }
+    } catch (error) {
+        if (error.code === 'invalid_image_url') {
+            throw error;
+        }
+        const reason = signal.aborted
+            ? `timed out after ${config.imageFetchTimeout}ms`
+            : error.message;
+        throw createImageError(`Failed to fetch image ${imageUrl}: ${reason}`);
+    }
+}
+
+/**
+ * Get an image, from the cache or downloaded (concurrent requests for a URL share one download)
+ * @param {string} url - http(s) image URL
+ * @returns {Promise<{ media_type: string, data: string }>}
+ */
+function getImage(url) {
+    const entry = cache.get(url);
+    if (entry && entry.expiresAt > Date.now()) {
+        cache.delete(url);
+        cache.set(url, entry);
+        return entry.image;
+    }
+
+    const image = downloadImage(url);
+    cache.delete(url);
+    cache.set(url, { expiresAt: Date.now() + IMAGE_CACHE_TTL, image });
+    // Failures are not cached
+    image.catch(() => {
+        if (cache.get(url)?.image === image) cache.delete(url);
+    });
+
+    for (const key of cache.keys()) {
+        if (cache.size <= config.imageCacheSize) break;
+        cache.delete(key);
+    }
+    return image;
+}
+
+/**
+ * Collect the URL image blocks of a request (user content and tool results)
+ * @param {Array} messages - Anthropic messages
+ * @returns {Array<Object>} - Image blocks with a url source
+ */
+function findUrlImages(messages) {
+    const blocks = [];
+    const visit = content => {
+        if (!Array.isArray(content)) return;
+        for (const block of content) {
+            if (block?.type === 'image' && block.source?.type === 'url') {
+                blocks.push(block);
+            } else if (block?.type === 'tool_result') {
+                visit(block.content);
+            }
+        }
+    };
+    for (const message of messages || []) {
+        visit(message.content);
+    }
+    return blocks;
+}
+
+/**
+ * Replace http(s) URL images of a converted request with downloaded base64 images
+ * Does nothing unless fetchImages is enabled
+ * @param {Object} anthropicRequest - Converted Anthropic request (modified in place)
+ * @returns {Promise<void>} - Rejects with an invalid_image_url error when an image cannot be used
+ */
+export async function inlineRemoteImages(anthropicRequest) {
+    if (!config.fetchImages) {
+        return;
+    }
+
+    const blocks = findUrlImages(anthropicRequest.messages);
+    for (const block of blocks) {
+        if (!/^https?:\/\//i.test(block.source.url)) {
+            throw createImageError(`Invalid image URL ${block.source.url.slice(0, 100)}: only http(s) URLs and base64 data URIs are supported`);
+        }
+    }
+
+    const images = await Promise.all(blocks.map(block => getImage(block.source.url)));
+    blocks.forEach((block, i) => {
+        block.source = { type: 'base64', ...images[i] };
+    });
+}
+
+export default {
+    inlineRemoteImages
+};
\ No newline at end of file
@@ -3,9 +3,13 @@
  * Entry point - starts the server
  */
 
-import app from './server.js';
+import app, { executeBatchRequest } from './server.js';
 import { config } from './config.js';
 import { logger } from './utils/logger.js';
+import { watchApiKeys } from './api-keys.js';
+import { initUsageLedger } from './usage-ledger.js';
+import { startBatchWorker } from './batches.js';
+import { getPrimaryUpstream, getUpstreamStatus, startHealthChecks } from './upstream-pool.js';
 import { spawn } from 'child_process';
 
 const PORT = config.port;
@@ -16,8 +20,16 @@ const PORT = config.port;
 function startProxy() {
     if (!config.autoStartProxy) return;
 
+    // Several upstream instances are managed outside the adapter
+    if (config.upstreams.length > 1) {
+        logger.info('Multiple upstreams configured, skipping auto-start of proxy');
+        return;
+    }
+
+    const upstreamUrl = getPrimaryUpstream().url;
+
     // Check if upstream is localhost, if not, don't auto-start
-    if (!config.upstreamUrl.includes('localhost') && !config.upstreamUrl.includes('127.0.0.1')) {
+    if (!upstreamUrl.includes('localhost') && !upstreamUrl.includes('127.0.0.1')) {
         logger.info('Upstream is not localhost, skipping auto-start of proxy');
         return;
     }
@@ -27,7 +39,7 @@ function startProxy() {
     // Parse the port from upstreamUrl
     let proxyPort = 8080;
     try {
-        const url = new URL(config.upstreamUrl);
+        const url = new URL(upstreamUrl);
         proxyPort = url.port || 8080;
     } catch (e) {
         // Fallback to 8080
@@ -40,7 +52,7 @@ function startProxy() {
             ...process.env,
             PORT: proxyPort, // Ensure the proxy uses the correct port via ENV too
             // Override the API_KEY for the proxy to match what the adapter expects
-            API_KEY: config.upstreamApiKey || 'test'
+            API_KEY: getPrimaryUpstream().apiKey
         }
     });
 
@@ -61,6 +73,9 @@ function startProxy() {
 
 // Start server
 app.listen(PORT, () => {
+    const upstreamUrls = getUpstreamStatus().map(upstream => upstream.url);
+    const upstreamLabel = upstreamUrls.length > 1 ? `${upstreamUrls.length} instances (${config.upstreamStrategy})` : upstreamUrls[0];
+
     console.log('');
     console.log('╔══════════════════════════════════════════════════════════════╗');
     console.log('║                                                              ║');
@@ -68,25 +83,40 @@ app.listen(PORT, () => {
     console.log('║                                                              ║');
     console.log('╠══════════════════════════════════════════════════════════════╣');
     console.log(`║   OpenAI API:http://localhost:${PORT}                ║`);
-    console.log(`║   Upstream:${config.upstreamUrl.padEnd(42)}║`);
+    console.log(`║   Upstream:${upstreamLabel.padEnd(42)}║`);
     console.log('║                                                              ║');
     console.log('╠══════════════════════════════════════════════════════════════╣');
     console.log('║Endpoints:                                                 ║');
     console.log('║   • POST /v1/chat/completions(Chat Completions)           ║');
+    console.log('║   • POST /v1/responses          (Responses API)              ║');
+    console.log('║   • POST /v1/completions        (Legacy Completions)         ║');
     console.log('║   • GET/v1/models             (List Models)                ║');
     console.log('║   • GET  /health                (Health Check)               ║');
+    console.log('║   • GET  /metrics               (Prometheus Metrics)         ║');
     console.log('║                                              ║');
     console.log('╚══════════════════════════════════════════════════════════════╝');
     console.log('');
     logger.success(`Server running on port ${PORT}`);
-    logger.info(`Forwarding to: ${config.upstreamUrl}`);
+    logger.info(`Forwarding to: ${upstreamUrls.join(', ')}`);
 
     if (config.debug) {
         logger.info('Debug mode: enabled');
     }
 
+    // Pick up API key changes without a restart
+    watchApiKeys();
+
+    // Seed token budgets from the usage ledger
+    const ledgerReady = initUsageLedger();
+
     // Auto-start proxy if needed
     startProxy();
+
+    // Probe upstream health for load balancing and /health
+    startHealthChecks();
+
+    // Run batches, resuming unfinished ones, once the token budgets are known
+    ledgerReady.then(() => startBatchWorker(executeBatchRequest));
 });
 
 // Handle graceful shutdown
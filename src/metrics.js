@@ -0,0 +1,196 @@
+/**
+ * Adapter metrics
+ * Request, latency, token, stream and upstream error metrics exposed on /metrics
+ */
+
+import { createCounter, createGauge, createHistogram, renderMetrics } from './utils/prometheus.js';
+
+const LATENCY_BUCKETS = [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120];
+const TTFT_BUCKETS = [0.1, 0.25, 0.5, 1, 2, 5, 10, 30];
+
+// Models upstream has served a request with - the only model label values besides "other"
+const MAX_MODEL_LABELS = 100;
+const knownModels = new Set();
+
+const requestsTotal = createCounter(
+    'adapter_requests_total',
+    'HTTP requests handled by the adapter',
+    ['route', 'model', 'status']
+);
+
+const requestDuration = createHistogram(
+    'adapter_request_duration_seconds',
+    'Time from request to the end of the response',
+    ['route', 'stream'],
+    LATENCY_BUCKETS
+);
+
+const timeToFirstToken = createHistogram(
+    'adapter_time_to_first_token_seconds',
+    'Time from request to the first streamed token',
+    ['route', 'model'],
+    TTFT_BUCKETS
+);
+
+const tokensTotal = createCounter(
+    'adapter_tokens_total',
+    'Tokens reported by upstream usage',
+    ['model', 'type']
+);
+
+const streamsInFlight = createGauge(
+    'adapter_streams_in_flight',
+    'Streaming responses currently open',
+    ['route']
+);
+
+const upstreamErrorsTotal = createCounter(
+    'adapter_upstream_errors_total',
+    'Failed upstream attempts (including ones recovered by fallback or retry)',
+    ['model', 'status', 'code']
+);
+
+const modelsCacheTotal = createCounter(
+    'adapter_models_cache_total',
+    'Model list lookups by cache result',
+    ['result']
+);
+
+/**
+ * Route label of a request - the matched route pattern, so label values stay bounded
+ * @param {Object} req - Express request
+ * @returns {string}
+ */
+function getRoute(req) {
+    return req.route?.path || 'unmatched';
+}
+
+/**
+ * Model label of an upstream model - models upstream never served count as "other", so
+ * names sent by clients cannot add label values
+ * @param {string} [model] - Upstream model
+ * @returns {string}
+ */
+function getModelLabel(model) {
+    if (!model) {
+        return '';
+    }
+    return knownModels.has(model) ? model : 'other';
+}
+
+/**
+ * Express middleware recording request count, latency, time to first token and tokens
+ * Responses cut short by the client are counted with status 499, requests rejected before
+ * validation (authentication, rate limits, invalid bodies) without a model
+ */
+export function metricsMiddleware(req, res, next) {
+    const start = process.hrtime.bigint();
+
+    res.on('close', () => {
+        const route = getRoute(req);
+        const model = getModelLabel(res.locals.metricsModel);
+        const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+
+        requestsTotal.inc({ route, model, status: res.writableFinished ? res.statusCode : 499 });
+        requestDuration.observe({ route, stream: String(!!req.body?.stream) }, seconds);
+
+        if (res.locals.firstTokenAt) {
+            timeToFirstToken.observe({ route, model }, Number(res.locals.firstTokenAt - start) / 1e9);
+        }
+
+        const usage = res.locals.usage;
+        if (usage) {
+            tokensTotal.inc({ model, type: 'prompt' }, usage.prompt_tokens);
+            tokensTotal.inc({ model, type: 'completion' }, usage.completion_tokens);
+            tokensTotal.inc({ model, type: 'cached' }, usage.cached_tokens);
+        }
+    });
+
+    next();
+}
+
+/**
+ * Set the model a request is counted under, once it passed authentication and validation
+ * @param {Object} res - Express response
+ * @param {string} model - Upstream model the request resolved to
+ */
+export function setMetricsModel(res, model) {
+    res.locals.metricsModel = model;
+}
+
+/**
+ * Note the models upstream served a request with, the request is counted under the first one
+ * @param {Object} res - Express response
+ * @param {Array<string>} models - Served model of every choice
+ */
+export function recordServedModels(res, models) {
+    for (const model of models) {
+        if (knownModels.size < MAX_MODEL_LABELS) knownModels.add(model);
+    }
+    res.locals.metricsModel = models[0];
+}
+
+/**
+ * Note that a stream sent its first token (only the first call counts)
+ * @param {Object} res - Express response
+ */
+export function markFirstToken(res) {
+    if (!res.locals.firstTokenAt) {
+        res.locals.firstTokenAt = process.hrtime.bigint();
+    }
+}
+
+/**
+ * Count a streaming response as in flight until it closes
+ * @param {Object} res - Express response
+ */
+export function trackStream(res) {
+    const labels = { route: getRoute(res.req) };
+    streamsInFlight.inc(labels);
+    res.once('close', () => streamsInFlight.dec(labels));
+}
+
+/**
+ * Count a failed upstream attempt
+ * @param {string} model - Upstream model
+ * @param {number|string} status - Upstream HTTP status (or the adapter status for network errors and timeouts)
+ * @param {string} code - Error code or type
+ */
+export function recordUpstreamError(model, status, code) {
+    upstreamErrorsTotal.inc({ model: getModelLabel(model), status, code });
+}
+
+/**
+ * Count a models list lookup
+ * @param {boolean} hit - Whether the cached list was used
+ */
+export function recordModelsCache(hit) {
+    modelsCacheTotal.inc({ result: hit ? 'hit' : 'miss' });
+}
+
+/**
+ * Render all adapter metrics in the Prometheus text format
+ * @returns {string}
+ */
+export function renderAdapterMetrics() {
+    return renderMetrics([
+        requestsTotal,
+        requestDuration,
+        timeToFirstToken,
+        tokensTotal,
+        streamsInFlight,
+        upstreamErrorsTotal,
+        modelsCacheTotal
+    ]);
+}
+
+export default {
+    metricsMiddleware,
+    setMetricsModel,
+    recordServedModels,
+    markFirstToken,
+    trackStream,
+    recordUpstreamError,
+    recordModelsCache,
+    renderAdapterMetrics
+};
\ No newline at end of file
@@ -0,0 +1,254 @@
+/**
+ * Per-key rate limiting
+ * Sliding one-minute windows of requests (RPM) and tokens (TPM) per API key,
+ * reported with the x-ratelimit-* headers OpenAI clients already understand
+ */
+
+import { config } from './config.js';
+import { logger } from './utils/logger.js';
+import { createErrorResponse } from './format/anthropic-to-openai.js';
+
+const WINDOW_MS = 60 * 1000;
+
+// Bucket id -> { requests: [time], tokens: [{ time, tokens }] }
+const buckets = new Map();
+
+// Drop buckets that have been idle for a whole window
+setInterval(() => {
+    const now = Date.now();
+    for (const [id, bucket] of buckets) {
+        prune(bucket, now);
+        if (bucket.requests.length === 0 && bucket.tokens.length === 0) {
+            buckets.delete(id);
+        }
+    }
+}, WINDOW_MS).unref();
+
+/**
+ * Remove entries that left the window
+ * @param {Object} bucket - Rate limit bucket
+ * @param {number} now - Current time
+ */
+function prune(bucket, now) {
+    while (bucket.requests.length > 0 && bucket.requests[0] <= now - WINDOW_MS) {
+        bucket.requests.shift();
+    }
+    while (bucket.tokens.length > 0 && bucket.tokens[0].time <= now - WINDOW_MS) {
+        bucket.tokens.shift();
+    }
+}
+
+/**
+ * Get (or create) the bucket for an id
+ * @param {string} id - Bucket id
+ * @returns {Object}
+ */
+function getBucket(id) {
+    let bucket = buckets.get(id);
+    if (!bucket) {
+        bucket = { requests: [], tokens: [] };
+        buckets.set(id, bucket);
+    }
+    return bucket;
+}
+
+/**
+ * Time until usage in a window drops below a limit
+ * @param {Array<{ time: number, weight: number }>} entries - Window entries, oldest first
+ * @param {number} used - Current usage
+ * @param {number} limit - Limit
+ * @param {number} now - Current time
+ * @returns {number} - Milliseconds
+ */
+function timeUntilBelow(entries, used, limit, now) {
+    let remaining = used;
+    for (const entry of entries) {
+        remaining -= entry.weight;
+        if (remaining < limit) {
+            return Math.max(0, entry.time + WINDOW_MS - now);
+        }
+    }
+    return 0;
+}
+
+/**
+ * Format a duration like OpenAI's reset headers (20ms, 1.5s, 6m0s)
+ * @param {number} ms - Milliseconds
+ * @returns {string}
+ */
+function formatDuration(ms) {
+    if (ms < 1000) {
+        return `${Math.ceil(ms)}ms`;
+    }
+    const minutes = Math.floor(ms / 60000);
+    const seconds = Number(((ms % 60000) / 1000).toFixed(3));
+    return minutes > 0 ? `${minutes}m${seconds}s` : `${seconds}s`;
+}
+
+/**
+ * Resolve the limits that apply to a request
+ * Key-level rpm/tpm override the global defaults, 0 means unlimited
+ * @param {Object} [apiKey] - Authenticated key
+ * @returns {{ rpm: number, tpm: number }}
+ */
+function getLimits(apiKey) {
+    return {
+        rpm: apiKey?.rpm ?? config.rateLimitRpm,
+        tpm: apiKey?.tpm ?? config.rateLimitTpm
+    };
+}
+
+/**
+ * Set the x-ratelimit-* headers for the limits in use
+ */
+function setRateLimitHeaders(res, limits, bucket, now) {
+    if (limits.rpm > 0) {
+        const newest = bucket.requests[bucket.requests.length - 1];
+        res.setHeader('x-ratelimit-limit-requests', limits.rpm);
+        res.setHeader('x-ratelimit-remaining-requests', Math.max(0, limits.rpm - bucket.requests.length));
+        res.setHeader('x-ratelimit-reset-requests', formatDuration(newest ? newest + WINDOW_MS - now : 0));
+    }
+    if (limits.tpm > 0) {
+        const used = bucket.tokens.reduce((sum, entry) => sum + entry.tokens, 0);
+        const newest = bucket.tokens[bucket.tokens.length - 1];
+        res.setHeader('x-ratelimit-limit-tokens', limits.tpm);
+        res.setHeader('x-ratelimit-remaining-tokens', Math.max(0, limits.tpm - used));
+        res.setHeader('x-ratelimit-reset-tokens', formatDuration(newest ? newest.time + WINDOW_MS - now : 0));
+    }
+}
+
+/**
+ * Find the limit a bucket has reached, if any
+ * @param {Object} bucket - Rate limit bucket (pruned)
+ * @param {{ rpm: number, tpm: number }} limits - Limits in use
+ * @param {number} now - Current time
+ * @returns {Object|null} - { label, limit, used, wait }
+ */
+function findExceededLimit(bucket, limits, now) {
+    if (limits.rpm > 0 && bucket.requests.length >= limits.rpm) {
+        return {
+            label: 'requests per minute (RPM)',
+            limit: limits.rpm,
+            used: bucket.requests.length,
+            wait: timeUntilBelow(bucket.requests.map(time => ({ time, weight: 1 })), bucket.requests.length, limits.rpm, now)
+        };
+    }
+
+    const tokensUsed = bucket.tokens.reduce((sum, entry) => sum + entry.tokens, 0);
+    if (limits.tpm > 0 && tokensUsed >= limits.tpm) {
+        return {
+            label: 'tokens per minute (TPM)',
+            limit: limits.tpm,
+            used: tokensUsed,
+            wait: timeUntilBelow(bucket.tokens.map(entry => ({ time: entry.time, weight: entry.tokens })), tokensUsed, limits.tpm, now)
+        };
+    }
+    return null;
+}
+
+/**
+ * Express middleware enforcing the RPM/TPM limits of the caller
+ * Requests count when admitted, tokens once the completion reports its usage (see recordTokens)
+ */
+export function rateLimit(req, res, next) {
+    const limits = getLimits(req.apiKey);
+    if (!(limits.rpm > 0) && !(limits.tpm > 0)) {
+        return next();
+    }
+
+    // Without authentication every client address gets its own bucket
+    const id = req.apiKey ? `key:${req.apiKey.label}` : `ip:${req.ip}`;
+    const name = req.apiKey ? `key ${req.apiKey.label}` : `client ${req.ip}`;
+    const bucket = getBucket(id);
+    const now = Date.now();
+    prune(bucket, now);
+
+    const exceeded = findExceededLimit(bucket, limits, now);
+    if (exceeded) {
+        setRateLimitHeaders(res, limits, bucket, now);
+        res.setHeader('Retry-After', Math.max(1, Math.ceil(exceeded.wait / 1000)));
+        logger.warn(`[RateLimit] ${exceeded.label} limit reached for ${name} (${exceeded.used}/${exceeded.limit})`);
+        return res.status(429).json(createErrorResponse(
+            `Rate limit reached for ${exceeded.label} on ${name}: Limit ${exceeded.limit}, Used ${exceeded.used}. `
+            + `Please try again in ${formatDuration(exceeded.wait)}.`,
+            'rate_limit_error',
+            429
+        ));
+    }
+
+    bucket.requests.push(now);
+    setRateLimitHeaders(res, limits, bucket, now);
+    res.locals.rateLimitBucket = id;
+    next();
+}
+
+/**
+ * Wait until a key's RPM/TPM limits admit one more request, then count it
+ * Used for batch requests, which have no client to answer with a 429
+ * @param {Object} [apiKey] - Key the request runs for (null without API keys)
+ * @returns {Promise<void>}
+ */
+export async function waitForRateLimit(apiKey) {
+    const limits = getLimits(apiKey);
+    if (!apiKey || (!(limits.rpm > 0) && !(limits.tpm > 0))) {
+        return;
+    }
+
+    const id = `key:${apiKey.label}`;
+    let waiting = false;
+    for (;;) {
+        const bucket = getBucket(id);
+        const now = Date.now();
+        prune(bucket, now);
+
+        const exceeded = findExceededLimit(bucket, limits, now);
+        if (!exceeded) {
+            bucket.requests.push(now);
+            return;
+        }
+        if (!waiting) {
+            logger.info(`[RateLimit] ${exceeded.label} limit reached for key ${apiKey.label}, batch request waits ${formatDuration(exceeded.wait)}`);
+            waiting = true;
+        }
+        await new Promise(resolve => setTimeout(resolve, Math.max(exceeded.wait, 50)));
+    }
+}
+
+/**
+ * Count tokens against a bucket's TPM window
+ * @param {string} id - Bucket id
+ * @param {number} tokens - Total tokens used
+ */
+function addTokens(id, tokens) {
+    if (!id || !tokens) {
+        return;
+    }
+    getBucket(id).tokens.push({ time: Date.now(), tokens });
+}
+
+/**
+ * Count the tokens of a completed request against its caller's TPM window
+ * @param {Object} res - Express response (carries the bucket chosen by rateLimit)
+ * @param {number} tokens - Total tokens used
+ */
+export function recordTokens(res, tokens) {
+    addTokens(res.locals.rateLimitBucket, tokens);
+}
+
+/**
+ * Count the tokens of a completed batch request against its key's TPM window
+ * @param {Object} [apiKey] - Key the request ran for
+ * @param {number} tokens - Total tokens used
+ */
+export function recordKeyTokens(apiKey, tokens) {
+    if (apiKey) {
+        addTokens(`key:${apiKey.label}`, tokens);
+    }
+}
+
+export default {
+    rateLimit,
+    waitForRateLimit,
+    recordTokens,
+    recordKeyTokens
+};
\ No newline at end of file
@@ -0,0 +1,127 @@
+/**
+ * Traffic recorder
+ * Writes each exchange (client request, Anthropic requests, upstream responses or events,
+ * converter output) to one JSON file in recordDir, replayable with `antigravity-openai-adapter replay`
+ */
+
+import { mkdirSync } from 'fs';
+import { writeFile } from 'fs/promises';
+import { join } from 'path';
+import { config } from './config.js';
+import { logger } from './utils/logger.js';
+
+export const RECORDING_VERSION = 1;
+
+if (config.recordDir) {
+    mkdirSync(config.recordDir, { recursive: true });
+}
+
+/**
+ * Get (or create) the recorded choice at an index
+ * @param {Object} recording - Recording
+ * @param {number} index - Choice index
+ * @returns {Object}
+ */
+function getChoice(recording, index) {
+    if (!recording.choices[index]) {
+        recording.choices[index] = { model: null, upstream: null, output: [] };
+    }
+    return recording.choices[index];
+}
+
+/**
+ * Start recording an exchange - saved to recordDir once the response closes
+ * Does nothing unless recordDir is configured
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Array<Object>} anthropicRequests - Converted requests, one per choice
+ */
+export function startRecording(req, res, anthropicRequests) {
+    if (!config.recordDir) {
+        return;
+    }
+
+    const timestamp = new Date();
+    const recording = {
+        version: RECORDING_VERSION,
+        id: req.id,
+        timestamp: timestamp.toISOString(),
+        endpoint: req.path,
+        stream: !!req.body.stream,
+        request: req.body,
+        anthropic_requests: anthropicRequests,
+        status: null,
+        choices: []
+    };
+    res.locals.recording = recording;
+
+    res.once('close', () => {
+        recording.status = res.writableFinished ? res.statusCode : 499;
+        const name = `${timestamp.toISOString().replace(/[:.]/g, '-')}-${req.path.replace(/^\/v1\//, '').replace(/\//g, '-')}-${req.id}.json`;
+        writeFile(join(config.recordDir, name), JSON.stringify(recording, null, 2))
+            .then(() => logger.debug(`[Recorder] Saved ${name}`))
+            .catch(e => logger.error(`[Recorder] Failed to save ${name}: ${e.message}`));
+    });
+}
+
+/**
+ * Record the upstream response of a non-streaming choice
+ * @param {Object} res - Express response
+ * @param {number} index - Choice index
+ * @param {string} model - Model that served the choice
+ * @param {Object} message - Anthropic response
+ */
+export function recordUpstreamMessage(res, index, model, message) {
+    const recording = res.locals.recording;
+    if (recording) {
+        Object.assign(getChoice(recording, index), { model, upstream: message });
+    }
+}
+
+/**
+ * Record the upstream events of a streaming choice as they are consumed
+ * @param {Object} res - Express response
+ * @param {number} index - Choice index
+ * @param {string} model - Model that serves the choice
+ * @param {AsyncGenerator<Object>} events - Anthropic SSE events
+ * @returns {AsyncGenerator<Object>} - The same events
+ */
+export function recordUpstreamEvents(res, index, model, events) {
+    const recording = res.locals.recording;
+    if (!recording) {
+        return events;
+    }
+
+    const choice = Object.assign(getChoice(recording, index), { model, upstream: [] });
+    return (async function* () {
+        try {
+            for await (const event of events) {
+                choice.upstream.push(event);
+                yield event;
+            }
+        } finally {
+            await events.return();
+        }
+    })();
+}
+
+/**
+ * Record converter output for a choice (a stream chunk or a whole response)
+ * @param {Object} res - Express response
+ * @param {number} index - Choice index
+ * @param {Object} output - Converted chunk or response
+ */
+export function recordOutput(res, index, output) {
+    const recording = res.locals.recording;
+    if (recording) {
+        getChoice(recording, index).output.push(output);
+    }
+}
+
+export default {
+    RECORDING_VERSION,
+    startRecording,
+    recordUpstreamMessage,
+    recordUpstreamEvents,
+    recordOutput
+};
\ No newline at end of file
@@ -0,0 +1,133 @@
+/**
+ * Replay recorded exchanges offline
+ * Re-runs the converters on the recorded upstream responses/events and diffs the result
+ * against the recorded output, so recordings double as converter regression fixtures
+ */
+
+import { readFile, writeFile } from 'fs/promises';
+import { convertAnthropicToOpenAI, convertStreamEvent } from './format/anthropic-to-openai.js';
+import {
+    convertAnthropicToResponses,
+    createResponsesStreamState,
+    convertResponsesStreamEvent
+} from './format/responses.js';
+import { RECORDING_VERSION } from './recorder.js';
+
+// Generated ids and timestamps differ on every run
+const VOLATILE_KEYS = new Set(['id', 'item_id', 'created', 'created_at']);
+
+/**
+ * Run the converters for one recorded choice
+ * @param {Object} recording - Recording
+ * @param {Object} choice - Recorded choice
+ * @param {number} index - Choice index
+ * @returns {Array<Object>} - Converter output
+ */
+function convertChoice(recording, choice, index) {
+    const { request, endpoint, stream } = recording;
+    const responseFormat = recording.anthropic_requests[index]?.openai_response_format;
+    const reasoningStyle = recording.anthropic_requests[index]?.openai_reasoning_style;
+
+    try {
+        if (endpoint === '/v1/responses') {
+            if (!stream) {
+                return [convertAnthropicToResponses(choice.upstream, request)];
+            }
+            const state = createResponsesStreamState(request);
+            return choice.upstream.flatMap(event => convertResponsesStreamEvent(event, state));
+        }
+
+        // Chat Completions and legacy Completions share the chat converters
+        if (!stream) {
+            return [convertAnthropicToOpenAI(choice.upstream, request.model, responseFormat, reasoningStyle)];
+        }
+        const state = { choiceIndex: index, responseFormat, reasoningStyle };
+        return choice.upstream.flatMap(event => convertStreamEvent(event, request.model, state));
+    } catch (error) {
+        // The server records nothing for a response the converter rejects (e.g. invalid structured output)
+        return [];
+    }
+}
+
+/**
+ * Collect the differences between two values, ignoring volatile keys
+ * @param {*} expected - Recorded value
+ * @param {*} actual - Replayed value
+ * @param {string} path - Path of the values
+ * @param {Array<string>} differences - Collected differences
+ */
+function diff(expected, actual, path, differences) {
+    if (expected === actual) {
+        return;
+    }
+
+    const bothObjects = expected && actual && typeof expected === 'object' && typeof actual === 'object';
+    if (!bothObjects || Array.isArray(expected) !== Array.isArray(actual)) {
+        differences.push(`${path}: expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+        return;
+    }
+
+    if (Array.isArray(expected)) {
+        if (expected.length !== actual.length) {
+            differences.push(`${path}: expected ${expected.length} items, got ${actual.length}`);
+        }
+        for (let i = 0; i < Math.min(expected.length, actual.length); i++) {
+            diff(expected[i], actual[i], `${path}[${i}]`, differences);
+        }
+        return;
+    }
+
+    for (const key of new Set([...Object.keys(expected), ...Object.keys(actual)])) {
+        if (VOLATILE_KEYS.has(key) && key in expected && key in actual) {
+            continue;
+        }
+        diff(expected[key], actual[key], `${path}.${key}`, differences);
+    }
+}
+
+/**
+ * Replay a recording file
+ * @param {string} file - Recording path
+ * @param {Object} [options]
+ * @param {boolean} [options.update] - Store the replayed output in the file instead of failing on differences
+ * @returns {Promise<{ recording: Object, choices: Array<{ index: number, events: number, outputs: number, differences: Array<string> }> }>}
+ */
+export async function replayFile(file, { update = false } = {}) {
+    const recording = JSON.parse(await readFile(file, 'utf-8'));
+    if (recording.version !== RECORDING_VERSION) {
+        throw new Error(`Unsupported recording version ${recording.version} (expected ${RECORDING_VERSION})`);
+    }
+
+    const choices = [];
+    recording.choices.forEach((choice, index) => {
+        // Requests that failed before reaching upstream have nothing to replay
+        if (!choice?.upstream) {
+            return;
+        }
+
+        const output = convertChoice(recording, choice, index);
+        const differences = [];
+        diff(choice.output, output, '$', differences);
+
+        choices.push({
+            index,
+            events: recording.stream ? choice.upstream.length : 1,
+            outputs: output.length,
+            differences
+        });
+
+        if (update) {
+            choice.output = output;
+        }
+    });
+
+    if (update) {
+        await writeFile(file, JSON.stringify(recording, null, 2));
+    }
+
+    return { recording, choices };
+}
+
+export default {
+    replayFile
+};
\ No newline at end of file
@@ -0,0 +1,236 @@
+/**
+ * Response cache
+ * In-memory LRU (optionally persisted to disk) of upstream responses to deterministic requests
+ * (temperature 0), keyed on the converted Anthropic request - streaming and non-streaming
+ * requests share entries, cached messages are replayed as synthetic upstream events for streams
+ */
+
+import crypto from 'crypto';
+import { existsSync, mkdirSync, readFileSync } from 'fs';
+import { writeFile } from 'fs/promises';
+import { dirname } from 'path';
+import { config } from './config.js';
+import { logger } from './utils/logger.js';
+
+// Fields that only change how the response is delivered, not what it is
+const DELIVERY_FIELDS = ['stream', 'openai_stream_options', 'openai_reasoning_style'];
+
+const SAVE_DELAY = 1000;
+
+// key -> { expiresAt, choices: [{ model, message }] }, in least recently used order
+const entries = new Map();
+let saveTimer = null;
+
+/**
+ * Load persisted entries, skipping expired ones
+ */
+function loadEntries() {
+    if (!config.responseCache || !config.responseCacheFile || !existsSync(config.responseCacheFile)) {
+        return;
+    }
+
+    try {
+        const now = Date.now();
+        for (const [key, entry] of JSON.parse(readFileSync(config.responseCacheFile, 'utf-8'))) {
+            if (entry.expiresAt > now) {
+                entries.set(key, entry);
+            }
+        }
+        evict();
+        logger.info(`[Cache] Loaded ${entries.size} cached responses from ${config.responseCacheFile}`);
+    } catch (e) {
+        logger.warn(`[Cache] Failed to load ${config.responseCacheFile}: ${e.message}`);
+    }
+}
+
+/**
+ * Persist the cache to responseCacheFile (debounced)
+ */
+function scheduleSave() {
+    if (!config.responseCacheFile || saveTimer) {
+        return;
+    }
+
+    saveTimer = setTimeout(() => {
+        saveTimer = null;
+        mkdirSync(dirname(config.responseCacheFile), { recursive: true });
+        writeFile(config.responseCacheFile, JSON.stringify([...entries]))
+            .catch(e => logger.error(`[Cache] Failed to save ${config.responseCacheFile}: ${e.message}`));
+    }, SAVE_DELAY);
+    saveTimer.unref();
+}
+
+/**
+ * Drop the least recently used entries beyond responseCacheSize
+ */
+function evict() {
+    for (const key of entries.keys()) {
+        if (entries.size <= config.responseCacheSize) break;
+        entries.delete(key);
+    }
+}
+
+loadEntries();
+
+/**
+ * Get the cache key of a request, or null when it must not be cached
+ * Only deterministic requests (temperature 0) are cached
+ * @param {Object} anthropicRequest - Converted Anthropic request (internal openai_* fields included)
+ * @param {string|null} [scope] - Caller the entry is kept for (API key label), null shares it with everyone
+ * @returns {string|null}
+ */
+export function getResponseCacheKey(anthropicRequest, scope = null) {
+    if (!config.responseCache || anthropicRequest.temperature !== 0) {
+        return null;
+    }
+
+    const normalized = Object.fromEntries(
+        Object.entries(anthropicRequest).filter(([key]) => !DELIVERY_FIELDS.includes(key))
+    );
+    return crypto.createHash('sha256').update(JSON.stringify(scope ? { scope, request: normalized } : normalized)).digest('hex');
+}
+
+/**
+ * Look up a cached response
+ * @param {string} key - Cache key
+ * @returns {Array<{ model: string, message: Object }>|null} - Upstream result per choice
+ */
+export function getCachedResponse(key) {
+    const entry = entries.get(key);
+    if (!entry) {
+        return null;
+    }
+    if (entry.expiresAt <= Date.now()) {
+        entries.delete(key);
+        scheduleSave();
+        return null;
+    }
+
+    // Most recently used entries are kept last
+    entries.delete(key);
+    entries.set(key, entry);
+    return entry.choices;
+}
+
+/**
+ * Store a response
+ * @param {string} key - Cache key
+ * @param {Array<{ model: string, message: Object }>} choices - Upstream result per choice
+ */
+export function cacheResponse(key, choices) {
+    entries.delete(key);
+    entries.set(key, {
+        expiresAt: Date.now() + config.responseCacheTtl,
+        choices: choices.map(({ model, message }) => ({ model, message }))
+    });
+    evict();
+    scheduleSave();
+}
+
+/**
+ * Rebuild the upstream message from its stream events, as they are consumed
+ * @param {AsyncIterable<Object>} events - Anthropic SSE events
+ * @param {Function} onMessage - Called with the message once the stream completed
+ * @returns {AsyncGenerator<Object>} - The same events
+ */
+export async function* collectStreamMessage(events, onMessage) {
+    let message = null;
+    const partialJson = [];
+
+    try {
+        for await (const event of events) {
+            if (event.type === 'message_start') {
+                message = { ...event.message, content: [] };
+            } else if (message) {
+                message = applyStreamEvent(message, event, partialJson);
+                if (message && event.type === 'message_stop') {
+                    onMessage(message);
+                }
+            }
+            yield event;
+        }
+    } finally {
+        await events.return?.();
+    }
+}
+
+/**
+ * Apply one stream event to the message being rebuilt
+ * @param {Object} message - Message so far
+ * @param {Object} event - Anthropic SSE event
+ * @param {Array<string>} partialJson - Tool input JSON per content block
+ * @returns {Object|null} - The message, or null when the stream cannot be cached
+ */
+function applyStreamEvent(message, event, partialJson) {
+    switch (event.type) {
+        case 'content_block_start':
+            message.content[event.index] = { ...event.content_block };
+            break;
+        case 'content_block_delta': {
+            const block = message.content[event.index];
+            const delta = event.delta;
+            if (delta.type === 'text_delta') block.text = (block.text || '') + delta.text;
+            if (delta.type === 'thinking_delta') block.thinking = (block.thinking || '') + delta.thinking;
+            if (delta.type === 'signature_delta') block.signature = delta.signature;
+            if (delta.type === 'input_json_delta') partialJson[event.index] = (partialJson[event.index] || '') + delta.partial_json;
+            break;
+        }
+        case 'content_block_stop':
+            if (partialJson[event.index] !== undefined) {
+                try {
+                    message.content[event.index].input = JSON.parse(partialJson[event.index] || '{}');
+                } catch (e) {
+                    return null;
+                }
+            }
+            break;
+        case 'message_delta':
+            Object.assign(message, event.delta);
+            message.usage = { ...message.usage, ...event.usage };
+            break;
+        case 'error':
+            return null;
+    }
+    return message;
+}
+
+/**
+ * Replay a cached message as upstream stream events
+ * @param {Object} message - Anthropic message
+ * @returns {AsyncGenerator<Object>}
+ */
+export async function* replayMessageEvents(message) {
+    const { content, stop_reason, stop_sequence, usage, ...rest } = message;
+
+    yield { type: 'message_start', message: { ...rest, content: [], stop_reason: null, stop_sequence: null, usage: { ...usage, output_tokens: 0 } } };
+
+    for (const [index, block] of content.entries()) {
+        if (block.type === 'text') {
+            yield { type: 'content_block_start', index, content_block: { type: 'text', text: '' } };
+            yield { type: 'content_block_delta', index, delta: { type: 'text_delta', text: block.text } };
+        } else if (block.type === 'thinking') {
+            yield { type: 'content_block_start', index, content_block: { type: 'thinking', thinking: '' } };
+            yield { type: 'content_block_delta', index, delta: { type: 'thinking_delta', thinking: block.thinking } };
+            if (block.signature) {
+                yield { type: 'content_block_delta', index, delta: { type: 'signature_delta', signature: block.signature } };
+            }
+        } else if (block.type === 'tool_use') {
+            yield { type: 'content_block_start', index, content_block: { ...block, input: {} } };
+            yield { type: 'content_block_delta', index, delta: { type: 'input_json_delta', partial_json: JSON.stringify(block.input) } };
+        } else {
+            yield { type: 'content_block_start', index, content_block: block };
+        }
+        yield { type: 'content_block_stop', index };
+    }
+
+    yield { type: 'message_delta', delta: { stop_reason, stop_sequence }, usage };
+    yield { type: 'message_stop' };
+}
+
+export default {
+    getResponseCacheKey,
+    getCachedResponse,
+    cacheResponse,
+    collectStreamMessage,
+    replayMessageEvents
+};
\ No newline at end of file
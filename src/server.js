@@ -7,9 +7,50 @@ import express from 'express';
 import cors from 'cors';
 import crypto from 'crypto';
 import { createProxyMiddleware } from 'http-proxy-middleware';
-import { convertOpenAIToAnthropic } from './format/openai-to-anthropic.js';
-import { convertAnthropicToOpenAI, convertStreamEvent, createErrorResponse } from './format/anthropic-to-openai.js';
-import { logger } from './utils/logger.js';
+import { convertOpenAIToAnthropic, findUnsupportedContent } from './format/openai-to-anthropic.js';
+import {
+    convertAnthropicToOpenAI,
+    convertStreamEvent,
+    mergeCompletions,
+    sumUsage,
+    createErrorResponse,
+    REASONING_STYLES
+} from './format/anthropic-to-openai.js';
+import {
+    findInvalidInput,
+    convertResponsesToChat,
+    convertAnthropicToResponses,
+    createResponsesStreamState,
+    convertResponsesStreamEvent,
+    getResponsesStreamUsage
+} from './format/responses.js';
+import {
+    convertCompletionToChat,
+    convertChatToCompletion,
+    convertChatChunkToCompletion
+} from './format/completions.js';
+import { writeSSEData, writeSSEEvent } from './utils/sse.js';
+import { sendMessage, streamMessage, createTimeoutError, createClientClosedError } from './upstream.js';
+import { logger, runWithLogContext } from './utils/logger.js';
+import { resolveModel, listModelAliases } from './utils/model-aliases.js';
+import { hasApiKeys, authenticateKey, isAdminKey, isModelAllowed } from './api-keys.js';
+import { rateLimit, recordTokens, waitForRateLimit, recordKeyTokens } from './rate-limit.js';
+import { setUsage, recordCompletion, getBudgetError, enforceBudget, trackUsage, aggregateUsage } from './usage-ledger.js';
+import { getResponseCacheKey, getCachedResponse, cacheResponse, collectStreamMessage, replayMessageEvents } from './response-cache.js';
+import { inlineRemoteImages } from './image-fetch.js';
+import {
+    FILE_PURPOSES,
+    createFile,
+    listFiles,
+    getFile,
+    readFileContent,
+    deleteFile,
+    resolveFileReferences
+} from './file-store.js';
+import { createBatch, listBatches, getBatch, cancelBatch } from './batches.js';
+import { startRecording, recordUpstreamMessage, recordUpstreamEvents, recordOutput } from './recorder.js';
+import { getAvailableUpstreams, getPrimaryUpstream, getUpstreamStatus } from './upstream-pool.js';
+import { metricsMiddleware, setMetricsModel, recordServedModels, markFirstToken, trackStream, recordModelsCache, renderAdapterMetrics } from './metrics.js';
 import { config } from './config.js';
 
 const app = express();
@@ -24,37 +65,65 @@ let modelsCache = {
 app.disable('x-powered-by');
 
 // Middleware
-app.use(cors());
+app.use(cors({
+    exposedHeaders: [
+        'x-adapter-served-model',
+        'x-adapter-cache',
+        'x-request-id',
+        'x-ratelimit-limit-requests',
+        'x-ratelimit-limit-tokens',
+        'x-ratelimit-remaining-requests',
+        'x-ratelimit-remaining-tokens',
+        'x-ratelimit-reset-requests',
+        'x-ratelimit-reset-tokens',
+        'retry-after'
+    ]
+}));
 
-// API Key authentication middleware for /v1/* endpoints
-// We apply express.json() ONLY to /v1 to avoid breaking the transparent proxy for other routes (like Dashboard)
-app.use('/v1', express.json({ limit: '50mb' }), (req, res, next) => {
-    // Skip validation if apiKey is not configured
-    if (!config.apiKey) {
-        if (config.debug) logger.debug('[Auth] No API_KEY configured, skipping validation');
-        return next();
-    }
+// Request id - propagated from the client or generated, echoed back and attached to every log line
+app.use((req, res, next) => {
+    const requestId = req.get('x-request-id');
+    req.id = requestId && /^[\w.:-]{1,128}$/.test(requestId) ? requestId : crypto.randomUUID();
+    res.setHeader('x-request-id', req.id);
+    runWithLogContext({ requestId: req.id }, next);
+});
 
+// Metrics come first so rejected requests (auth, rate limits) are counted too
+app.use(metricsMiddleware);
+
+/**
+ * Read the API key sent by the client (Authorization: Bearer or x-api-key)
+ * @param {Object} req - Express request
+ * @returns {string}
+ */
+function getProvidedKey(req) {
     const authHeader = req.headers['authorization'];
     const xApiKey = req.headers['x-api-key'];
-    let providedKey = '';
-    
+
     if (authHeader && authHeader.startsWith('Bearer ')) {
-        providedKey = authHeader.substring(7).trim();
-    } else if (xApiKey) {
-        providedKey = xApiKey.trim();
+        return authHeader.substring(7).trim();
     }
+    return xApiKey ? xApiKey.trim() : '';
+}
 
-    if (!providedKey || providedKey !== config.apiKey) {
-        logger.warn(`[API] Unauthorized request from ${req.ip}, invalid API key (provided: ${providedKey ? '***' + providedKey.slice(-3) : 'none'})`);
-        
-        if (config.debug) {
-            logger.debug(`[Auth] Comparison failed. Expected: ${config.apiKey}, Got: ${providedKey}`);
-        }
-        
-        return res.status(401).json(createErrorResponse('Invalid or missing API key', 'authentication_error', 401));
+// API Key authentication middleware for /v1/* endpoints
+// We apply express.json() ONLY to /v1 to avoid breaking the transparent proxy for other routes (like Dashboard)
+app.use('/v1', express.json({ limit: '50mb' }), (req, res, next) => {
+    // Skip validation if no API key is configured
+    if (!hasApiKeys()) {
+        if (config.debug) logger.debug('[Auth] No API keys configured, skipping validation');
+        return next();
+    }
+
+    const providedKey = getProvidedKey(req);
+    const { key, error } = authenticateKey(providedKey);
+    if (!key) {
+        logger.warn(`[API] Unauthorized request from ${req.ip}: ${error} (provided: ${providedKey ? '***' + providedKey.slice(-3) : 'none'})`);
+        return res.status(401).json(createErrorResponse(error, 'authentication_error', 401));
     }
 
+    // Later handlers (allowlists, logging) identify the caller by key label
+    req.apiKey = key;
     next();
 });
 
@@ -65,7 +134,7 @@ app.use((req, res, next) => {
     res.on('finish', () => {
         const duration = Date.now() - start;
         const status = res.statusCode;
-        const logMsg = `[${req.method}] ${req.path} ${status} (${duration}ms)`;
+        const logMsg = `[${req.method}] ${req.path} ${status} (${duration}ms)${req.apiKey ? ` key=${req.apiKey.label}` : ''}`;
 
         if (status >= 500) {
             logger.error(logMsg);
@@ -79,38 +148,29 @@ app.use((req, res, next) => {
     next();
 });
 
+// Limits, budgets and usage accounting shared by the completion endpoints
+const completionMiddleware = [rateLimit, enforceBudget, trackUsage];
+
 /**
  * Health check endpoint
  */
-app.get('/health', async (req, res) => {
-    try {
-        // Try to ping the upstream proxy
-        const upstreamHealth = await fetch(`${config.upstreamUrl}/health`);
-        const upstreamStatus = await upstreamHealth.json();
-
-        res.json({
-            status: 'ok',
-            adapter: 'antigravity-openai-adapter',
-            version: '1.0.0',
-            timestamp: new Date().toISOString(),
-            upstream: {
-                url: config.upstreamUrl,
-                status: upstreamStatus.status || 'unknown'
-            }
-        });
-    } catch (error) {
-        res.json({
-            status: 'degraded',
-            adapter: 'antigravity-openai-adapter',
-            version: '1.0.0',
-            timestamp: new Date().toISOString(),
-            upstream: {
-                url: config.upstreamUrl,
-                status: 'unreachable',
-                error: error.message
-            }
-        });
-    }
+app.get('/health', (req, res) => {
+    // Reports the last periodic probe and circuit state, probing here would let anyone flood the upstreams
+    const upstreams = getUpstreamStatus();
+    const primary = upstreams[0];
+
+    res.json({
+        status: upstreams.every(upstream => upstream.healthy) ? 'ok' : 'degraded',
+        adapter: 'antigravity-openai-adapter',
+        version: '1.0.0',
+        timestamp: new Date().toISOString(),
+        upstream: {
+            url: primary.url,
+            status: primary.status,
+            ...(primary.error && { error: primary.error })
+        },
+        upstreams
+    });
 });
 
 /**
@@ -122,22 +182,20 @@ app.get('/v1/models', async (req, res) => {
         const now = Date.now();
         if (modelsCache.data && (now - modelsCache.timestamp < config.modelsCacheTtl)) {
             logger.debug('[API] Returning cached models list');
-            return res.json(modelsCache.data);
+            recordModelsCache(true);
+            return res.json(filterModelsForKey(modelsCache.data, req.apiKey));
         }
 
-        // Fetch models from upstream
-        const upstreamResponse = await fetch(`${config.upstreamUrl}/v1/models`, {
-            headers: {
-                'Authorization': `Bearer ${config.upstreamApiKey || 'test'}`,
-                'Accept': 'application/json'
-            }
-        });
-
-        if (!upstreamResponse.ok) {
-            throw new Error(`Upstream error: ${upstreamResponse.status}`);
+        // Fetch models from every available upstream, one failing instance only drops its own models
+        recordModelsCache(false);
+        const results = await Promise.allSettled(getAvailableUpstreams().map(fetchUpstreamModels));
+        const failures = results.filter(result => result.status === 'rejected');
+        if (failures.length === results.length) {
+            throw failures[0].reason;
+        }
+        for (const failure of failures) {
+            logger.warn(`[API] Models list incomplete: ${failure.reason.message}`);
         }
-
-        const anthropicModels = await upstreamResponse.json();
 
         // Convert to OpenAI format
         const openaiModels = {
@@ -145,9 +203,12 @@ app.get('/v1/models', async (req, res) => {
             data: []
         };
 
-        // Add the actual models from upstream
-        if (anthropicModels.data) {
-            for (const model of anthropicModels.data) {
+        // Add the actual models from upstream (instances may serve different models)
+        for (const result of results) {
+            for (const model of result.value?.data || []) {
+                if (openaiModels.data.some(existing => existing.id === model.id)) {
+                    continue;
+                }
                 openaiModels.data.push({
                     id: model.id,
                     object: 'model',
@@ -157,201 +218,782 @@ app.get('/v1/models', async (req, res) => {
             }
         }
 
+        // Add configured aliases so clients can discover them
+        for (const alias of listModelAliases()) {
+            if (!openaiModels.data.some(model => model.id === alias.id)) {
+                openaiModels.data.push({
+                    id: alias.id,
+                    object: 'model',
+                    created: Math.floor(now / 1000),
+                    owned_by: 'antigravity-openai-adapter'
+                });
+            }
+        }
+
         // Update cache
         modelsCache = {
             data: openaiModels,
             timestamp: now
         };
 
-        res.json(openaiModels);
+        res.json(filterModelsForKey(openaiModels, req.apiKey));
     } catch (error) {
         logger.error('[API] Error listing models:', error);
         res.status(500).json(createErrorResponse(error.message, 'api_error', 500));
     }
 });
 
+/**
+ * Fetch the Anthropic models list of one upstream
+ * @param {Object} upstream - Upstream
+ * @returns {Promise<Object>}
+ */
+async function fetchUpstreamModels(upstream) {
+    const response = await fetch(`${upstream.url}/v1/models`, {
+        headers: {
+            'Authorization': `Bearer ${upstream.apiKey}`,
+            'Accept': 'application/json'
+        }
+    });
+
+    if (!response.ok) {
+        throw new Error(`Upstream error from ${upstream.url}: ${response.status}`);
+    }
+    return response.json();
+}
+
+/**
+ * Restrict a models list to the models a key may use
+ * @param {Object} models - OpenAI models list
+ * @param {Object} [apiKey] - Authenticated key
+ * @returns {Object}
+ */
+function filterModelsForKey(models, apiKey) {
+    if (!apiKey?.models) {
+        return models;
+    }
+    return {
+        ...models,
+        data: models.data.filter(model => isModelAllowed(apiKey, model.id, resolveModel(model.id)))
+    };
+}
+
+/**
+ * Reject a request for a model outside the key's allowlist
+ * Answers like OpenAI does for models the caller cannot see
+ * @param {Object} [apiKey] - Authenticated key
+ * @param {string} requestModel - Model name sent by the client
+ * @param {string} upstreamModel - Resolved upstream model name
+ */
+function assertModelAllowed(apiKey, requestModel, upstreamModel) {
+    if (isModelAllowed(apiKey, requestModel || upstreamModel, upstreamModel)) {
+        return;
+    }
+
+    const name = requestModel || upstreamModel;
+    logger.warn(`[Auth] Key "${apiKey.label}" is not allowed to use model ${name}`);
+    const error = new Error(`The model \`${name}\` does not exist or you do not have access to it.`);
+    error.status = 404;
+    error.type = 'invalid_request_error';
+    error.code = 'model_not_found';
+    error.param = 'model';
+    throw error;
+}
+
 /**
  * Chat Completions endpoint - Main OpenAI-compatible endpoint
  * POST /v1/chat/completions
  */
-app.post('/v1/chat/completions', async (req, res) => {
+app.post('/v1/chat/completions', completionMiddleware, async (req, res) => {
     try {
         const openaiRequest = req.body;
-        
-        // Validate required fields
-        if (!openaiRequest.messages || !Array.isArray(openaiRequest.messages)) {
-            return res.status(400).json(createErrorResponse(
-                'messages is required and must be an array',
-                'invalid_request_error'
-            ));
-        }
+        logger.debug('[API] Chat request:', openaiRequest);
 
-        // Convert OpenAI request to Anthropic format
-        const anthropicRequest = convertOpenAIToAnthropic(openaiRequest);
+        const anthropicRequest = await prepareChatRequest(openaiRequest, { apiKey: req.apiKey, reasoningStyle: getReasoningStyle(req) });
+        startRecording(req, res, Array(anthropicRequest.openai_n || 1).fill(anthropicRequest));
+        setMetricsModel(res, anthropicRequest.model);
         
-        logger.info(`[API] Request: model=${openaiRequest.model} -> ${anthropicRequest.model}, stream=${!!openaiRequest.stream}`);
+        logger.info(`[API] Request: model=${openaiRequest.model} -> ${anthropicRequest.model}, stream=${!!openaiRequest.stream}${anthropicRequest.openai_n ? `, n=${anthropicRequest.openai_n}` : ''}`);
 
+        const upstreamOptions = { ...getUpstreamOptions(req, res), ...getCacheOptions(req, anthropicRequest) };
         if (openaiRequest.stream) {
             // Handle streaming response
-            await handleStreamingRequest(anthropicRequest, openaiRequest.model, res);
+            await handleStreamingRequest(anthropicRequest, openaiRequest.model, res, upstreamOptions);
         } else {
             // Handle non-streaming response
-            await handleNonStreamingRequest(anthropicRequest, openaiRequest.model, res);
+            await handleNonStreamingRequest(anthropicRequest, openaiRequest.model, res, upstreamOptions);
         }
 
     } catch (error) {
-        logger.error('[API] Error:', error);
-
-        if (res.headersSent) {
-            // If streaming already started, send error as SSE
-            res.write(`data: ${JSON.stringify(createErrorResponse(error.message, 'api_error', 500))}\n\n`);
-            res.write('data: [DONE]\n\n');
-            res.end();
-        } else {
-            res.status(500).json(createErrorResponse(error.message, 'api_error', 500));
-        }
+        sendRouteError(res, error, '[API] Error:');
     }
 });
 
 /**
- * Handle non-streaming request
+ * Create the error returned for an invalid request
+ * @param {string} message - Error message
+ * @param {string} [param] - Offending parameter
+ * @returns {Error}
  */
-async function handleNonStreamingRequest(anthropicRequest, requestModel, res) {
-    const response = await fetch(`${config.upstreamUrl}/v1/messages`, {
-        method: 'POST',
-        headers: {
-            'Content-Type': 'application/json',
-            'Authorization': `Bearer ${config.upstreamApiKey || 'test'}`,
-            'anthropic-version': '2023-06-01'
-        },
-        body: JSON.stringify(anthropicRequest)
-    });
+function createRequestError(message, param = null) {
+    const error = new Error(message);
+    error.status = 400;
+    error.type = 'invalid_request_error';
+    error.param = param;
+    return error;
+}
 
-    if (!response.ok) {
-        const errorData = await response.json().catch(() => ({}));
-        const errorMessage = errorData.error?.message || `Upstream error: ${response.status}`;
-        throw new Error(errorMessage);
+/**
+ * Validate a Chat Completions request and convert it to an Anthropic request
+ * Shared by the chat endpoint and the requests of batches
+ * @param {Object} openaiRequest - Chat Completions request body
+ * @param {Object} context
+ * @param {Object} [context.apiKey] - Caller's API key
+ * @param {string|null} context.reasoningStyle - Reasoning output style, null when an unknown one was requested
+ * @returns {Promise<Object>} - Anthropic request (internal openai_* fields included)
+ */
+async function prepareChatRequest(openaiRequest, { apiKey, reasoningStyle }) {
+    // Validate required fields
+    if (!openaiRequest.messages || !Array.isArray(openaiRequest.messages)) {
+        throw createRequestError('messages is required and must be an array');
     }
 
-    const anthropicResponse = await response.json();
+    if (openaiRequest.n !== undefined && (!Number.isInteger(openaiRequest.n) || openaiRequest.n < 1 || openaiRequest.n > config.maxChoices)) {
+        throw createRequestError(`n must be an integer between 1 and ${config.maxChoices}`);
+    }
 
-    // Check if it's an error response
-    if (anthropicResponse.type === 'error') {
-        return res.status(400).json(createErrorResponse(
-            anthropicResponse.error?.message || 'Unknown error',
-            anthropicResponse.error?.type || 'api_error'
-        ));
+    if (!isValidReasoningEffort(openaiRequest.reasoning_effort)) {
+        throw createRequestError(`reasoning_effort must be one of: ${getReasoningEfforts().join(', ')}`, 'reasoning_effort');
     }
 
-    // Convert to OpenAI format
-    const openaiResponse = convertAnthropicToOpenAI(anthropicResponse, requestModel);
-    res.json(openaiResponse);
+    // file_id references are inlined before validation and conversion
+    const messages = await resolveFileReferences(openaiRequest.messages, getOwner(apiKey));
+    const unsupported = findUnsupportedContent(messages);
+    if (unsupported) {
+        throw createRequestError(unsupported.message, unsupported.param);
+    }
+
+    if (!reasoningStyle) {
+        throw createRequestError(`x-reasoning-style must be one of: ${REASONING_STYLES.join(', ')}`);
+    }
+
+    // Convert OpenAI request to Anthropic format
+    const anthropicRequest = convertOpenAIToAnthropic({ ...openaiRequest, messages });
+    // An inline <think> section would break the JSON content of a response_format answer, the thinking is dropped instead
+    anthropicRequest.openai_reasoning_style = reasoningStyle === 'think' && anthropicRequest.openai_response_format
+        ? 'hidden'
+        : reasoningStyle;
+    assertModelAllowed(apiKey, openaiRequest.model, anthropicRequest.model);
+    await inlineRemoteImages(anthropicRequest);
+    return anthropicRequest;
 }
 
 /**
- * Handle streaming request
+ * Get the supported reasoning effort levels
+ * @returns {Array<string>}
+ */
+function getReasoningEfforts() {
+    return ['none', ...Object.keys(config.reasoningEffortBudgets)];
+}
+
+/**
+ * Check a reasoning effort level (missing is valid)
+ * @param {string} [effort] - reasoning_effort value
+ * @returns {boolean}
+ */
+function isValidReasoningEffort(effort) {
+    return effort === undefined || effort === null || getReasoningEfforts().includes(effort);
+}
+
+/**
+ * Get the reasoning output style of a request: the x-reasoning-style header, else the API key's, else reasoningStyle
+ * @param {Object} req - Express request
+ * @returns {string|null} - Style, null when the header names an unknown one
+ */
+function getReasoningStyle(req) {
+    const requested = req.get('x-reasoning-style');
+    if (requested) {
+        return REASONING_STYLES.includes(requested.toLowerCase()) ? requested.toLowerCase() : null;
+    }
+
+    return getDefaultReasoningStyle(req.apiKey);
+}
+
+/**
+ * Get the reasoning output style of an API key: its own, else reasoningStyle
+ * @param {Object} [apiKey] - Authenticated key
+ * @returns {string}
+ */
+function getDefaultReasoningStyle(apiKey) {
+    const style = apiKey?.reasoningStyle || config.reasoningStyle;
+    return REASONING_STYLES.includes(style) ? style : 'reasoning_content';
+}
+
+/**
+ * Answer a failed request - as JSON, or as a final SSE event once streaming has started
+ * @param {Object} res - Express response
+ * @param {Error} error - The error (may carry status and type)
+ * @param {string} logPrefix - Log line prefix
+ * @param {Function} [writeStreamError] - Writes the error to an already started stream
  */
-async function handleStreamingRequest(anthropicRequest, requestModel, res) {
-    // Set streaming headers
+function sendRouteError(res, error, logPrefix, writeStreamError = writeChatStreamError) {
+    // Nobody is left to answer when the client went away
+    if (error.clientClosed) {
+        logger.info(`${logPrefix.replace(/:$/, '')} client closed the connection, upstream request aborted`);
+        return;
+    }
+
+    // Invalid requests are the client's problem, no stack trace needed
+    const status = error.status || 500;
+    if (status >= 500) {
+        logger.error(logPrefix, error);
+    } else {
+        logger.warn(`${logPrefix} ${error.message}`);
+    }
+
+    if (res.headersSent) {
+        // If streaming already started, send error as SSE
+        writeStreamError(res, error);
+        res.end();
+    } else {
+        if (error.retryAfter !== undefined) {
+            res.setHeader('Retry-After', Math.ceil(error.retryAfter / 1000));
+        }
+        res.status(status).json(createErrorResponse(error.message, error.type || 'api_error', status, error));
+    }
+}
+
+/**
+ * Write an error to a started Chat Completions (or legacy Completions) stream
+ */
+function writeChatStreamError(res, error) {
+    writeSSEData(res, createErrorResponse(error.message, error.type || 'api_error', error.status || 500, error));
+    writeSSEData(res, '[DONE]');
+}
+
+/**
+ * Write an error to a started Responses stream
+ */
+function writeResponsesStreamError(res, error) {
+    writeSSEEvent(res, {
+        type: 'error',
+        code: error.code || error.type || 'api_error',
+        message: error.message,
+        param: error.param || null
+    });
+}
+
+/**
+ * Set headers for an SSE response and flush them to the client
+ */
+function startEventStream(res) {
     res.setHeader('Content-Type', 'text/event-stream');
     res.setHeader('Cache-Control', 'no-cache');
     res.setHeader('Connection', 'keep-alive');
     res.setHeader('X-Accel-Buffering', 'no');
     res.flushHeaders();
+    trackStream(res);
+}
 
-    // Track stream options
-    const includeUsage = !!anthropicRequest.openai_stream_options?.include_usage;
+/**
+ * Build the upstream options for a client request
+ * Upstream work is aborted when the client disconnects or requestTimeout elapses
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @returns {Object} - Options for sendMessage/streamMessage
+ */
+function getUpstreamOptions(req, res) {
+    const controller = new AbortController();
+    const totalTimer = setTimeout(
+        () => controller.abort(createTimeoutError('total', config.requestTimeout)),
+        config.requestTimeout
+    );
 
-    // Make streaming request to upstream
-    const response = await fetch(`${config.upstreamUrl}/v1/messages`, {
-        method: 'POST',
-        headers: {
-            'Content-Type': 'application/json',
-            'Authorization': `Bearer ${config.upstreamApiKey || 'test'}`,
-            'anthropic-version': '2023-06-01'
-        },
-        body: JSON.stringify(anthropicRequest)
+    // req 'close' fires as soon as the body has been read, the response tells us when the client is gone
+    res.on('close', () => {
+        clearTimeout(totalTimer);
+        if (!res.writableFinished) {
+            controller.abort(createClientClosedError());
+        }
     });
 
-    if (!response.ok) {
-        const errorData = await response.json().catch(() => ({}));
-        res.write(`data: ${JSON.stringify(createErrorResponse(
-            errorData.error?.message || `Upstream error: ${response.status}`,
-            'api_error'
-        ))}\n\n`);
-        res.write('data: [DONE]\n\n');
-        return res.end();
+    return {
+        idempotencyKey: req.get('idempotency-key'),
+        // Keeps a conversation on one upstream instance (and its prompt cache) when sessionAffinity is on
+        affinityKey: config.sessionAffinity ? (req.get('x-session-id') || req.body?.user) : undefined,
+        signal: controller.signal
+    };
+}
+
+/**
+ * Get the response cache options of a request
+ * `Cache-Control: no-cache` skips the lookup (the fresh response replaces the cached one), `no-store` skips the cache
+ * @param {Object} req - Express request
+ * @param {Object} anthropicRequest - Converted Anthropic request
+ * @returns {{ cacheKey?: string, cacheBypass?: boolean }}
+ */
+function getCacheOptions(req, anthropicRequest) {
+    const cacheControl = req.get('cache-control') || '';
+    const cacheKey = getResponseCacheKey(anthropicRequest, getCacheScope(req.apiKey));
+    if (!cacheKey || cacheControl.includes('no-store')) {
+        return {};
+    }
+    return { cacheKey, cacheBypass: cacheControl.includes('no-cache') };
+}
+
+/**
+ * Look up the cached response of a request and report it in the x-adapter-cache header
+ * @param {Object} res - Express response
+ * @param {Object} upstreamOptions - Upstream options for the client request
+ * @returns {Array<{ model: string, message: Object }>|null} - Cached upstream result per choice
+ */
+function lookupCachedResponse(res, upstreamOptions) {
+    if (!upstreamOptions.cacheKey) {
+        return null;
+    }
+
+    const cached = upstreamOptions.cacheBypass ? null : getCachedResponse(upstreamOptions.cacheKey);
+    res.setHeader('x-adapter-cache', cached ? 'hit' : 'miss');
+    if (cached) {
+        logger.info('[API] Served from the response cache');
+    }
+    return cached;
+}
+
+/**
+ * Cache the upstream streams of a request once every choice has completed
+ * @param {Array<{ events: AsyncGenerator<Object>, model: string }>} streams - Upstream stream per choice
+ * @param {string} [cacheKey] - Response cache key
+ * @returns {Array<{ events: AsyncGenerator<Object>, model: string }>}
+ */
+function cacheStreams(streams, cacheKey) {
+    if (!cacheKey) {
+        return streams;
+    }
+
+    const messages = [];
+    let completed = 0;
+    return streams.map((stream, i) => ({
+        ...stream,
+        events: collectStreamMessage(stream.events, message => {
+            messages[i] = message;
+            if (++completed === streams.length) {
+                cacheResponse(cacheKey, streams.map((choice, j) => ({ model: choice.model, message: messages[j] })));
+            }
+        })
+    }));
+}
+
+/**
+ * Derive the upstream options of one choice - each choice is a distinct upstream request
+ * @param {Object} upstreamOptions - Upstream options for the client request
+ * @param {number} choiceIndex - Choice index
+ * @returns {Object}
+ */
+function getChoiceOptions(upstreamOptions, choiceIndex) {
+    if (!upstreamOptions.idempotencyKey || choiceIndex === 0) {
+        return upstreamOptions;
     }
+    return { ...upstreamOptions, idempotencyKey: `${upstreamOptions.idempotencyKey}-${choiceIndex}` };
+}
 
-    // Process SSE stream from upstream
-    const reader = response.body.getReader();
-    const decoder = new TextDecoder();
-    let buffer = '';
-    const streamState = {};
+/**
+ * Account the token usage of a completed request (rate limits and usage ledger)
+ * @param {Object} res - Express response
+ * @param {Object} usage - Chat Completions style usage
+ */
+function recordUsage(res, usage) {
+    setUsage(res, usage);
+    recordTokens(res, usage?.total_tokens);
+}
+
+/**
+ * Convert Responses API usage to Chat Completions style usage
+ * @param {Object} [usage] - Responses usage
+ * @returns {Object|undefined}
+ */
+function fromResponsesUsage(usage) {
+    return usage && {
+        prompt_tokens: usage.input_tokens,
+        completion_tokens: usage.output_tokens,
+        total_tokens: usage.total_tokens,
+        prompt_tokens_details: {
+            cached_tokens: usage.input_tokens_details?.cached_tokens || 0,
+            cache_creation_tokens: usage.input_tokens_details?.cache_creation_tokens || 0
+        }
+    };
+}
+
+/**
+ * Report the upstream model(s) that actually served the request, in a header and the metrics
+ * @param {Object} res - Express response
+ * @param {Array<string>} models - Served model per choice
+ */
+function setServedModelHeader(res, models) {
+    res.setHeader('x-adapter-served-model', [...new Set(models)].join(', '));
+    recordServedModels(res, models);
+}
+
+/**
+ * Open one upstream stream per request, closing the ones already open if any fails
+ * @param {Array<Object>} anthropicRequests - Anthropic requests
+ * @param {Object} upstreamOptions - Upstream options for the client request
+ * @returns {Promise<Array<{ events: AsyncGenerator<Object>, model: string }>>}
+ */
+async function openUpstreamStreams(anthropicRequests, upstreamOptions) {
+    const results = await Promise.allSettled(anthropicRequests.map((anthropicRequest, i) =>
+        streamMessage(anthropicRequest, getChoiceOptions(upstreamOptions, i))
+    ));
+    const failed = results.find(result => result.status === 'rejected');
+
+    if (failed) {
+        for (const result of results) {
+            if (result.status === 'fulfilled') await result.value.events.return();
+        }
+        throw failed.reason;
+    }
+
+    return results.map(result => result.value);
+}
+
+/**
+ * Send a non-streaming request upstream - one upstream call per choice
+ * @param {Object} anthropicRequest - Anthropic request
+ * @param {Object} upstreamOptions - Upstream options
+ * @returns {Promise<Array<{ model: string, message: Object }>>} - Upstream result per choice
+ */
+function sendChoices(anthropicRequest, upstreamOptions) {
+    return Promise.all(Array.from({ length: anthropicRequest.openai_n || 1 }, (_, i) =>
+        sendMessage(anthropicRequest, getChoiceOptions(upstreamOptions, i))
+    ));
+}
+
+/**
+ * Convert the upstream result of every choice to Chat Completions format
+ * @param {Array<{ model: string, message: Object }>} results - Upstream result per choice
+ * @param {Object} anthropicRequest - Anthropic request (internal openai_* fields included)
+ * @param {string} requestModel - Model name sent by the client
+ * @returns {{ openaiResponses: Array<Object>, openaiResponse: Object }} - Response per choice, and the one to send
+ */
+function convertChoices(results, anthropicRequest, requestModel) {
+    const openaiResponses = results.map(result =>
+        convertAnthropicToOpenAI(result.message, requestModel, anthropicRequest.openai_response_format, anthropicRequest.openai_reasoning_style)
+    );
+    return {
+        openaiResponses,
+        openaiResponse: openaiResponses.length > 1 ? mergeCompletions(openaiResponses) : openaiResponses[0]
+    };
+}
+
+/**
+ * Handle non-streaming request
+ */
+async function handleNonStreamingRequest(anthropicRequest, requestModel, res, upstreamOptions) {
+    // One upstream call per choice, unless the response is cached
+    const cached = lookupCachedResponse(res, upstreamOptions);
+    const results = cached || await sendChoices(anthropicRequest, upstreamOptions);
+    setServedModelHeader(res, results.map(result => result.model));
+    results.forEach((result, i) => recordUpstreamMessage(res, i, result.model, result.message));
+
+    // Convert to OpenAI format
+    const { openaiResponses, openaiResponse } = convertChoices(results, anthropicRequest, requestModel);
+    openaiResponses.forEach((response, i) => recordOutput(res, i, response));
+
+    // Cached responses cost no upstream tokens
+    if (!cached) {
+        recordUsage(res, openaiResponse.usage);
+        if (upstreamOptions.cacheKey) cacheResponse(upstreamOptions.cacheKey, results);
+    }
+    res.json(openaiResponse);
+}
+
+/**
+ * Run one request of a batch - validated, converted and sent like a non-streaming chat request
+ * Recorded in the usage ledger (endpoint /v1/batches), checked against the key's token budget
+ * and held back until its RPM/TPM limits admit it
+ * @param {Object} body - Chat Completions request body
+ * @param {Object|null} apiKey - API key of the batch owner
+ * @returns {Promise<Object>} - Chat Completions response
+ */
+export async function executeBatchRequest(body, apiKey) {
+    let start = Date.now();
+    const controller = new AbortController();
+    let totalTimer;
+    let servedModel = null;
+    let usage;
+    let status = 200;
 
     try {
-        while (true) {
-            const { done, value } = await reader.read();
+        const budgetError = getBudgetError(apiKey);
+        if (budgetError) {
+            throw budgetError;
+        }
+
+        // Batch requests share the RPM/TPM limits of their key, waiting instead of failing
+        await waitForRateLimit(apiKey);
+        start = Date.now();
+        totalTimer = setTimeout(
+            () => controller.abort(createTimeoutError('total', config.requestTimeout)),
+            config.requestTimeout
+        );
+
+        const anthropicRequest = await prepareChatRequest({ ...body, stream: false }, { apiKey, reasoningStyle: getDefaultReasoningStyle(apiKey) });
+        const cacheKey = getResponseCacheKey(anthropicRequest, getCacheScope(apiKey));
+        const cached = cacheKey ? getCachedResponse(cacheKey) : null;
+        const results = cached || await sendChoices(anthropicRequest, {
+            affinityKey: config.sessionAffinity ? body.user : undefined,
+            signal: controller.signal
+        });
+        servedModel = [...new Set(results.map(result => result.model))].join(', ');
+
+        const { openaiResponse } = convertChoices(results, anthropicRequest, body.model);
+        if (!cached) {
+            usage = openaiResponse.usage;
+            if (cacheKey) cacheResponse(cacheKey, results);
+        }
+        return openaiResponse;
+    } catch (error) {
+        status = error.status || 500;
+        throw error;
+    } finally {
+        clearTimeout(totalTimer);
+        recordKeyTokens(apiKey, usage?.total_tokens);
+        recordCompletion({
+            key: apiKey?.label || null,
+            endpoint: '/v1/batches',
+            model: body.model || config.defaultModel,
+            servedModel,
+            status,
+            start
+        }, usage);
+    }
+}
+
+/**
+ * Handle streaming request
+ */
+async function handleStreamingRequest(anthropicRequest, requestModel, res, upstreamOptions) {
+    const choiceCount = anthropicRequest.openai_n || 1;
+    await streamChoices(Array(choiceCount).fill(anthropicRequest), requestModel, res, upstreamOptions);
+}
+
+/**
+ * Stream one upstream call per choice to the client as interleaved chunks
+ * @param {Array<Object>} anthropicRequests - Anthropic requests, one per choice
+ * @param {string} requestModel - The requested model name
+ * @param {Object} res - Express response
+ * @param {Object} upstreamOptions - Upstream options for the client request
+ * @param {Function} [transformChunk] - Applied to every chunk before it is written, null drops the chunk
+ */
+async function streamChoices(anthropicRequests, requestModel, res, upstreamOptions, transformChunk = chunk => chunk) {
+    // Track stream options
+    const includeUsage = !!anthropicRequests[0].openai_stream_options?.include_usage;
 
-            if (done) {
-                break;
+    // Make streaming requests to upstream, one per choice - headers are only sent once
+    // every choice has an upstream stream, so failures and fallbacks happen before any byte
+    // Cached responses are replayed as upstream events
+    const cached = lookupCachedResponse(res, upstreamOptions);
+    const streams = cached
+        ? cached.map(result => ({ events: replayMessageEvents(result.message), model: result.model }))
+        : cacheStreams(await openUpstreamStreams(anthropicRequests, upstreamOptions), upstreamOptions.cacheKey);
+    setServedModelHeader(res, streams.map(stream => stream.model));
+    startEventStream(res);
+
+    // All choices share the completion id, each one keeps its own conversion state
+    const responseId = `chatcmpl-${crypto.randomBytes(12).toString('hex')}`;
+    const created = Math.floor(Date.now() / 1000);
+    const streamStates = anthropicRequests.map((anthropicRequest, choiceIndex) => ({
+        responseId,
+        created,
+        choiceIndex,
+        responseFormat: anthropicRequest.openai_response_format,
+        reasoningStyle: anthropicRequest.openai_reasoning_style
+    }));
+
+    // The ledger record is written when the response closes, so the usage is kept current
+    // while streaming - a client that disconnects is still accounted what upstream reported so far
+    const updateUsage = () => {
+        if (!cached) setUsage(res, sumUsage(streamStates.map(state => state.usage)));
+    };
+
+    // Process SSE streams from upstream, chunks are interleaved as they arrive
+    await Promise.all(streams.map((stream, i) =>
+        pipeChoiceStream(recordUpstreamEvents(res, i, stream.model, stream.events), requestModel, streamStates[i], res, transformChunk, updateUsage)
+    ));
+
+    const usage = sumUsage(streamStates.map(state => state.usage));
+    if (!cached) {
+        recordUsage(res, usage);
+    }
+
+    // OpenAI sends a single usage chunk with empty choices when include_usage is set
+    if (includeUsage) {
+        const usageChunk = transformChunk({
+            id: responseId,
+            object: 'chat.completion.chunk',
+            created,
+            model: requestModel,
+            choices: [],
+            usage
+        });
+        if (usageChunk) writeSSEData(res, usageChunk);
+    }
+
+    writeSSEData(res, '[DONE]');
+    res.end();
+}
+
+/**
+ * Convert one upstream SSE stream (one choice) and write its chunks to the client
+ * onUsage is called whenever upstream reports usage
+ */
+async function pipeChoiceStream(events, requestModel, streamState, res, transformChunk, onUsage) {
+    try {
+        for await (const anthropicEvent of events) {
+            const openaiEvents = convertStreamEvent(anthropicEvent, requestModel, streamState);
+            if (anthropicEvent.type === 'message_start' || anthropicEvent.type === 'message_delta') {
+                onUsage();
             }
 
-            // Decode and handle characters correctly
-            const chunk = decoder.decode(value, { stream: true });
-            buffer += chunk;
-
-            // Parse SSE events using a more robust approach
-            let boundary;
-            while ((boundary = buffer.indexOf('\n\n')) !== -1) {
-                const eventBlock = buffer.substring(0, boundary);
-                buffer = buffer.substring(boundary + 2);
-
-                const lines = eventBlock.split('\n');
-                let eventType = 'message';
-                let data = '';
-
-                for (const line of lines) {
-                    if (line.startsWith('event:')) {
-                        eventType = line.substring(6).trim();
-                    } else if (line.startsWith('data:')) {
-                        data = line.substring(5).trim();
-                    }
+            for (const event of openaiEvents) {
+                recordOutput(res, streamState.choiceIndex, event);
+
+                // Usage chunks are aggregated across choices and sent at the end
+                if (event.usage && event.choices.length === 0) {
+                    continue;
                 }
+                // Errors are passed through untouched
+                const chunk = event.error ? event : transformChunk(event);
+                if (!chunk) continue;
 
-                if (data && data !== '[DONE]') {
-                    try {
-                        const anthropicEvent = JSON.parse(data);
-                        const openaiEvents = convertStreamEvent(anthropicEvent, requestModel, streamState);
-
-                        for (const event of openaiEvents) {
-                            // Filter out usage chunks if not requested (standard OpenAI behavior)
-                            if (event.usage && !includeUsage && event.choices.length === 0) {
-                                continue;
-                            }
-                            res.write(`data: ${JSON.stringify(event)}\n\n`);
-                        }
-
-                        if (anthropicEvent.type === 'message_stop') {
-                            res.write('data: [DONE]\n\n');
-                        }
-                    } catch (parseError) {
-                        logger.debug(`[Stream] Error parsing JSON data: ${parseError.message}`);
-                    }
+                const delta = event.choices?.[0]?.delta;
+                if (delta?.content || delta?.reasoning_content || delta?.tool_calls) {
+                    markFirstToken(res);
                 }
+                writeSSEData(res, chunk);
             }
         }
+    } catch (streamError) {
+        if (streamError.clientClosed) {
+            return;
+        }
+        logger.error(`[Stream] Error in choice ${streamState.choiceIndex}:`, streamError);
+        writeSSEData(res, createErrorResponse(streamError.message, streamError.type || 'api_error', streamError.status || 500, streamError));
+    }
+}
 
-        // Ensure [DONE] is sent if not already
-        res.write('data: [DONE]\n\n');
-        res.end();
+/**
+ * Responses endpoint - OpenAI Responses API
+ * POST /v1/responses
+ */
+app.post('/v1/responses', completionMiddleware, async (req, res) => {
+    try {
+        const responsesRequest = req.body;
 
-    } catch (streamError) {
-        logger.error('[Stream] Error:', streamError);
-        res.write(`data: ${JSON.stringify(createErrorResponse(streamError.message, 'api_error'))}\n\n`);
-        res.write('data: [DONE]\n\n');
-        res.end();
+        // Validate required fields
+        if (responsesRequest.input === undefined || responsesRequest.input === null) {
+            return res.status(400).json(createErrorResponse(
+                'input is required',
+                'invalid_request_error'
+            ));
+        }
+
+        const invalidInput = findInvalidInput(responsesRequest.input);
+        if (invalidInput) {
+            return res.status(400).json(createErrorResponse(
+                invalidInput.message,
+                'invalid_request_error',
+                400,
+                { param: invalidInput.param }
+            ));
+        }
+
+        if (!isValidReasoningEffort(responsesRequest.reasoning?.effort)) {
+            return res.status(400).json(createErrorResponse(
+                `reasoning.effort must be one of: ${getReasoningEfforts().join(', ')}`,
+                'invalid_request_error',
+                400,
+                { param: 'reasoning.effort' }
+            ));
+        }
+
+        // Convert Responses request to Chat Completions, then to Anthropic format
+        const chatRequest = convertResponsesToChat(responsesRequest);
+        chatRequest.messages = await resolveFileReferences(chatRequest.messages, getOwner(req.apiKey));
+        const unsupported = findUnsupportedContent(chatRequest.messages);
+        if (unsupported) {
+            return res.status(400).json(createErrorResponse(
+                unsupported.message,
+                'invalid_request_error',
+                400,
+                { param: 'input' }
+            ));
+        }
+
+        const anthropicRequest = convertOpenAIToAnthropic(chatRequest);
+        assertModelAllowed(req.apiKey, responsesRequest.model, anthropicRequest.model);
+        await inlineRemoteImages(anthropicRequest);
+        startRecording(req, res, [anthropicRequest]);
+        setMetricsModel(res, anthropicRequest.model);
+
+        logger.info(`[API] Responses request: model=${responsesRequest.model} -> ${anthropicRequest.model}, stream=${!!responsesRequest.stream}`);
+
+        if (responsesRequest.stream) {
+            await handleResponsesStreamingRequest(anthropicRequest, responsesRequest, res, getUpstreamOptions(req, res));
+        } else {
+            await handleResponsesNonStreamingRequest(anthropicRequest, responsesRequest, res, getUpstreamOptions(req, res));
+        }
+
+    } catch (error) {
+        sendRouteError(res, error, '[API] Responses error:', writeResponsesStreamError);
     }
+});
+
+/**
+ * Handle non-streaming Responses request
+ */
+async function handleResponsesNonStreamingRequest(anthropicRequest, responsesRequest, res, upstreamOptions) {
+    const { message: anthropicResponse, model } = await sendMessage(anthropicRequest, upstreamOptions);
+    setServedModelHeader(res, [model]);
+    recordUpstreamMessage(res, 0, model, anthropicResponse);
+
+    const response = convertAnthropicToResponses(anthropicResponse, responsesRequest);
+    recordOutput(res, 0, response);
+    recordUsage(res, fromResponsesUsage(response.usage));
+    res.json(response);
+}
+
+/**
+ * Handle streaming Responses request
+ */
+async function handleResponsesStreamingRequest(anthropicRequest, responsesRequest, res, upstreamOptions) {
+    const { events, model } = await streamMessage(anthropicRequest, upstreamOptions);
+    setServedModelHeader(res, [model]);
+    startEventStream(res);
+
+    const streamState = createResponsesStreamState(responsesRequest);
+
+    // Usage is kept current while streaming and counted even when the stream is cut short
+    try {
+        for await (const anthropicEvent of recordUpstreamEvents(res, 0, model, events)) {
+            const responsesEvents = convertResponsesStreamEvent(anthropicEvent, streamState);
+            if (anthropicEvent.type === 'message_start' || anthropicEvent.type === 'message_delta') {
+                setUsage(res, fromResponsesUsage(getResponsesStreamUsage(streamState)));
+            }
+
+            for (const event of responsesEvents) {
+                recordOutput(res, 0, event);
+                if (event.type.endsWith('.delta')) {
+                    markFirstToken(res);
+                }
+                writeSSEEvent(res, event);
+            }
+        }
+    } finally {
+        recordUsage(res, fromResponsesUsage(getResponsesStreamUsage(streamState)));
+    }
+
+    res.end();
 }
 
 /**
@@ -365,20 +1007,373 @@ app.post('/v1/embeddings', (req, res) => {
 });
 
 /**
- * Completions endpoint (legacy - not supported)
+ * Completions endpoint - Legacy OpenAI Completions API
+ * POST /v1/completions
  */
-app.post('/v1/completions', (req, res) => {
-    res.status(501).json(createErrorResponse(
-        'Legacy completions API is not supported. Use /v1/chat/completions instead.',
-        'not_implemented'
+app.post('/v1/completions', completionMiddleware, async (req, res) => {
+    try {
+        const completionRequest = req.body;
+        const { prompt } = completionRequest;
+
+        // Validate required fields
+        const prompts = Array.isArray(prompt) ? prompt : [prompt];
+        if (prompts.length === 0 || prompts.some(p => typeof p !== 'string')) {
+            return res.status(400).json(createErrorResponse(
+                'prompt is required and must be a string or an array of strings (token arrays are not supported)',
+                'invalid_request_error'
+            ));
+        }
+
+        if (prompts.length > config.maxChoices) {
+            return res.status(400).json(createErrorResponse(
+                `prompt arrays are limited to ${config.maxChoices} prompts`,
+                'invalid_request_error'
+            ));
+        }
+
+        const reasoningStyle = getReasoningStyle(req);
+        if (!reasoningStyle) {
+            return res.status(400).json(createErrorResponse(
+                `x-reasoning-style must be one of: ${REASONING_STYLES.join(', ')}`,
+                'invalid_request_error'
+            ));
+        }
+
+        // Each prompt becomes its own single-turn Messages request (and its own choice)
+        // The completion text is the answer alone, thinking is never inlined into it
+        const anthropicRequests = prompts.map(p => ({
+            ...convertOpenAIToAnthropic(convertCompletionToChat(completionRequest, p)),
+            openai_reasoning_style: reasoningStyle === 'think' ? 'hidden' : reasoningStyle
+        }));
+        assertModelAllowed(req.apiKey, completionRequest.model, anthropicRequests[0].model);
+        startRecording(req, res, anthropicRequests);
+        setMetricsModel(res, anthropicRequests[0].model);
+        const echo = !!completionRequest.echo;
+
+        logger.info(`[API] Completions request: model=${completionRequest.model} -> ${anthropicRequests[0].model}, prompts=${prompts.length}, stream=${!!completionRequest.stream}`);
+
+        if (completionRequest.stream) {
+            await streamChoices(anthropicRequests, completionRequest.model, res, getUpstreamOptions(req, res),
+                chunk => convertChatChunkToCompletion(chunk, prompts, echo));
+        } else {
+            await handleCompletionsNonStreamingRequest(anthropicRequests, completionRequest.model, prompts, echo, res, getUpstreamOptions(req, res));
+        }
+
+    } catch (error) {
+        sendRouteError(res, error, '[API] Completions error:');
+    }
+});
+
+/**
+ * Handle non-streaming legacy Completions request
+ */
+async function handleCompletionsNonStreamingRequest(anthropicRequests, requestModel, prompts, echo, res, upstreamOptions) {
+    const results = await Promise.all(anthropicRequests.map((anthropicRequest, i) =>
+        sendMessage(anthropicRequest, getChoiceOptions(upstreamOptions, i))
     ));
+    const anthropicResponses = results.map(result => result.message);
+    setServedModelHeader(res, results.map(result => result.model));
+    results.forEach((result, i) => recordUpstreamMessage(res, i, result.model, result.message));
+
+    const openaiResponses = anthropicResponses.map((anthropicResponse, i) =>
+        convertAnthropicToOpenAI(anthropicResponse, requestModel, null, anthropicRequests[i].openai_reasoning_style)
+    );
+    openaiResponses.forEach((openaiResponse, i) => recordOutput(res, i, openaiResponse));
+    const merged = mergeCompletions(openaiResponses);
+    recordUsage(res, merged.usage);
+    res.json(convertChatToCompletion(merged, prompts, echo));
+}
+
+/**
+ * Owner of the files and batches of a caller - the API key label, null without API keys
+ * @param {Object} [apiKey] - Authenticated key
+ * @returns {string|null}
+ */
+function getOwner(apiKey) {
+    return apiKey?.label || null;
+}
+
+/**
+ * Scope of a caller's response cache entries - its API key label, unless responseCacheShared
+ * @param {Object} [apiKey] - Authenticated key
+ * @returns {string|null}
+ */
+function getCacheScope(apiKey) {
+    return config.responseCacheShared ? null : getOwner(apiKey);
+}
+
+// Multipart uploads are read whole, with room for the form fields next to the file
+const readUploadBody = express.raw({ type: 'multipart/form-data', limit: config.fileMaxBytes + 64 * 1024 });
+
+/**
+ * Files endpoint - upload a file (multipart/form-data with `file` and `purpose`)
+ * POST /v1/files
+ */
+app.post('/v1/files', (req, res, next) => {
+    readUploadBody(req, res, error => {
+        if (!error) return next();
+        const status = error.status || 400;
+        res.status(status).json(createErrorResponse(
+            status === 413 ? `File exceeds the ${config.fileMaxBytes} byte limit` : error.message,
+            'invalid_request_error',
+            status,
+            { param: 'file' }
+        ));
+    });
+}, async (req, res) => {
+    try {
+        if (!req.is('multipart/form-data')) {
+            return res.status(400).json(createErrorResponse(
+                'Files must be uploaded as multipart/form-data',
+                'invalid_request_error'
+            ));
+        }
+
+        const form = await new Response(req.body, { headers: { 'content-type': req.get('content-type') } }).formData();
+        const file = form.get('file');
+        const purpose = form.get('purpose');
+
+        if (!(file instanceof Blob)) {
+            return res.status(400).json(createErrorResponse(
+                'file is required',
+                'invalid_request_error',
+                400,
+                { param: 'file' }
+            ));
+        }
+
+        if (!FILE_PURPOSES.includes(purpose)) {
+            return res.status(400).json(createErrorResponse(
+                `purpose must be one of: ${FILE_PURPOSES.join(', ')}`,
+                'invalid_request_error',
+                400,
+                { param: 'purpose' }
+            ));
+        }
+
+        if (file.size > config.fileMaxBytes) {
+            return res.status(413).json(createErrorResponse(
+                `File exceeds the ${config.fileMaxBytes} byte limit`,
+                'invalid_request_error',
+                413,
+                { param: 'file' }
+            ));
+        }
+
+        const data = Buffer.from(await file.arrayBuffer());
+        res.json(await createFile({ data, filename: file.name, purpose, mediaType: file.type }, getOwner(req.apiKey)));
+    } catch (error) {
+        sendRouteError(res, error, '[Files] Upload error:');
+    }
+});
+
+/**
+ * Files endpoint - list files
+ * GET /v1/files
+ */
+app.get('/v1/files', (req, res) => {
+    const { purpose, order, after } = req.query;
+    const limit = req.query.limit !== undefined ? parseInt(req.query.limit, 10) : undefined;
+
+    if (limit !== undefined && !(limit >= 1 && limit <= 10000)) {
+        return res.status(400).json(createErrorResponse(
+            'limit must be an integer between 1 and 10000',
+            'invalid_request_error',
+            400,
+            { param: 'limit' }
+        ));
+    }
+
+    res.json(listFiles(getOwner(req.apiKey), { purpose, limit, order, after }));
+});
+
+/**
+ * Answer a request for a file that does not exist (or belongs to another API key)
+ * @param {Object} res - Express response
+ * @param {string} id - File id
+ */
+function sendFileNotFound(res, id) {
+    res.status(404).json(createErrorResponse(
+        `No such File object: ${id}`,
+        'invalid_request_error',
+        404,
+        { param: 'id' }
+    ));
+}
+
+/**
+ * Files endpoint - retrieve a file object
+ * GET /v1/files/:id
+ */
+app.get('/v1/files/:id', (req, res) => {
+    const file = getFile(req.params.id, getOwner(req.apiKey));
+    if (!file) {
+        return sendFileNotFound(res, req.params.id);
+    }
+    res.json(file);
+});
+
+/**
+ * Files endpoint - download a file's content
+ * GET /v1/files/:id/content
+ */
+app.get('/v1/files/:id/content', async (req, res) => {
+    try {
+        const content = await readFileContent(req.params.id, getOwner(req.apiKey));
+        if (!content) {
+            return sendFileNotFound(res, req.params.id);
+        }
+        // Always a download: an uploaded HTML or SVG file must not render (and run scripts) on this origin
+        res.attachment(content.file.filename);
+        res.setHeader('Content-Type', 'application/octet-stream');
+        res.setHeader('X-Content-Type-Options', 'nosniff');
+        res.send(content.data);
+    } catch (error) {
+        sendRouteError(res, error, '[Files] Download error:');
+    }
+});
+
+/**
+ * Files endpoint - delete a file
+ * DELETE /v1/files/:id
+ */
+app.delete('/v1/files/:id', async (req, res) => {
+    try {
+        if (!await deleteFile(req.params.id, getOwner(req.apiKey))) {
+            return sendFileNotFound(res, req.params.id);
+        }
+        res.json({ id: req.params.id, object: 'file', deleted: true });
+    } catch (error) {
+        sendRouteError(res, error, '[Files] Delete error:');
+    }
+});
+
+/**
+ * Batches endpoint - create a batch from a JSONL file of requests (uploaded with purpose "batch")
+ * POST /v1/batches
+ */
+app.post('/v1/batches', enforceBudget, async (req, res) => {
+    try {
+        res.json(await createBatch(req.body, getOwner(req.apiKey)));
+    } catch (error) {
+        sendRouteError(res, error, '[Batches] Create error:');
+    }
+});
+
+/**
+ * Batches endpoint - list batches, newest first
+ * GET /v1/batches
+ */
+app.get('/v1/batches', (req, res) => {
+    const limit = req.query.limit !== undefined ? parseInt(req.query.limit, 10) : undefined;
+
+    if (limit !== undefined && !(limit >= 1 && limit <= 100)) {
+        return res.status(400).json(createErrorResponse(
+            'limit must be an integer between 1 and 100',
+            'invalid_request_error',
+            400,
+            { param: 'limit' }
+        ));
+    }
+
+    res.json(listBatches(getOwner(req.apiKey), { limit, after: req.query.after }));
+});
+
+/**
+ * Answer a request for a batch that does not exist (or belongs to another API key)
+ * @param {Object} res - Express response
+ * @param {string} id - Batch id
+ */
+function sendBatchNotFound(res, id) {
+    res.status(404).json(createErrorResponse(
+        `No such Batch object: ${id}`,
+        'invalid_request_error',
+        404,
+        { param: 'id' }
+    ));
+}
+
+/**
+ * Batches endpoint - retrieve a batch (status, request counts, output and error file ids)
+ * GET /v1/batches/:id
+ */
+app.get('/v1/batches/:id', (req, res) => {
+    const batch = getBatch(req.params.id, getOwner(req.apiKey));
+    if (!batch) {
+        return sendBatchNotFound(res, req.params.id);
+    }
+    res.json(batch);
+});
+
+/**
+ * Batches endpoint - cancel a batch
+ * POST /v1/batches/:id/cancel
+ */
+app.post('/v1/batches/:id/cancel', async (req, res) => {
+    try {
+        const batch = await cancelBatch(req.params.id, getOwner(req.apiKey));
+        if (!batch) {
+            return sendBatchNotFound(res, req.params.id);
+        }
+        res.json(batch);
+    } catch (error) {
+        sendRouteError(res, error, '[Batches] Cancel error:');
+    }
+});
+
+/**
+ * Prometheus metrics
+ * GET /metrics
+ */
+app.get('/metrics', (req, res) => {
+    res.setHeader('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+    res.send(renderAdapterMetrics());
+});
+
+/**
+ * Usage report - aggregates the usage ledger
+ * GET /admin/usage?group_by=key,model,day&from=YYYY-MM-DD&to=YYYY-MM-DD&key=<label>
+ */
+app.get('/admin/usage', async (req, res) => {
+    // Usage spans every key, so it needs the admin key once API keys are in use
+    if ((config.adminApiKey || hasApiKeys()) && !isAdminKey(getProvidedKey(req))) {
+        return res.status(401).json(createErrorResponse(
+            config.adminApiKey ? 'Invalid or missing admin API key' : 'Set adminApiKey to use the admin endpoints',
+            'authentication_error',
+            401
+        ));
+    }
+
+    const groupBy = String(req.query.group_by || 'key,model,day').split(',').map(name => name.trim());
+    const invalid = groupBy.find(name => !['key', 'model', 'day'].includes(name));
+    if (invalid) {
+        return res.status(400).json(createErrorResponse(
+            `Invalid group_by value '${invalid}', expected key, model and/or day`,
+            'invalid_request_error',
+            400,
+            { param: 'group_by' }
+        ));
+    }
+
+    try {
+        const data = await aggregateUsage({
+            groupBy,
+            from: req.query.from,
+            to: req.query.to,
+            key: req.query.key
+        });
+        res.json({ object: 'list', group_by: groupBy, data });
+    } catch (error) {
+        logger.error('[API] Error aggregating usage:', error);
+        res.status(500).json(createErrorResponse(error.message, 'api_error', 500));
+    }
 });
 
 /**
  * Catch-all for other endpoints - proxy to upstream (WebUI, etc)
  */
 app.use('/', createProxyMiddleware({
-    target: config.upstreamUrl,
+    target: getPrimaryUpstream().url,
     changeOrigin: true,
     ws: true, // Support WebSockets if needed
     logLevel: config.debug ? 'debug' : 'error',
@@ -0,0 +1,262 @@
+/**
+ * Upstream pool
+ * Load balancing across antigravity-claude-proxy instances (round-robin or least-in-flight),
+ * with periodic /health probes, a circuit breaker per instance and optional session affinity
+ */
+
+import crypto from 'crypto';
+import { config } from './config.js';
+import { logger } from './utils/logger.js';
+
+// Upstream statuses that count as an instance failure (429/503/529 are account capacity, not a broken instance)
+const FAILURE_STATUSES = [500, 502, 504];
+
+const HEALTH_CHECK_TIMEOUT = 5000;
+
+/**
+ * Build the upstream list from config: upstreams, or the single upstreamUrl
+ * @returns {Array<Object>}
+ */
+function loadUpstreams() {
+    const entries = config.upstreams?.length > 0
+        ? config.upstreams
+        : [{ url: config.upstreamUrl }];
+
+    return entries.map(entry => {
+        const { url, apiKey } = typeof entry === 'string' ? { url: entry } : entry;
+        return {
+            url: url.replace(/\/+$/, ''),
+            apiKey: apiKey || config.upstreamApiKey || 'test',
+            inFlight: 0,
+            // Last /health probe result (assumed healthy until probed) and when it ran
+            healthy: true,
+            lastError: null,
+            checkedAt: null,
+            // Circuit breaker: closed, open (ejected until openUntil) or half-open (one trial request)
+            circuit: 'closed',
+            consecutiveFailures: 0,
+            openUntil: 0,
+            trialInFlight: false
+        };
+    });
+}
+
+const upstreams = loadUpstreams();
+let roundRobin = 0;
+
+/**
+ * Whether an upstream's circuit lets a request through (moves expired open circuits to half-open)
+ * @param {Object} upstream - Upstream
+ * @param {number} now - Current time
+ * @returns {boolean}
+ */
+function isCircuitClosed(upstream, now) {
+    if (upstream.circuit === 'open' && now >= upstream.openUntil) {
+        upstream.circuit = 'half-open';
+        logger.info(`[Upstream] Circuit half-open for ${upstream.url}, sending a trial request`);
+    }
+    return upstream.circuit === 'closed' || (upstream.circuit === 'half-open' && !upstream.trialInFlight);
+}
+
+/**
+ * Get the upstreams that may receive a request now
+ * Healthy instances are preferred, but a failed probe alone never blocks all traffic (probes can be stale,
+ * e.g. while an auto-started proxy boots) - only open circuits do
+ * @returns {Array<Object>}
+ */
+function getCandidates() {
+    const now = Date.now();
+    const open = upstreams.filter(upstream => isCircuitClosed(upstream, now));
+    const healthy = open.filter(upstream => upstream.healthy);
+    return healthy.length > 0 ? healthy : open;
+}
+
+/**
+ * Pick the upstream a session is pinned to (stable while the upstream list does not change)
+ * @param {string} affinityKey - Session key
+ * @returns {Object}
+ */
+function getAffinityUpstream(affinityKey) {
+    const hash = crypto.createHash('sha256').update(affinityKey).digest().readUInt32BE(0);
+    return upstreams[hash % upstreams.length];
+}
+
+/**
+ * Choose an upstream for one attempt and count it as in flight
+ * Release the lease (and report its outcome) when the attempt is over
+ * @param {string} [affinityKey] - Session key, when session affinity is enabled
+ * @returns {{ upstream: Object, release: Function }}
+ */
+export function acquireUpstream(affinityKey) {
+    const available = getCandidates();
+
+    if (available.length === 0) {
+        const error = new Error(`No upstream available (${upstreams.length} configured, all ejected by the circuit breaker)`);
+        error.status = 503;
+        error.type = 'api_error';
+        error.code = 'upstream_unavailable';
+        error.retryable = true;
+        throw error;
+    }
+
+    let upstream;
+    const pinned = affinityKey && getAffinityUpstream(affinityKey);
+    if (pinned && available.includes(pinned)) {
+        upstream = pinned;
+    } else if (config.upstreamStrategy === 'least-in-flight') {
+        // Ties are broken round-robin so idle instances share the load
+        const start = roundRobin++;
+        upstream = Array.from(available, (_, i) => available[(start + i) % available.length])
+            .reduce((best, candidate) => candidate.inFlight < best.inFlight ? candidate : best);
+    } else {
+        upstream = available[roundRobin++ % available.length];
+    }
+
+    upstream.inFlight++;
+    if (upstream.circuit === 'half-open') {
+        upstream.trialInFlight = true;
+    }
+
+    let released = false;
+    return {
+        upstream,
+        release() {
+            if (!released) {
+                released = true;
+                upstream.inFlight--;
+                // A trial that ended without a verdict (e.g. client gone) must not block the instance
+                upstream.trialInFlight = false;
+            }
+        }
+    };
+}
+
+/**
+ * Report the outcome of an attempt to the circuit breaker
+ * @param {Object} upstream - Upstream
+ * @param {boolean} ok - Whether the instance answered properly
+ * @param {string} [reason] - Failure reason
+ */
+export function reportUpstreamResult(upstream, ok, reason) {
+    upstream.trialInFlight = false;
+
+    if (ok) {
+        if (upstream.circuit !== 'closed') {
+            logger.info(`[Upstream] Circuit closed for ${upstream.url}`);
+        }
+        upstream.healthy = true;
+        upstream.circuit = 'closed';
+        upstream.consecutiveFailures = 0;
+        return;
+    }
+
+    upstream.consecutiveFailures++;
+    upstream.lastError = reason || null;
+
+    if (upstream.circuit === 'half-open' || upstream.consecutiveFailures >= config.circuitBreakerThreshold) {
+        upstream.circuit = 'open';
+        upstream.openUntil = Date.now() + config.circuitBreakerCooldown;
+        logger.warn(`[Upstream] Circuit opened for ${upstream.url} after ${upstream.consecutiveFailures} failure(s) (${reason}), ejected for ${config.circuitBreakerCooldown}ms`);
+    }
+}
+
+/**
+ * Whether an upstream response status means the instance is failing
+ * @param {number} status - Upstream HTTP status
+ * @returns {boolean}
+ */
+export function isInstanceFailure(status) {
+    return FAILURE_STATUSES.includes(status);
+}
+
+/**
+ * Probe one upstream's /health endpoint
+ * @param {Object} upstream - Upstream
+ */
+async function probeUpstream(upstream) {
+    upstream.checkedAt = new Date().toISOString();
+    try {
+        const response = await fetch(`${upstream.url}/health`, { signal: AbortSignal.timeout(HEALTH_CHECK_TIMEOUT) });
+        const body = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+
+        if (!upstream.healthy) {
+            logger.info(`[Upstream] ${upstream.url} is healthy again`);
+        }
+        upstream.healthy = true;
+        upstream.upstreamStatus = body.status || 'unknown';
+        upstream.lastError = null;
+    } catch (error) {
+        if (upstream.healthy) {
+            logger.warn(`[Upstream] Health check failed for ${upstream.url}: ${error.message}`);
+        }
+        upstream.healthy = false;
+        upstream.upstreamStatus = 'unreachable';
+        upstream.lastError = error.message;
+    }
+}
+
+/**
+ * Probe every upstream now
+ */
+export async function probeUpstreams() {
+    await Promise.all(upstreams.map(probeUpstream));
+}
+
+/**
+ * Probe the upstreams every healthCheckInterval milliseconds
+ */
+export function startHealthChecks() {
+    if (!config.healthCheckInterval) {
+        return;
+    }
+    probeUpstreams();
+    setInterval(probeUpstreams, config.healthCheckInterval).unref();
+}
+
+/**
+ * Get the upstreams that can currently serve requests (for requests outside the Messages flow)
+ * @returns {Array<Object>}
+ */
+export function getAvailableUpstreams() {
+    const available = getCandidates();
+    return available.length > 0 ? available : upstreams;
+}
+
+/**
+ * The first configured upstream (serves the proxied WebUI)
+ * @returns {Object}
+ */
+export function getPrimaryUpstream() {
+    return upstreams[0];
+}
+
+/**
+ * Describe every upstream for /health
+ * @returns {Array<Object>}
+ */
+export function getUpstreamStatus() {
+    return upstreams.map(upstream => ({
+        url: upstream.url,
+        status: upstream.upstreamStatus || (upstream.healthy ? 'unknown' : 'unreachable'),
+        healthy: upstream.healthy,
+        circuit: upstream.circuit,
+        in_flight: upstream.inFlight,
+        consecutive_failures: upstream.consecutiveFailures,
+        checked_at: upstream.checkedAt,
+        ...(upstream.lastError && { error: upstream.lastError })
+    }));
+}
+
+export default {
+    acquireUpstream,
+    reportUpstreamResult,
+    isInstanceFailure,
+    probeUpstreams,
+    startHealthChecks,
+    getAvailableUpstreams,
+    getPrimaryUpstream,
+    getUpstreamStatus
+};
\ No newline at end of file
@@ -0,0 +1,438 @@
+/**
+ * Upstream client - Messages API calls to antigravity-claude-proxy
+ * Handles model fallback chains on rate limit and capacity errors, retries with backoff and timeouts
+ */
+
+import { config } from './config.js';
+import { logger } from './utils/logger.js';
+import { recordUpstreamError } from './metrics.js';
+import { parseSSEStream } from './utils/sse.js';
+import { mapUpstreamError } from './format/anthropic-to-openai.js';
+import { acquireUpstream, reportUpstreamResult, isInstanceFailure } from './upstream-pool.js';
+
+// Upstream statuses and error types that mean "this model is busy, try another one"
+const CAPACITY_STATUSES = [429, 503, 529];
+const CAPACITY_ERROR_TYPES = ['rate_limit_error', 'overloaded_error'];
+
+/**
+ * Send a Messages request to an upstream proxy
+ * @param {Object} upstream - Upstream instance (from the pool)
+ * @param {Object} anthropicRequest - Anthropic Messages format request
+ * @param {Object} options - Upstream options
+ * @param {AbortSignal} signal - Aborts the upstream request
+ * @returns {Promise<Response>} - Upstream fetch response
+ */
+function fetchUpstreamMessages(upstream, anthropicRequest, options, signal) {
+    // Internal openai_* fields only drive response conversion, never send them upstream
+    const upstreamRequest = Object.fromEntries(
+        Object.entries(anthropicRequest).filter(([key]) => !key.startsWith('openai_'))
+    );
+
+    const headers = {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${upstream.apiKey}`,
+        'anthropic-version': '2023-06-01'
+    };
+
+    // Retries of the same request carry the same key, so upstream can deduplicate them
+    if (options.idempotencyKey) {
+        headers['Idempotency-Key'] = options.idempotencyKey;
+    }
+
+    return fetch(`${upstream.url}/v1/messages`, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify(upstreamRequest),
+        signal
+    });
+}
+
+/**
+ * Get the models to try for a request: the requested model followed by its fallbacks
+ * @param {string} model - Upstream model name
+ * @returns {Array<string>}
+ */
+function getModelChain(model) {
+    const fallbacks = config.modelFallbacks?.[model] || [];
+    const list = Array.isArray(fallbacks) ? fallbacks : String(fallbacks).split('|');
+    return [model, ...list.map(name => name.trim()).filter(name => name && name !== model)];
+}
+
+/**
+ * Check whether an upstream error means the model is out of capacity
+ * @param {number} status - Upstream HTTP status
+ * @param {Object} errorData - Parsed upstream error body
+ * @returns {boolean}
+ */
+function isCapacityError(status, errorData) {
+    return CAPACITY_STATUSES.includes(status) || CAPACITY_ERROR_TYPES.includes(errorData?.error?.type);
+}
+
+/**
+ * Parse a Retry-After header (seconds or HTTP date)
+ * @param {string|null} value - Header value
+ * @returns {number|undefined} - Delay in milliseconds
+ */
+function parseRetryAfter(value) {
+    if (!value) return undefined;
+
+    const seconds = Number(value);
+    if (!Number.isNaN(seconds)) {
+        return Math.max(0, seconds * 1000);
+    }
+
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? undefined : Math.max(0, date - Date.now());
+}
+
+/**
+ * Build the error thrown for a failed upstream response
+ * @param {number} status - Upstream HTTP status
+ * @param {Object} errorData - Parsed upstream error body
+ * @param {Headers} [headers] - Upstream response headers
+ * @returns {Error}
+ */
+function createUpstreamError(status, errorData, headers) {
+    const mapped = mapUpstreamError(status, errorData?.error);
+    const error = new Error(mapped.message);
+
+    // OpenAI status, type and code for the client
+    error.status = mapped.status;
+    error.type = mapped.type;
+    error.code = mapped.code;
+    error.param = mapped.param;
+
+    error.upstreamStatus = status;
+    error.upstreamError = errorData?.error;
+    error.retryAfter = parseRetryAfter(headers?.get('retry-after'));
+    return error;
+}
+
+/**
+ * Wrap a network failure (upstream unreachable, connection reset...) as a retryable error
+ * @param {Error} cause - Error thrown by fetch
+ * @returns {Error}
+ */
+function createNetworkError(cause) {
+    const error = new Error(`Upstream unreachable: ${cause.cause?.message || cause.message}`);
+    error.status = 502;
+    error.type = 'api_error';
+    error.code = 'upstream_unreachable';
+    error.retryable = true;
+    return error;
+}
+
+/**
+ * Create the error used to abort an upstream request that took too long
+ * @param {string} phase - Which timeout fired (first byte, idle, total)
+ * @param {number} timeout - Timeout in milliseconds
+ * @returns {Error}
+ */
+export function createTimeoutError(phase, timeout) {
+    const error = new Error(`Upstream request timed out (${phase} timeout of ${timeout}ms)`);
+    error.status = 504;
+    error.type = 'timeout';
+    error.code = 'timeout';
+    // A stream without its first event may be a stuck upstream connection, worth another attempt
+    error.retryable = phase === 'first byte';
+    return error;
+}
+
+/**
+ * Create the error used to abort upstream work when the client goes away
+ * @returns {Error}
+ */
+export function createClientClosedError() {
+    const error = new Error('Client closed the connection');
+    error.clientClosed = true;
+    return error;
+}
+
+/**
+ * Wait before the next attempt, giving up early if the client request is aborted
+ * @param {number} delay - Delay in milliseconds
+ * @param {AbortSignal} [signal] - Client request signal
+ */
+function sleep(delay, signal) {
+    return new Promise((resolve, reject) => {
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(signal.reason);
+        };
+        const timer = setTimeout(() => {
+            signal?.removeEventListener('abort', onAbort);
+            resolve();
+        }, delay);
+        signal?.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
+/**
+ * Compute how long to wait before retrying a failed attempt
+ * @param {Error} error - Error from the failed attempt
+ * @param {number} attempt - Zero-based attempt number
+ * @returns {number|null} - Delay in milliseconds, or null when the error must not be retried
+ */
+function getRetryDelay(error, attempt) {
+    // Once a successful response started, upstream may have done the work - never send it again
+    if (attempt >= config.maxRetries || error.afterResponse) {
+        return null;
+    }
+    if (!error.retryable && !config.retryStatuses.includes(error.upstreamStatus)) {
+        return null;
+    }
+
+    // Honor upstream Retry-After, unless it asks us to wait longer than we are willing to
+    if (error.retryAfter !== undefined) {
+        return error.retryAfter <= config.retryMaxAfter ? error.retryAfter : null;
+    }
+
+    // Exponential backoff with jitter (50-100% of the computed delay)
+    const delay = Math.min(config.retryMaxDelay, config.retryBaseDelay * 2 ** attempt);
+    return Math.round(delay / 2 + Math.random() * delay / 2);
+}
+
+/**
+ * Log which model served a request when it is not the one requested
+ */
+function logServedModel(requestedModel, servedModel) {
+    if (servedModel !== requestedModel) {
+        logger.info(`[Upstream] Served by fallback model ${servedModel} (requested ${requestedModel})`);
+    }
+}
+
+/**
+ * Create an abort controller for one upstream attempt, aborted along with the client request
+ * @param {AbortSignal} [parentSignal] - Client request signal
+ * @returns {{ controller: AbortController, detach: Function }} - detach() stops following the client
+ *                                                              signal, once the attempt is over
+ */
+function createAttemptController(parentSignal) {
+    const controller = new AbortController();
+    const onAbort = () => controller.abort(parentSignal.reason);
+    if (parentSignal?.aborted) {
+        controller.abort(parentSignal.reason);
+    } else if (parentSignal) {
+        parentSignal.addEventListener('abort', onAbort, { once: true });
+    }
+    return { controller, detach: () => parentSignal?.removeEventListener('abort', onAbort) };
+}
+
+/**
+ * Wrap an upstream event stream: abort it when no event arrives for idleTimeout milliseconds,
+ * and release its upstream once it is over
+ * Written as a plain iterator so return() cleans up even when iteration never started
+ * @param {AsyncGenerator<Object>} events - Anthropic SSE events
+ * @param {AbortController} controller - Controller of the upstream attempt
+ * @param {Function} onClose - Called once the stream is over (releases the upstream)
+ * @param {Array<Object>} [pending] - Events already read from the stream (the peeked first event)
+ * @returns {AsyncIterableIterator<Object>}
+ */
+function watchIdle(events, controller, onClose, pending = []) {
+    let timer;
+    let closed = false;
+
+    const arm = () => {
+        clearTimeout(timer);
+        timer = setTimeout(() => controller.abort(createTimeoutError('idle', config.idleTimeout)), config.idleTimeout);
+    };
+    const close = async () => {
+        if (closed) return;
+        closed = true;
+        clearTimeout(timer);
+        onClose();
+        await events.return();
+    };
+
+    return {
+        [Symbol.asyncIterator]() {
+            return this;
+        },
+
+        async next() {
+            if (closed) {
+                return { done: true, value: undefined };
+            }
+            arm();
+            if (pending.length > 0) {
+                return { done: false, value: pending.shift() };
+            }
+
+            try {
+                const result = await events.next();
+                if (result.done) await close();
+                return result;
+            } catch (error) {
+                await close();
+                throw error;
+            }
+        },
+
+        async return() {
+            await close();
+            return { done: true, value: undefined };
+        }
+    };
+}
+
+/**
+ * Try the request against each model of the chain, moving on when a model is out of capacity
+ * @param {Object} anthropicRequest - Anthropic Messages format request
+ * @param {Array<string>} chain - Models to try, in order
+ * @param {Object} options - Upstream options
+ * @returns {Promise<{ message?: Object, events?: AsyncGenerator<Object>, model: string }>}
+ */
+async function tryModelChain(anthropicRequest, chain, options) {
+    for (let i = 0; i < chain.length; i++) {
+        const model = chain[i];
+        const isLast = i === chain.length - 1;
+
+        // Every attempt picks an instance, so retries and fallbacks can land on another upstream
+        const lease = acquireUpstream(options.affinityKey);
+        let streaming = false;
+        let responseStarted = false;
+
+        // Streams must connect and send their first event within firstByteTimeout. A non-stream
+        // answer only comes once generation is done, so it is bound by requestTimeout alone
+        const { controller, detach } = createAttemptController(options.signal);
+        const firstByteTimer = anthropicRequest.stream ? setTimeout(
+            () => controller.abort(createTimeoutError('first byte', config.firstByteTimeout)),
+            config.firstByteTimeout
+        ) : null;
+
+        try {
+            const response = await fetchUpstreamMessages(lease.upstream, { ...anthropicRequest, model }, options, controller.signal);
+            reportUpstreamResult(lease.upstream, !isInstanceFailure(response.status), `HTTP ${response.status}`);
+
+            if (!response.ok) {
+                const errorData = await response.json().catch(() => ({}));
+                if (!isCapacityError(response.status, errorData) || isLast) {
+                    throw createUpstreamError(response.status, errorData, response.headers);
+                }
+                recordUpstreamError(model, response.status, errorData.error?.type);
+                logger.warn(`[Upstream] Model ${model} unavailable (${response.status}), falling back to ${chain[i + 1]}`);
+                continue;
+            }
+            responseStarted = true;
+
+            if (!anthropicRequest.stream) {
+                const message = await response.json();
+
+                // Errors can also come back in a 200 body
+                if (message.type === 'error') {
+                    if (!isCapacityError(0, message) || isLast) {
+                        throw createUpstreamError(0, message);
+                    }
+                    recordUpstreamError(model, response.status, message.error?.type);
+                    logger.warn(`[Upstream] Model ${model} unavailable (${message.error?.type}), falling back to ${chain[i + 1]}`);
+                    continue;
+                }
+
+                logServedModel(anthropicRequest.model, model);
+                return { message, model };
+            }
+
+            // Overload can also be reported as the first SSE event of a 200 response
+            const events = parseSSEStream(response.body);
+            const first = await events.next();
+
+            if (!first.done && first.value?.type === 'error' && isCapacityError(0, first.value)) {
+                await events.return();
+                const errorType = first.value.error?.type;
+                if (isLast) {
+                    throw createUpstreamError(errorType === 'rate_limit_error' ? 429 : 529, first.value);
+                }
+                recordUpstreamError(model, response.status, errorType);
+                logger.warn(`[Upstream] Model ${model} unavailable (${errorType}), falling back to ${chain[i + 1]}`);
+                continue;
+            }
+
+            logServedModel(anthropicRequest.model, model);
+            streaming = true;
+            return {
+                events: watchIdle(events, controller, () => {
+                    detach();
+                    lease.release();
+                }, first.done ? [] : [first.value]),
+                model
+            };
+        } catch (error) {
+            // Aborts carry their reason (client closed, timeouts), anything else from fetch is a network error
+            const failure = controller.signal.aborted
+                ? controller.signal.reason
+                : error.upstreamStatus !== undefined ? error : createNetworkError(error);
+
+            if (!failure.clientClosed) {
+                recordUpstreamError(model, failure.upstreamStatus || failure.status, failure.upstreamError?.type || failure.code);
+            }
+            // Unreachable or stuck instances count against the circuit breaker
+            if (failure.code === 'upstream_unreachable' || (failure.code === 'timeout' && failure.retryable)) {
+                reportUpstreamResult(lease.upstream, false, failure.message);
+            }
+            failure.afterResponse = responseStarted;
+            throw failure;
+        } finally {
+            clearTimeout(firstByteTimer);
+            // Streams keep their upstream (and follow the client signal) until they end
+            if (!streaming) {
+                detach();
+                lease.release();
+            }
+        }
+    }
+}
+
+/**
+ * Run a request through the model chain, retrying transient failures with backoff
+ * @param {Object} anthropicRequest - Anthropic Messages format request
+ * @param {Object} options - Upstream options
+ */
+async function requestWithRetry(anthropicRequest, options) {
+    const chain = getModelChain(anthropicRequest.model);
+
+    for (let attempt = 0; ; attempt++) {
+        try {
+            return await tryModelChain(anthropicRequest, chain, options);
+        } catch (error) {
+            const delay = options.signal?.aborted ? null : getRetryDelay(error, attempt);
+            if (delay === null) {
+                throw error;
+            }
+            logger.warn(`[Upstream] Attempt ${attempt + 1}/${config.maxRetries + 1} for ${anthropicRequest.model} failed (${error.message}), retrying in ${delay}ms`);
+            await sleep(delay, options.signal);
+        }
+    }
+}
+
+/**
+ * Send a non-streaming Messages request
+ * Falls back to other models on capacity errors and retries transient failures
+ * @param {Object} anthropicRequest - Anthropic Messages format request
+ * @param {Object} [options] - Upstream options
+ * @param {string} [options.idempotencyKey] - Sent upstream as Idempotency-Key on every attempt
+ * @param {AbortSignal} [options.signal] - Aborts all upstream work (client disconnect, total timeout)
+ * @returns {Promise<{ message: Object, model: string }>} - Anthropic response and the model that served it
+ */
+export function sendMessage(anthropicRequest, options = {}) {
+    return requestWithRetry({ ...anthropicRequest, stream: false }, options);
+}
+
+/**
+ * Open a streaming Messages request
+ * Fallbacks and retries happen before anything is returned, so no bytes have reached the client yet
+ * @param {Object} anthropicRequest - Anthropic Messages format request
+ * @param {Object} [options] - Upstream options
+ * @param {string} [options.idempotencyKey] - Sent upstream as Idempotency-Key on every attempt
+ * @param {AbortSignal} [options.signal] - Aborts all upstream work (client disconnect, total timeout)
+ * @returns {Promise<{ events: AsyncGenerator<Object>, model: string }>} - Anthropic SSE events and the model that serves them
+ */
+export function streamMessage(anthropicRequest, options = {}) {
+    return requestWithRetry({ ...anthropicRequest, stream: true }, options);
+}
+
+export default {
+    sendMessage,
+    streamMessage,
+    createTimeoutError,
+    createClientClosedError
+};
\ No newline at end of file
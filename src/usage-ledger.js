@@ -0,0 +1,282 @@
+/**
+ * Usage ledger
+ * Appends one JSONL record per completion (key, model, tokens, latency, status),
+ * aggregates the ledger for reporting and enforces per-key token budgets
+ */
+
+import { createReadStream, existsSync, mkdirSync } from 'fs';
+import { appendFile } from 'fs/promises';
+import { dirname } from 'path';
+import { createInterface } from 'readline';
+import { config } from './config.js';
+import { logger } from './utils/logger.js';
+import { createErrorResponse } from './format/anthropic-to-openai.js';
+
+// Tokens used per key and budget period ("<label>|<period>") - seeded from the ledger at startup
+const totals = new Map();
+
+// Appends are chained so records keep their order
+let writeQueue = Promise.resolve();
+
+/**
+ * Get the budget period ids a record belongs to
+ * @param {number} time - Record time
+ * @returns {{ day: string, month: string, total: string }}
+ */
+function getPeriods(time) {
+    const iso = new Date(time).toISOString();
+    return { day: iso.substring(0, 10), month: iso.substring(0, 7), total: 'total' };
+}
+
+/**
+ * Add a record's tokens to the running budget totals
+ * @param {Object} record - Ledger record
+ */
+function addToTotals(record) {
+    if (!record.key || !record.total_tokens) {
+        return;
+    }
+    for (const period of Object.values(getPeriods(Date.parse(record.timestamp)))) {
+        const id = `${record.key}|${period}`;
+        totals.set(id, (totals.get(id) || 0) + record.total_tokens);
+    }
+}
+
+/**
+ * Read every record of the ledger file
+ * @returns {AsyncGenerator<Object>}
+ */
+async function* readLedger() {
+    if (!config.usageLedgerFile || !existsSync(config.usageLedgerFile)) {
+        return;
+    }
+
+    const lines = createInterface({ input: createReadStream(config.usageLedgerFile), crlfDelay: Infinity });
+    for await (const line of lines) {
+        if (!line.trim()) continue;
+        try {
+            yield JSON.parse(line);
+        } catch (e) {
+            // A partially written last line is skipped
+        }
+    }
+}
+
+/**
+ * Prepare the ledger file and seed the budget totals from it
+ */
+export async function initUsageLedger() {
+    if (!config.usageLedgerFile) {
+        return;
+    }
+
+    try {
+        mkdirSync(dirname(config.usageLedgerFile), { recursive: true });
+        let count = 0;
+        for await (const record of readLedger()) {
+            addToTotals(record);
+            count++;
+        }
+        logger.info(`[Usage] Ledger ${config.usageLedgerFile} (${count} records)`);
+    } catch (e) {
+        logger.error(`[Usage] Failed to read ledger ${config.usageLedgerFile}: ${e.message}`);
+    }
+}
+
+/**
+ * Append a record to the ledger
+ * @param {Object} record - Ledger record
+ */
+function writeRecord(record) {
+    addToTotals(record);
+    if (!config.usageLedgerFile) {
+        return;
+    }
+
+    writeQueue = writeQueue
+        .then(() => appendFile(config.usageLedgerFile, JSON.stringify(record) + '\n'))
+        .catch(e => logger.error(`[Usage] Failed to write ledger record: ${e.message}`));
+}
+
+/**
+ * Reduce Chat Completions style usage to the ledger token fields
+ * @param {Object} [usage] - Chat Completions style usage
+ * @returns {Object}
+ */
+function toLedgerUsage(usage) {
+    return {
+        prompt_tokens: usage?.prompt_tokens || 0,
+        completion_tokens: usage?.completion_tokens || 0,
+        cached_tokens: usage?.prompt_tokens_details?.cached_tokens || 0,
+        total_tokens: usage?.total_tokens || 0
+    };
+}
+
+/**
+ * Build a ledger record
+ * @param {Object} details - key, endpoint, model, servedModel, stream, status and start time
+ * @param {Object} [usage] - Ledger token fields
+ * @returns {Object}
+ */
+function createRecord({ key, endpoint, model, servedModel, stream, status, start }, usage = {}) {
+    return {
+        timestamp: new Date(start).toISOString(),
+        key,
+        endpoint,
+        model,
+        served_model: servedModel,
+        stream,
+        status,
+        latency_ms: Date.now() - start,
+        prompt_tokens: usage.prompt_tokens || 0,
+        completion_tokens: usage.completion_tokens || 0,
+        cached_tokens: usage.cached_tokens || 0,
+        total_tokens: usage.total_tokens || 0
+    };
+}
+
+/**
+ * Attach the token usage of a completion to its response, for the ledger record
+ * @param {Object} res - Express response
+ * @param {Object} usage - Chat Completions style usage
+ */
+export function setUsage(res, usage) {
+    res.locals.usage = toLedgerUsage(usage);
+}
+
+/**
+ * Write the ledger record of a completion run outside a client request (batch requests)
+ * @param {Object} details
+ * @param {string|null} details.key - API key label
+ * @param {string} details.endpoint - Endpoint of the request
+ * @param {string} details.model - Requested model
+ * @param {string|null} details.servedModel - Upstream model(s) that served it
+ * @param {number} details.status - HTTP status of the result
+ * @param {number} details.start - Start time
+ * @param {Object} [usage] - Chat Completions style usage
+ */
+export function recordCompletion({ key, endpoint, model, servedModel, status, start }, usage) {
+    writeRecord(createRecord({ key, endpoint, model, servedModel, stream: false, status, start }, toLedgerUsage(usage)));
+}
+
+/**
+ * Check a key's token budget
+ * Keys set tokenBudget and budgetPeriod (day, month or total, default month)
+ * @param {Object} [apiKey] - Authenticated key
+ * @returns {Error|null} - insufficient_quota error when the budget is exhausted
+ */
+export function getBudgetError(apiKey) {
+    const budget = apiKey?.tokenBudget;
+    if (!budget) {
+        return null;
+    }
+
+    const period = getPeriods(Date.now())[apiKey.budgetPeriod] || getPeriods(Date.now()).month;
+    const used = totals.get(`${apiKey.label}|${period}`) || 0;
+    if (used < budget) {
+        return null;
+    }
+
+    logger.warn(`[Usage] Token budget exhausted for key ${apiKey.label} (${used}/${budget}, period ${period})`);
+    const error = new Error(`You exceeded your token budget for ${period}: Limit ${budget}, Used ${used}.`);
+    error.status = 429;
+    error.type = 'insufficient_quota';
+    error.code = 'insufficient_quota';
+    return error;
+}
+
+/**
+ * Express middleware rejecting callers whose token budget is exhausted
+ */
+export function enforceBudget(req, res, next) {
+    const error = getBudgetError(req.apiKey);
+    if (error) {
+        return res.status(429).json(createErrorResponse(error.message, error.type, 429, error));
+    }
+
+    next();
+}
+
+/**
+ * Express middleware writing a ledger record once the response is over
+ * Responses cut short by the client are recorded with status 499
+ */
+export function trackUsage(req, res, next) {
+    const start = Date.now();
+
+    res.on('close', () => {
+        writeRecord(createRecord({
+            key: req.apiKey?.label || null,
+            endpoint: req.path,
+            model: req.body?.model || config.defaultModel,
+            servedModel: res.getHeader('x-adapter-served-model') || null,
+            stream: !!req.body?.stream,
+            status: res.writableFinished ? res.statusCode : 499,
+            start
+        }, res.locals.usage));
+    });
+
+    next();
+}
+
+/**
+ * Aggregate the ledger
+ * @param {Object} options
+ * @param {Array<string>} options.groupBy - Any of key, model, day
+ * @param {string} [options.from] - First day (YYYY-MM-DD), inclusive
+ * @param {string} [options.to] - Last day (YYYY-MM-DD), inclusive
+ * @param {string} [options.key] - Only this key label
+ * @returns {Promise<Array<Object>>}
+ */
+export async function aggregateUsage({ groupBy, from, to, key }) {
+    const groups = new Map();
+
+    for await (const record of readLedger()) {
+        const day = record.timestamp.substring(0, 10);
+        if ((from && day < from) || (to && day > to) || (key && record.key !== key)) {
+            continue;
+        }
+
+        const dimensions = { key: record.key, model: record.model, day };
+        const group = Object.fromEntries(groupBy.map(name => [name, dimensions[name]]));
+        const id = JSON.stringify(group);
+
+        let entry = groups.get(id);
+        if (!entry) {
+            entry = {
+                ...group,
+                requests: 0,
+                errors: 0,
+                prompt_tokens: 0,
+                completion_tokens: 0,
+                cached_tokens: 0,
+                total_tokens: 0,
+                latency_ms: 0
+            };
+            groups.set(id, entry);
+        }
+
+        entry.requests++;
+        if (record.status >= 400) entry.errors++;
+        entry.prompt_tokens += record.prompt_tokens;
+        entry.completion_tokens += record.completion_tokens;
+        entry.cached_tokens += record.cached_tokens;
+        entry.total_tokens += record.total_tokens;
+        entry.latency_ms += record.latency_ms;
+    }
+
+    return [...groups.values()].map(({ latency_ms, ...entry }) => ({
+        ...entry,
+        avg_latency_ms: Math.round(latency_ms / entry.requests)
+    }));
+}
+
+export default {
+    initUsageLedger,
+    setUsage,
+    recordCompletion,
+    getBudgetError,
+    enforceBudget,
+    trackUsage,
+    aggregateUsage
+};
\ No newline at end of file
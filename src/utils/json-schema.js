@@ -0,0 +1,134 @@
+/**
+ * Minimal JSON Schema validator
+ * Covers the subset of JSON Schema accepted by OpenAI structured outputs
+ * (type, properties, required, additionalProperties, items, enum, const, anyOf, $ref)
+ */
+
+// Deepest nesting followed (recursive $ref like "#" would otherwise never end)
+const MAX_DEPTH = 64;
+
+/**
+ * Get the JSON Schema type name of a value
+ * @param {*} value - Value to inspect
+ * @returns {string}
+ */
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+    return typeof value;
+}
+
+/**
+ * Check whether a value matches a JSON Schema type
+ * @param {*} value - Value to check
+ * @param {string} type - JSON Schema type
+ * @returns {boolean}
+ */
+function matchesType(value, type) {
+    const actual = typeOf(value);
+    if (type === 'number') return actual === 'number' || actual === 'integer';
+    return actual === type;
+}
+
+/**
+ * Resolve a local $ref (#/$defs/... or #/definitions/...)
+ * @param {string} ref - Reference string
+ * @param {Object} root - Root schema
+ * @returns {Object|undefined}
+ */
+function resolveRef(ref, root) {
+    if (!ref.startsWith('#')) return undefined;
+    return ref.substring(1).split('/').filter(Boolean).reduce(
+        (node, key) => node?.[key.replace(/~1/g, '/').replace(/~0/g, '~')],
+        root
+    );
+}
+
+function validateNode(value, schema, path, root, errors, depth = 0) {
+    if (!schema || typeof schema !== 'object') {
+        return;
+    }
+    if (depth > MAX_DEPTH) {
+        errors.push(`${path}: schema nested deeper than ${MAX_DEPTH} levels`);
+        return;
+    }
+
+    if (schema.$ref) {
+        const target = resolveRef(schema.$ref, root);
+        if (!target) {
+            errors.push(`${path}: unresolvable $ref ${schema.$ref}`);
+            return;
+        }
+        validateNode(value, target, path, root, errors, depth + 1);
+        return;
+    }
+
+    if (schema.anyOf) {
+        const matches = schema.anyOf.some(option => {
+            const optionErrors = [];
+            validateNode(value, option, path, root, optionErrors, depth + 1);
+            return optionErrors.length === 0;
+        });
+        if (!matches) {
+            errors.push(`${path}: does not match any allowed schema`);
+        }
+        return;
+    }
+
+    if (schema.type) {
+        const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+        if (!types.some(type => matchesType(value, type))) {
+            errors.push(`${path}: expected ${types.join(' or ')}, got ${typeOf(value)}`);
+            return;
+        }
+    }
+
+    if (schema.enum && !schema.enum.some(option => JSON.stringify(option) === JSON.stringify(value))) {
+        errors.push(`${path}: must be one of ${JSON.stringify(schema.enum)}`);
+    }
+
+    if ('const' in schema && JSON.stringify(schema.const) !== JSON.stringify(value)) {
+        errors.push(`${path}: must be ${JSON.stringify(schema.const)}`);
+    }
+
+    if (typeOf(value) === 'object') {
+        const properties = schema.properties || {};
+
+        for (const key of schema.required || []) {
+            if (!(key in value)) {
+                errors.push(`${path}: missing required property '${key}'`);
+            }
+        }
+
+        for (const [key, propValue] of Object.entries(value)) {
+            if (properties[key]) {
+                validateNode(propValue, properties[key], `${path}.${key}`, root, errors, depth + 1);
+            } else if (schema.additionalProperties === false) {
+                errors.push(`${path}: unexpected property '${key}'`);
+            } else if (typeof schema.additionalProperties === 'object') {
+                validateNode(propValue, schema.additionalProperties, `${path}.${key}`, root, errors, depth + 1);
+            }
+        }
+    }
+
+    if (typeOf(value) === 'array' && schema.items) {
+        value.forEach((item, i) => validateNode(item, schema.items, `${path}[${i}]`, root, errors, depth + 1));
+    }
+}
+
+/**
+ * Validate a value against a JSON Schema
+ * @param {*} value - Parsed JSON value
+ * @param {Object} schema - JSON Schema
+ * @returns {Array<string>} - Validation errors (empty when valid)
+ */
+export function validateJsonSchema(value, schema) {
+    const errors = [];
+    validateNode(value, schema, '$', schema, errors);
+    return errors;
+}
+
+export default {
+    validateJsonSchema
+};
\ No newline at end of file
@@ -1,7 +1,12 @@
 /**
- * Simple logger utility with colored output
+ * Logger utility with colored text or JSON output
+ * Lines carry the id of the request being handled and secrets are redacted
  */
 
+import { AsyncLocalStorage } from 'async_hooks';
+import { inspect } from 'util';
+import { config } from '../config.js';
+
 const COLORS = {
     reset: '\x1b[0m',
     red: '\x1b[31m',
@@ -13,36 +18,167 @@ const COLORS = {
     gray: '\x1b[90m'
 };
 
-// Check if debug mode is enabled
-const isDebugEnabled = process.env.DEBUG ==='true' || process.argv.includes('--debug');
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+
+// Object keys whose values are never logged
+const SECRET_KEY_PATTERN = /^(authorization|proxy-authorization|x-api-key|api[-_]?key|\w*ApiKey|key|password|secret|access[-_]?token|auth[-_]?token)$/i;
+
+// Secrets known at runtime (the API keys), redacted like the configured ones
+let runtimeSecrets = [];
+
+// Per-request context (request id) for every line logged while handling it
+const logContext = new AsyncLocalStorage();
+
+// debug: true (DEBUG=true, --debug) always enables debug lines
+const minLevel = config.debug ? LEVELS.debug : (LEVELS[config.logLevel] ?? LEVELS.info);
+const isDebugEnabled = minLevel <= LEVELS.debug;
 
 function formatTimestamp() {
     return new Date().toISOString().replace('T', ' ').substring(0, 19);
 }
 
+/**
+ * Redact secrets and inline payloads from a string
+ * @param {string} text - Text to clean
+ * @returns {string}
+ */
+function redactString(text) {
+    let redacted = text
+        .replace(/(Bearer\s+)[^\s"',]+/gi, '$1[REDACTED]')
+        .replace(/\bsk-[A-Za-z0-9_-]{6,}/g, 'sk-[REDACTED]')
+        .replace(/data:([\w.+/-]+);base64,[A-Za-z0-9+/=]+/g, (match, type) => `data:${type};base64,[${match.length} chars]`);
+
+    // Configured keys may not look like keys at all (short ones like the default 'test' would hit plain words)
+    for (const secret of [config.apiKey, config.upstreamApiKey, config.adminApiKey, ...runtimeSecrets]) {
+        if (secret && String(secret).length >= 8) {
+            redacted = redacted.split(String(secret)).join('[REDACTED]');
+        }
+    }
+    return redacted;
+}
+
+/**
+ * Redact a value for logging - secret keys, Authorization headers and base64 payloads
+ * @param {*} value - Value to clean
+ * @param {WeakSet} [seen] - Objects already visited
+ * @returns {*} - A redacted copy
+ */
+export function redact(value, seen = new WeakSet()) {
+    if (typeof value === 'string') {
+        return redactString(value);
+    }
+    if (value instanceof Error) {
+        const error = { name: value.name, message: redactString(value.message), stack: redactString(value.stack || '') };
+        for (const key of ['status', 'type', 'code', 'param']) {
+            if (value[key] !== undefined) error[key] = value[key];
+        }
+        return error;
+    }
+    if (!value || typeof value !== 'object') {
+        return value;
+    }
+    if (seen.has(value)) {
+        return '[Circular]';
+    }
+    seen.add(value);
+
+    if (Array.isArray(value)) {
+        return value.map(item => redact(item, seen));
+    }
+
+    const copy = {};
+    for (const [key, item] of Object.entries(value)) {
+        if (SECRET_KEY_PATTERN.test(key) && item) {
+            copy[key] = '[REDACTED]';
+        } else if (key === 'data' && value.type === 'base64' && typeof item === 'string') {
+            // Anthropic image/document source blocks
+            copy[key] = `[${item.length} chars]`;
+        } else {
+            copy[key] = redact(item, seen);
+        }
+    }
+    return copy;
+}
+
+/**
+ * Replace the secrets known at runtime, redacted from every line from now on
+ * Values shorter than 8 characters are not redacted (see redactString)
+ * @param {Array<string>} secrets - Secret values
+ */
+export function setSecrets(secrets) {
+    runtimeSecrets = secrets.map(String);
+}
+
+/**
+ * Run a function with a log context (e.g. { requestId }) for everything it logs
+ * @param {Object} context - Context fields
+ * @param {Function} fn - Function to run
+ */
+export function runWithLogContext(context, fn) {
+    return logContext.run(context, fn);
+}
+
+/**
+ * Write a log line
+ * @param {string} level - Level name
+ * @param {string} label - Colored label for text output
+ * @param {string} message - Message
+ * @param {Array} args - Extra values
+ */
+function write(level, label, message, args) {
+    if (LEVELS[level] < minLevel) {
+        return;
+    }
+
+    const context = logContext.getStore();
+
+    if (config.logFormat === 'json') {
+        const entry = {
+            time: new Date().toISOString(),
+            level,
+            msg: redactString(String(message)),
+            ...(context?.requestId && { request_id: context.requestId })
+        };
+        const error = args.find(arg => arg instanceof Error);
+        const rest = args.filter(arg => arg !== error);
+        if (error) entry.error = redact(error);
+        if (rest.length > 0) entry.args = redact(rest);
+        console.log(JSON.stringify(entry));
+        return;
+    }
+
+    const requestId = context?.requestId ? `${COLORS.cyan}[${context.requestId}]${COLORS.reset} ` : '';
+    const details = args.map(arg => {
+        if (typeof arg === 'string') return redactString(arg);
+        if (arg instanceof Error) return redactString(arg.stack || arg.message);
+        return inspect(redact(arg), { depth: 6 });
+    });
+    console.log(`${COLORS.gray}[${formatTimestamp()}]${COLORS.reset} ${label}${requestId}${redactString(String(message))}`, ...details);
+}
+
 export const logger = {
     isDebugEnabled,
+    redact,
+    setSecrets,
 
     info(message, ...args) {
-        console.log(`${COLORS.gray}[${formatTimestamp()}]${COLORS.reset} ${COLORS.blue}INFO${COLORS.reset}${message}`, ...args);
+        write('info', `${COLORS.blue}INFO${COLORS.reset}  `, message, args);
     },
 
     success(message, ...args) {
-        console.log(`${COLORS.gray}[${formatTimestamp()}]${COLORS.reset} ${COLORS.green}OK${COLORS.reset}    ${message}`, ...args);
+        write('info', `${COLORS.green}OK${COLORS.reset}    `, message, args);
     },
 
     warn(message, ...args) {
-        console.log(`${COLORS.gray}[${formatTimestamp()}]${COLORS.reset} ${COLORS.yellow}WARN${COLORS.reset}  ${message}`, ...args);
+        write('warn', `${COLORS.yellow}WARN${COLORS.reset}  `, message, args);
     },
 
     error(message, ...args) {
-        console.log(`${COLORS.gray}[${formatTimestamp()}]${COLORS.reset} ${COLORS.red}ERROR${COLORS.reset} ${message}`, ...args);
+        write('error', `${COLORS.red}ERROR${COLORS.reset} `, message, args);
     },
 
     debug(message, ...args) {
-        if (isDebugEnabled) {
-            console.log(`${COLORS.gray}[${formatTimestamp()}]${COLORS.reset} ${COLORS.magenta}DEBUG${COLORS.reset} ${message}`, ...args);
-        }
+        write('debug', `${COLORS.magenta}DEBUG${COLORS.reset} `, message, args);
     }
 };
 
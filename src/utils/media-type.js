@@ -0,0 +1,63 @@
+/**
+ * Media type detection
+ * Identifies images, PDFs and text files from their first bytes or their filename extension
+ */
+
+// Image types Anthropic accepts
+export const IMAGE_MEDIA_TYPES = ['image/png', 'image/jpeg', 'image/gif', 'image/webp'];
+
+const EXTENSION_TYPES = {
+    pdf: 'application/pdf',
+    txt: 'text/plain',
+    md: 'text/markdown',
+    csv: 'text/csv',
+    html: 'text/html',
+    json: 'application/json',
+    jsonl: 'application/jsonl',
+    xml: 'application/xml',
+    png: 'image/png',
+    jpg: 'image/jpeg',
+    jpeg: 'image/jpeg',
+    gif: 'image/gif',
+    webp: 'image/webp'
+};
+
+/**
+ * Detect an image or PDF from its first bytes
+ * @param {Buffer} data - Content (the first 12 bytes are enough)
+ * @returns {string|null} - Media type, or null when not recognized
+ */
+export function sniffMediaType(data) {
+    if (data.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) return 'image/png';
+    if (data.subarray(0, 3).equals(Buffer.from([0xff, 0xd8, 0xff]))) return 'image/jpeg';
+    if (data.toString('latin1', 0, 4) === 'GIF8') return 'image/gif';
+    if (data.toString('latin1', 0, 4) === 'RIFF' && data.toString('latin1', 8, 12) === 'WEBP') return 'image/webp';
+    if (data.toString('latin1', 0, 4) === '%PDF') return 'application/pdf';
+    return null;
+}
+
+/**
+ * Get the media type of a filename from its extension
+ * @param {string} [filename] - File name
+ * @returns {string|null}
+ */
+export function getMediaTypeFromFilename(filename) {
+    const extension = filename?.includes('.') ? filename.split('.').pop().toLowerCase() : null;
+    return EXTENSION_TYPES[extension] || null;
+}
+
+/**
+ * Whether a media type is plain text (sent to the model as a text document)
+ * @param {string} [mediaType] - Media type
+ * @returns {boolean}
+ */
+export function isTextMediaType(mediaType) {
+    return !!mediaType && (mediaType.startsWith('text/') || ['application/json', 'application/jsonl', 'application/xml'].includes(mediaType));
+}
+
+export default {
+    IMAGE_MEDIA_TYPES,
+    sniffMediaType,
+    getMediaTypeFromFilename,
+    isTextMediaType
+};
\ No newline at end of file
@@ -0,0 +1,93 @@
+/**
+ * Model alias and rewrite table
+ * Resolves client-facing model names (e.g. gpt-4o) to upstream model names
+ */
+
+import { config } from '../config.js';
+import { logger } from './logger.js';
+
+/**
+ * Compile an alias key into a matcher
+ * Keys are exact names, globs (`*` and `?`) or regexes written as `/pattern/flags`
+ * @param {string} key - Alias key
+ * @returns {{ exact: string }|{ regex: RegExp }|null}
+ */
+function compileAlias(key) {
+    const regexMatch = key.match(/^\/(.+)\/([a-z]*)$/);
+    if (regexMatch) {
+        try {
+            return { regex: new RegExp(regexMatch[1], regexMatch[2]) };
+        } catch (e) {
+            logger.warn(`[Models] Invalid alias regex ${key}: ${e.message}`);
+            return null;
+        }
+    }
+
+    if (/[*?]/.test(key)) {
+        // Each wildcard becomes a capture group so targets can reuse it as $1, $2...
+        const pattern = key
+            .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+            .replace(/\*/g, '(.*)')
+            .replace(/\?/g, '(.)');
+        return { regex: new RegExp(`^${pattern}$`) };
+    }
+
+    return { exact: key };
+}
+
+// Compile once - exact names are checked before patterns, patterns in config order
+const aliases = Object.entries(config.modelAliases || {})
+    .map(([key, target]) => ({ key, target, ...compileAlias(key) }))
+    .filter(alias => alias.exact || alias.regex);
+
+/**
+ * Resolve a requested model name through the alias table
+ * @param {string} [model] - Requested model name
+ * @returns {string} - Upstream model name
+ */
+export function resolveModel(model) {
+    const requested = model || config.defaultModel;
+
+    const exact = aliases.find(alias => alias.exact === requested);
+    if (exact) {
+        return exact.target;
+    }
+
+    for (const alias of aliases) {
+        if (alias.regex && alias.regex.test(requested)) {
+            return requested.replace(alias.regex, alias.target);
+        }
+    }
+
+    return requested;
+}
+
+/**
+ * Check a model name against a pattern in alias-key syntax (exact, glob or /regex/)
+ * @param {string} pattern - Model pattern
+ * @param {string} model - Model name
+ * @returns {boolean}
+ */
+export function matchModelPattern(pattern, model) {
+    const matcher = compileAlias(pattern);
+    if (!matcher) {
+        return false;
+    }
+    return matcher.exact !== undefined ? matcher.exact === model : matcher.regex.test(model);
+}
+
+/**
+ * List the exact alias names, so clients can discover them through /v1/models
+ * @returns {Array<{ id: string, target: string }>}
+ */
+export function listModelAliases() {
+    return aliases
+        .filter(alias => alias.exact)
+        .map(alias => ({ id: alias.exact, target: alias.target }));
+}
+
+export default {
+    resolveModel,
+    matchModelPattern,
+    listModelAliases
+};
\ No newline at end of file
@@ -0,0 +1,160 @@
+/**
+ * Minimal Prometheus metrics
+ * Counters, gauges and histograms with labels, rendered in the text exposition format
+ */
+
+/**
+ * Escape a label value
+ * @param {*} value - Label value
+ * @returns {string}
+ */
+function escapeLabel(value) {
+    return String(value ?? '').replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+/**
+ * Render a label set as {a="x",b="y"}
+ * @param {Object} labels - Label values by name
+ * @returns {string}
+ */
+function formatLabels(labels) {
+    const entries = Object.entries(labels);
+    if (entries.length === 0) {
+        return '';
+    }
+    return `{${entries.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(',')}}`;
+}
+
+/**
+ * Create the series store shared by all metric types
+ * @param {string} type - Prometheus metric type
+ * @param {string} name - Metric name
+ * @param {string} help - Help text
+ * @param {Array<string>} labelNames - Label names
+ * @param {Function} init - Creates the initial value of a series
+ */
+function createMetric(type, name, help, labelNames, init) {
+    // Serialized label values -> { labels, value }
+    const series = new Map();
+
+    return {
+        name,
+        series,
+
+        getSeries(labels) {
+            const picked = Object.fromEntries(labelNames.map(label => [label, labels[label] ?? '']));
+            const id = JSON.stringify(picked);
+            let entry = series.get(id);
+            if (!entry) {
+                entry = { labels: picked, value: init() };
+                series.set(id, entry);
+            }
+            return entry;
+        },
+
+        header() {
+            return [`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`];
+        }
+    };
+}
+
+/**
+ * Render the series of a counter or gauge
+ */
+function renderValues(metric) {
+    return [
+        ...metric.header(),
+        ...[...metric.series.values()].map(s => `${metric.name}${formatLabels(s.labels)} ${s.value}`)
+    ];
+}
+
+/**
+ * Create a counter
+ * @param {string} name - Metric name
+ * @param {string} help - Help text
+ * @param {Array<string>} [labelNames] - Label names
+ */
+export function createCounter(name, help, labelNames = []) {
+    const metric = createMetric('counter', name, help, labelNames, () => 0);
+    return {
+        inc(labels = {}, value = 1) {
+            metric.getSeries(labels).value += value;
+        },
+        render: () => renderValues(metric)
+    };
+}
+
+/**
+ * Create a gauge
+ * @param {string} name - Metric name
+ * @param {string} help - Help text
+ * @param {Array<string>} [labelNames] - Label names
+ */
+export function createGauge(name, help, labelNames = []) {
+    const metric = createMetric('gauge', name, help, labelNames, () => 0);
+    return {
+        inc(labels = {}, value = 1) {
+            metric.getSeries(labels).value += value;
+        },
+        dec(labels = {}, value = 1) {
+            metric.getSeries(labels).value -= value;
+        },
+        render: () => renderValues(metric)
+    };
+}
+
+/**
+ * Create a histogram
+ * @param {string} name - Metric name
+ * @param {string} help - Help text
+ * @param {Array<string>} labelNames - Label names
+ * @param {Array<number>} buckets - Bucket upper bounds
+ */
+export function createHistogram(name, help, labelNames, buckets) {
+    const bounds = [...buckets].sort((a, b) => a - b);
+    const metric = createMetric('histogram', name, help, labelNames, () => ({
+        counts: bounds.map(() => 0),
+        sum: 0,
+        count: 0
+    }));
+
+    return {
+        observe(labels, value) {
+            const { value: data } = metric.getSeries(labels);
+            bounds.forEach((bound, i) => {
+                if (value <= bound) data.counts[i]++;
+            });
+            data.sum += value;
+            data.count++;
+        },
+
+        render() {
+            const lines = metric.header();
+            for (const { labels, value } of metric.series.values()) {
+                bounds.forEach((bound, i) => {
+                    lines.push(`${name}_bucket${formatLabels({ ...labels, le: bound })} ${value.counts[i]}`);
+                });
+                lines.push(`${name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${value.count}`);
+                lines.push(`${name}_sum${formatLabels(labels)} ${value.sum}`);
+                lines.push(`${name}_count${formatLabels(labels)} ${value.count}`);
+            }
+            return lines;
+        }
+    };
+}
+
+/**
+ * Render metrics in the Prometheus text format
+ * @param {Array<Object>} metrics - Metrics to render
+ * @returns {string}
+ */
+export function renderMetrics(metrics) {
+    return metrics.map(metric => metric.render().join('\n')).join('\n\n') + '\n';
+}
+
+export default {
+    createCounter,
+    createGauge,
+    createHistogram,
+    renderMetrics
+};
\ No newline at end of file
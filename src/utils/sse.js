@@ -0,0 +1,79 @@
+/**
+ * Server-Sent Events helpers
+ */
+
+import { logger } from './logger.js';
+
+/**
+ * Parse an SSE response body into JSON events
+ * @param {ReadableStream} body - Upstream response body
+ * @yields {Object} - Parsed event payloads (the `data:` field of each event)
+ */
+export async function* parseSSEStream(body) {
+    const reader = body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    try {
+        while (true) {
+            const { done, value } = await reader.read();
+
+            if (done) {
+                break;
+            }
+
+            // Decode and handle characters correctly
+            buffer += decoder.decode(value, { stream: true });
+
+            let boundary;
+            while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+                const eventBlock = buffer.substring(0, boundary);
+                buffer = buffer.substring(boundary + 2);
+
+                let data = '';
+                for (const line of eventBlock.split('\n')) {
+                    if (line.startsWith('data:')) {
+                        data = line.substring(5).trim();
+                    }
+                }
+
+                if (!data || data === '[DONE]') {
+                    continue;
+                }
+
+                try {
+                    yield JSON.parse(data);
+                } catch (parseError) {
+                    logger.debug(`[Stream] Error parsing JSON data: ${parseError.message}`);
+                }
+            }
+        }
+    } finally {
+        // Stop pulling from upstream when the consumer stops early
+        reader.cancel().catch(() => {});
+    }
+}
+
+/**
+ * Write a `data:` SSE event (Chat Completions style)
+ * @param {Object} res - Express response
+ * @param {Object|string} data - Payload, serialized as JSON unless already a string
+ */
+export function writeSSEData(res, data) {
+    res.write(`data: ${typeof data === 'string' ? data : JSON.stringify(data)}\n\n`);
+}
+
+/**
+ * Write a named SSE event (Responses API style)
+ * @param {Object} res - Express response
+ * @param {Object} event - Event payload, its `type` is used as the event name
+ */
+export function writeSSEEvent(res, event) {
+    res.write(`event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+}
+
+export default {
+    parseSSEStream,
+    writeSSEData,
+    writeSSEEvent
+};
\ No newline at end of file
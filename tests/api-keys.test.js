@@ -0,0 +1,55 @@
+import { describe, it, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'child_process';
+import { mkdtempSync, writeFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { config } from '../src/config.js';
+import { loadApiKeys, authenticateKey, findKeyByLabel } from '../src/api-keys.js';
+
+const dir = mkdtempSync(join(tmpdir(), 'adapter-keys-'));
+
+describe('API key labels', () => {
+    after(() => {
+        config.apiKeys = [];
+        loadApiKeys();
+        rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('derives a default label from the key, not from its position', () => {
+        config.apiKeys = [{ key: 'sk-one' }, { key: 'sk-two' }];
+        loadApiKeys();
+        const label = authenticateKey('sk-two').key.label;
+        assert.match(label, /^key-[0-9a-f]{12}$/);
+
+        config.apiKeys = [{ key: 'sk-two' }];
+        loadApiKeys();
+        assert.equal(authenticateKey('sk-two').key.label, label);
+        assert.equal(findKeyByLabel(label).label, label);
+    });
+
+    it('keeps the current keys when a reload has duplicate labels', () => {
+        config.apiKeys = [{ key: 'sk-a', label: 'team' }];
+        loadApiKeys();
+
+        config.apiKeys = [{ key: 'sk-a', label: 'team' }, { key: 'sk-b', label: 'team' }];
+        loadApiKeys();
+
+        assert.equal(authenticateKey('sk-a').key.label, 'team');
+        assert.equal(authenticateKey('sk-b').key, null);
+    });
+
+    it('refuses to start with duplicate labels', () => {
+        const file = join(dir, 'keys.json');
+        writeFileSync(file, JSON.stringify([{ key: 'sk-a', label: 'team' }, { key: 'sk-b', label: 'team' }]));
+
+        const result = spawnSync(process.execPath, ['-e', "await import('./src/api-keys.js')", '--input-type=module'], {
+            cwd: join(import.meta.dirname, '..'),
+            env: { ...process.env, API_KEYS_FILE: file },
+            encoding: 'utf-8'
+        });
+
+        assert.notEqual(result.status, 0);
+        assert.match(result.stderr, /Duplicate API key labels: team/);
+    });
+});
\ No newline at end of file
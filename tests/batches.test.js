@@ -0,0 +1,156 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, mkdirSync, writeFileSync, existsSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { startMockUpstream, listen, createMessage, waitFor } from './helpers.js';
+
+const upstream = await startMockUpstream(body => createMessage(`answer to ${body.messages[0].content}`));
+process.env.UPSTREAM_URL = upstream.url;
+
+const dir = mkdtempSync(join(tmpdir(), 'adapter-batches-'));
+const { config } = await import('../src/config.js');
+config.filesDir = join(dir, 'files');
+config.batchesDir = join(dir, 'batches');
+
+/**
+ * Build a batch input line
+ */
+function requestLine(customId, content) {
+    return JSON.stringify({ custom_id: customId, method: 'POST', url: '/v1/chat/completions', body: { model: 'claude-sonnet-4-5', messages: [{ role: 'user', content }] } });
+}
+
+// A batch interrupted by a restart: request a finished, b and c still to run
+const { createFile, readFileContent } = await import('../src/file-store.js');
+const resumeInput = await createFile({
+    data: Buffer.from([requestLine('a', 'a'), requestLine('b', 'b'), requestLine('c', 'c')].join('\n')),
+    filename: 'resume.jsonl',
+    purpose: 'batch'
+}, null);
+const createdAt = Math.floor(Date.now() / 1000);
+mkdirSync(config.batchesDir, { recursive: true });
+writeFileSync(join(config.batchesDir, 'batch_resume.json'), JSON.stringify({
+    id: 'batch_resume', object: 'batch', endpoint: '/v1/chat/completions', errors: null, input_file_id: resumeInput.id,
+    completion_window: '24h', status: 'in_progress', output_file_id: null, error_file_id: null, created_at: createdAt,
+    in_progress_at: createdAt, expires_at: createdAt + 86400, finalizing_at: null, completed_at: null, failed_at: null,
+    expired_at: null, cancelling_at: null, cancelled_at: null, request_counts: { total: 3, completed: 1, failed: 0 },
+    metadata: null, owner: null
+}));
+writeFileSync(join(config.batchesDir, 'batch_resume.output.jsonl'), JSON.stringify({
+    id: 'batch_req_a', custom_id: 'a', response: { status_code: 200, request_id: 'batch_req_a', body: { done: 'before the restart' } }, error: null
+}) + '\n');
+
+const { default: app, executeBatchRequest } = await import('../src/server.js');
+const { startBatchWorker } = await import('../src/batches.js');
+
+/**
+ * Parse a JSONL file of the Files API into lines by custom_id
+ */
+async function readResultFile(id) {
+    const { data } = await readFileContent(id, null);
+    return Object.fromEntries(data.toString('utf-8').trim().split('\n').map(JSON.parse).map(line => [line.custom_id, line]));
+}
+
+describe('batches', () => {
+    let server;
+
+    before(async () => {
+        server = await listen(app);
+        startBatchWorker(executeBatchRequest);
+    });
+
+    after(async () => {
+        await server.close();
+        await upstream.close();
+        rmSync(dir, { recursive: true, force: true });
+    });
+
+    async function getBatch(id) {
+        return (await fetch(`${server.url}/v1/batches/${id}`)).json();
+    }
+
+    async function runBatch(inputFileId) {
+        const response = await fetch(`${server.url}/v1/batches`, {
+            method: 'POST',
+            headers: { 'content-type': 'application/json' },
+            body: JSON.stringify({ input_file_id: inputFileId, endpoint: '/v1/chat/completions', completion_window: '24h' })
+        });
+        assert.equal(response.status, 200);
+        const { id } = await response.json();
+        return waitFor(async () => {
+            const batch = await getBatch(id);
+            return !['validating', 'in_progress', 'finalizing'].includes(batch.status) && batch;
+        });
+    }
+
+    it('resumes an interrupted batch without running finished requests again', async () => {
+        const batch = await waitFor(async () => {
+            const candidate = await getBatch('batch_resume');
+            return candidate.status === 'completed' && candidate;
+        });
+
+        assert.deepEqual(batch.request_counts, { total: 3, completed: 3, failed: 0 });
+        const output = await readResultFile(batch.output_file_id);
+        assert.deepEqual(output.a.response.body, { done: 'before the restart' });
+        assert.equal(output.b.response.body.choices[0].message.content, 'answer to b');
+        assert.equal(output.c.response.body.choices[0].message.content, 'answer to c');
+        assert.deepEqual(upstream.requests.map(request => request.body.messages[0].content).sort(), ['b', 'c']);
+        assert.ok(!existsSync(join(config.batchesDir, 'batch_resume.output.jsonl')));
+    });
+
+    it('runs a batch to output and error files', async () => {
+        const form = new FormData();
+        form.append('purpose', 'batch');
+        form.append('file', new Blob([[
+            requestLine('ok', 'question'),
+            JSON.stringify({ custom_id: 'bad', method: 'POST', url: '/v1/chat/completions', body: { model: 'claude-sonnet-4-5' } })
+        ].join('\n')]), 'input.jsonl');
+        const file = await (await fetch(`${server.url}/v1/files`, { method: 'POST', body: form })).json();
+
+        const batch = await runBatch(file.id);
+
+        assert.equal(batch.status, 'completed');
+        assert.deepEqual(batch.request_counts, { total: 2, completed: 1, failed: 1 });
+        const output = await readResultFile(batch.output_file_id);
+        assert.equal(output.ok.response.body.choices[0].message.content, 'answer to question');
+        const errors = await readResultFile(batch.error_file_id);
+        assert.equal(errors.bad.response.status_code, 400);
+    });
+
+    it('stores the results of a batch beyond the files quota', async () => {
+        const input = await createFile({ data: Buffer.from(requestLine('quota', 'quota')), filename: 'quota.jsonl', purpose: 'batch' }, null);
+
+        config.filesQuota = 1;
+        try {
+            await assert.rejects(
+                createFile({ data: Buffer.from('{}'), filename: 'upload.jsonl', purpose: 'batch' }, null),
+                error => error.code === 'storage_quota_exceeded'
+            );
+
+            const batch = await runBatch(input.id);
+
+            assert.equal(batch.status, 'completed');
+            const output = await readResultFile(batch.output_file_id);
+            assert.equal(output.quota.response.body.choices[0].message.content, 'answer to quota');
+        } finally {
+            config.filesQuota = 0;
+        }
+    });
+
+    it('fails a batch whose results exceed the batch output quota and keeps them', async () => {
+        const input = await createFile({ data: Buffer.from(requestLine('big', 'big')), filename: 'big.jsonl', purpose: 'batch' }, null);
+
+        config.batchOutputQuota = 1;
+        try {
+            const batch = await runBatch(input.id);
+
+            assert.equal(batch.status, 'failed');
+            assert.equal(batch.output_file_id, null);
+            assert.equal(batch.errors.data[0].code, 'batch_failed');
+            assert.match(batch.errors.data[0].message, /Batch output storage quota exceeded \(1 bytes\)/);
+            assert.ok(existsSync(join(config.batchesDir, `${batch.id}.output.jsonl`)));
+        } finally {
+            config.batchOutputQuota = 0;
+        }
+    });
+});
\ No newline at end of file
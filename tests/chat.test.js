@@ -0,0 +1,144 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startMockUpstream, listen, createMessage, toStreamEvents } from './helpers.js';
+
+const thinking = { type: 'thinking', thinking: 'Let me think.', signature: 'sig-1' };
+
+// Answers through the synthetic response_format tool when it is offered, with text otherwise
+const upstream = await startMockUpstream(body => {
+    const tool = body.tools?.find(candidate => candidate.name === 'json_response');
+    if (tool) {
+        const input = body.messages[0].content === 'invalid' ? { answer: 'forty-two' } : { answer: 42 };
+        return createMessage('', { content: [thinking, { type: 'tool_use', id: 'toolu_1', name: tool.name, input }], stop_reason: 'tool_use' });
+    }
+    return createMessage('The answer.', { content: [thinking, { type: 'text', text: 'The answer.' }] });
+});
+process.env.UPSTREAM_URL = upstream.url;
+
+const { convertAnthropicToOpenAI, convertStreamEvent } = await import('../src/format/anthropic-to-openai.js');
+const { default: app } = await import('../src/server.js');
+
+const message = createMessage('The answer.', { content: [thinking, { type: 'text', text: 'The answer.' }] });
+
+const responseFormat = {
+    type: 'json_schema',
+    json_schema: {
+        name: 'answer',
+        strict: true,
+        schema: { type: 'object', properties: { answer: { type: 'integer' } }, required: ['answer'], additionalProperties: false }
+    }
+};
+
+/**
+ * Collect the data of an SSE response
+ */
+async function readEvents(response) {
+    const text = await response.text();
+    return text.split('\n\n')
+        .filter(block => block.startsWith('data: '))
+        .map(block => block.substring(6))
+        .map(data => data === '[DONE]' ? data : JSON.parse(data));
+}
+
+describe('reasoning styles', () => {
+    it('returns thinking_blocks with reasoning_content only', () => {
+        const reasoning = convertAnthropicToOpenAI(message, 'gpt-4o', null, 'reasoning_content').choices[0].message;
+        assert.equal(reasoning.reasoning_content, 'Let me think.');
+        assert.deepEqual(reasoning.thinking_blocks, [thinking]);
+
+        const think = convertAnthropicToOpenAI(message, 'gpt-4o', null, 'think').choices[0].message;
+        assert.equal(think.content, '<think>\nLet me think.\n</think>\n\nThe answer.');
+        assert.equal(think.thinking_blocks, undefined);
+        assert.equal(think.reasoning_content, undefined);
+    });
+
+    it('streams thinking_blocks with reasoning_content only', () => {
+        const stream = reasoningStyle => {
+            const state = { reasoningStyle };
+            return toStreamEvents(message).flatMap(event => convertStreamEvent(event, 'gpt-4o', state));
+        };
+
+        assert.ok(stream('reasoning_content').some(chunk => chunk.choices[0]?.delta.thinking_blocks));
+
+        const chunks = stream('think');
+        assert.ok(!chunks.some(chunk => chunk.choices[0]?.delta.thinking_blocks));
+        assert.equal(chunks.map(chunk => chunk.choices[0]?.delta.content || '').join(''), '<think>\nLet me think.\n</think>\n\nThe answer.');
+    });
+});
+
+describe('routes', () => {
+    let server;
+
+    before(async () => {
+        server = await listen(app);
+    });
+
+    after(async () => {
+        await server.close();
+        await upstream.close();
+    });
+
+    function post(path, body, headers = {}) {
+        return fetch(`${server.url}${path}`, {
+            method: 'POST',
+            headers: { 'content-type': 'application/json', ...headers },
+            body: JSON.stringify(body)
+        });
+    }
+
+    it('keeps the <think> section out of strict response_format content', async () => {
+        const request = { model: 'claude-sonnet-4-5', messages: [{ role: 'user', content: 'valid' }], response_format: responseFormat };
+
+        const response = await post('/v1/chat/completions', request, { 'x-reasoning-style': 'think' });
+        assert.equal(response.status, 200);
+        const { message: answer } = (await response.json()).choices[0];
+        assert.equal(answer.content, '{"answer":42}');
+        assert.equal(answer.thinking_blocks, undefined);
+
+        const events = await readEvents(await post('/v1/chat/completions', { ...request, stream: true }, { 'x-reasoning-style': 'think' }));
+        const content = events.filter(event => event !== '[DONE]').map(event => event.choices[0]?.delta.content || '').join('');
+        assert.equal(content, '{"answer":42}');
+    });
+
+    it('rejects output that does not match a strict schema', async () => {
+        const request = { model: 'claude-sonnet-4-5', messages: [{ role: 'user', content: 'invalid' }], response_format: responseFormat };
+
+        const response = await post('/v1/chat/completions', request);
+        assert.equal(response.status, 500);
+        assert.equal((await response.json()).error.type, 'invalid_response_format');
+
+        const events = await readEvents(await post('/v1/chat/completions', { ...request, stream: true }));
+        assert.ok(events.some(event => event.error?.type === 'invalid_response_format'));
+        assert.ok(!events.some(event => event.choices?.[0]?.delta.content?.includes('forty-two')));
+    });
+
+    it('interleaves the choices of a streaming request with n > 1', async () => {
+        const events = await readEvents(await post('/v1/chat/completions', {
+            model: 'claude-sonnet-4-5',
+            messages: [{ role: 'user', content: 'hi' }],
+            n: 2,
+            stream: true,
+            stream_options: { include_usage: true }
+        }));
+
+        assert.equal(events.at(-1), '[DONE]');
+        const chunks = events.slice(0, -1);
+        assert.equal(new Set(chunks.map(chunk => chunk.id)).size, 1);
+        for (const index of [0, 1]) {
+            const choiceChunks = chunks.filter(chunk => chunk.choices[0]?.index === index);
+            assert.equal(choiceChunks.map(chunk => chunk.choices[0].delta.content || '').join(''), 'The answer.');
+            assert.equal(choiceChunks.filter(chunk => chunk.choices[0].finish_reason).length, 1);
+        }
+        assert.deepEqual(chunks.at(-1).choices, []);
+        assert.equal(chunks.at(-1).usage.total_tokens, 30);
+    });
+
+    it('keeps the <think> section out of legacy completions', async () => {
+        const response = await post('/v1/completions', { model: 'claude-sonnet-4-5', prompt: 'Say it' }, { 'x-reasoning-style': 'think' });
+        assert.equal(response.status, 200);
+        assert.equal((await response.json()).choices[0].text, 'The answer.');
+
+        const events = await readEvents(await post('/v1/completions', { model: 'claude-sonnet-4-5', prompt: 'Say it', stream: true }, { 'x-reasoning-style': 'think' }));
+        assert.equal(events.filter(event => event !== '[DONE]').map(event => event.choices[0]?.text || '').join(''), 'The answer.');
+    });
+});
\ No newline at end of file
@@ -0,0 +1,83 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startMockUpstream, listen, createMessage } from './helpers.js';
+
+// Every upstream call answers with its own number, or fails when asked to
+let calls = 0;
+let failingCall = null;
+const upstream = await startMockUpstream(() => {
+    calls++;
+    if (calls === failingCall) {
+        return { status: 400, body: { type: 'error', error: { type: 'invalid_request_error', message: 'bad choice' } } };
+    }
+    return createMessage(`answer ${calls}`);
+});
+process.env.UPSTREAM_URL = upstream.url;
+
+const { config } = await import('../src/config.js');
+const { default: app } = await import('../src/server.js');
+
+describe('n > 1', () => {
+    let server;
+
+    before(async () => {
+        config.maxRetries = 0;
+        server = await listen(app);
+    });
+
+    beforeEach(() => {
+        calls = 0;
+        failingCall = null;
+        upstream.requests.length = 0;
+    });
+
+    after(async () => {
+        await server.close();
+        await upstream.close();
+    });
+
+    function post(body, headers = {}) {
+        return fetch(`${server.url}/v1/chat/completions`, {
+            method: 'POST',
+            headers: { 'content-type': 'application/json', ...headers },
+            body: JSON.stringify({ model: 'claude-sonnet-4-5', messages: [{ role: 'user', content: 'hi' }], ...body })
+        });
+    }
+
+    it('fans out one upstream call per choice and merges the choices', async () => {
+        const response = await post({ n: 3 });
+        assert.equal(response.status, 200);
+        const body = await response.json();
+
+        assert.deepEqual(body.choices.map(choice => choice.index), [0, 1, 2]);
+        assert.deepEqual(body.choices.map(choice => choice.message.content).sort(), ['answer 1', 'answer 2', 'answer 3']);
+        assert.equal(body.usage.prompt_tokens, 30);
+        assert.equal(body.usage.total_tokens, 45);
+        assert.equal(upstream.requests.length, 3);
+        assert.ok(upstream.requests.every(request => request.body.openai_n === undefined));
+    });
+
+    it('gives every choice its own Idempotency-Key', async () => {
+        await post({ n: 3 }, { 'idempotency-key': 'job-1' });
+
+        const keys = upstream.requests.map(request => request.headers['idempotency-key']).sort();
+        assert.deepEqual(keys, ['job-1', 'job-1-1', 'job-1-2']);
+    });
+
+    for (const n of [0, 1.5, 'two', 9]) {
+        it(`rejects n=${JSON.stringify(n)}`, async () => {
+            const response = await post({ n });
+            assert.equal(response.status, 400);
+            assert.match((await response.json()).error.message, /^n must be an integer between 1 and 8/);
+            assert.equal(upstream.requests.length, 0);
+        });
+    }
+
+    it('fails the request when one choice fails', async () => {
+        failingCall = 2;
+
+        const response = await post({ n: 2 });
+        assert.equal(response.status, 400);
+        assert.equal((await response.json()).error.message, 'bad choice');
+    });
+});
\ No newline at end of file
@@ -0,0 +1,89 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startMockUpstream, listen, createMessage } from './helpers.js';
+
+// Answers every prompt with its own text, so choices can be told apart
+const upstream = await startMockUpstream(body => createMessage(` after ${body.messages.at(-1).content.split('\n')[0]}`));
+process.env.UPSTREAM_URL = upstream.url;
+
+const { convertCompletionToChat } = await import('../src/format/completions.js');
+const { default: app } = await import('../src/server.js');
+
+describe('convertCompletionToChat', () => {
+    it('turns a prompt into a single user turn', () => {
+        const chat = convertCompletionToChat({ model: 'gpt-3.5-turbo-instruct', max_tokens: 16, stop: '\n' }, 'Once upon');
+        assert.equal(chat.messages.length, 2);
+        assert.equal(chat.messages[0].role, 'system');
+        assert.deepEqual(chat.messages[1], { role: 'user', content: 'Once upon' });
+        assert.equal(chat.max_tokens, 16);
+        assert.equal(chat.stop, '\n');
+    });
+
+    it('asks for an insertion with a suffix', () => {
+        const chat = convertCompletionToChat({ model: 'gpt-3.5-turbo-instruct', suffix: 'end.' }, 'Start');
+        assert.equal(chat.messages[1].content, '<prefix>Start</prefix>\n<suffix>end.</suffix>');
+    });
+});
+
+describe('POST /v1/completions', () => {
+    let server;
+
+    before(async () => {
+        server = await listen(app);
+    });
+
+    beforeEach(() => {
+        upstream.requests.length = 0;
+    });
+
+    after(async () => {
+        await server.close();
+        await upstream.close();
+    });
+
+    function post(body) {
+        return fetch(`${server.url}/v1/completions`, {
+            method: 'POST',
+            headers: { 'content-type': 'application/json' },
+            body: JSON.stringify({ model: 'claude-sonnet-4-5', ...body })
+        });
+    }
+
+    it('answers every prompt of an array as its own choice', async () => {
+        const response = await post({ prompt: ['one', 'two'], echo: true });
+        assert.equal(response.status, 200);
+        const body = await response.json();
+
+        assert.equal(body.object, 'text_completion');
+        assert.match(body.id, /^cmpl-/);
+        assert.deepEqual(body.choices.map(choice => [choice.index, choice.text]), [[0, 'one after one'], [1, 'two after two']]);
+        assert.equal(body.usage.total_tokens, 30);
+        assert.equal(upstream.requests.length, 2);
+    });
+
+    it('streams text_completion chunks', async () => {
+        const response = await post({ prompt: 'one', stream: true });
+        const events = (await response.text()).split('\n\n').filter(Boolean).map(block => block.substring(6));
+
+        assert.equal(events.at(-1), '[DONE]');
+        const chunks = events.slice(0, -1).map(data => JSON.parse(data));
+        assert.ok(chunks.every(chunk => chunk.object === 'text_completion'));
+        assert.equal(chunks.map(chunk => chunk.choices[0]?.text || '').join(''), ' after one');
+        assert.equal(chunks.at(-1).choices[0].finish_reason, 'stop');
+    });
+
+    for (const prompt of [undefined, [], [1, 2, 3], ['a', 5]]) {
+        it(`rejects prompt ${JSON.stringify(prompt)}`, async () => {
+            const response = await post({ prompt });
+            assert.equal(response.status, 400);
+            assert.equal((await response.json()).error.type, 'invalid_request_error');
+            assert.equal(upstream.requests.length, 0);
+        });
+    }
+
+    it('rejects more prompts than maxChoices', async () => {
+        const response = await post({ prompt: Array(9).fill('x') });
+        assert.equal(response.status, 400);
+        assert.match((await response.json()).error.message, /limited to 8 prompts/);
+    });
+});
\ No newline at end of file
@@ -0,0 +1,141 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startMockUpstream, listen } from './helpers.js';
+
+let response;
+const upstream = await startMockUpstream(() => response);
+process.env.UPSTREAM_URL = upstream.url;
+
+const { config } = await import('../src/config.js');
+const { mapUpstreamError } = await import('../src/format/anthropic-to-openai.js');
+const { default: app } = await import('../src/server.js');
+
+/**
+ * An Anthropic error body
+ */
+function upstreamError(type, message = 'upstream said no') {
+    return { type: 'error', error: { type, message } };
+}
+
+describe('upstream error mapping', () => {
+    it('maps Anthropic error types to OpenAI status, type and code', () => {
+        const table = [
+            ['invalid_request_error', 400, 400, 'invalid_request_error', null],
+            ['authentication_error', 401, 401, 'authentication_error', 'invalid_api_key'],
+            ['permission_error', 403, 403, 'permission_error', null],
+            ['not_found_error', 404, 404, 'invalid_request_error', 'model_not_found'],
+            ['request_too_large', 413, 413, 'invalid_request_error', 'request_too_large'],
+            ['rate_limit_error', 429, 429, 'rate_limit_error', 'rate_limit_exceeded'],
+            ['api_error', 500, 500, 'api_error', null],
+            ['overloaded_error', 529, 503, 'server_error', 'overloaded']
+        ];
+
+        for (const [type, upstreamStatus, status, openaiType, code] of table) {
+            const mapped = mapUpstreamError(upstreamStatus, { type, message: 'no' });
+            assert.deepEqual({ status: mapped.status, type: mapped.type, code: mapped.code }, { status, type: openaiType, code }, type);
+        }
+    });
+
+    it('reports a prompt that does not fit as context_length_exceeded', () => {
+        const mapped = mapUpstreamError(400, { type: 'invalid_request_error', message: 'prompt is too long: 210000 tokens > 200000 maximum' });
+        assert.equal(mapped.code, 'context_length_exceeded');
+        assert.equal(mapped.param, 'messages');
+    });
+
+    it('keeps the status class of unknown error types', () => {
+        assert.equal(mapUpstreamError(502, { type: 'mystery' }).status, 502);
+        assert.equal(mapUpstreamError(502, { type: 'mystery' }).type, 'api_error');
+        assert.equal(mapUpstreamError(418, undefined).status, 418);
+        assert.equal(mapUpstreamError(0, { type: 'mystery' }).status, 400);
+        assert.equal(mapUpstreamError(418, undefined).message, 'Upstream error: 418');
+    });
+});
+
+describe('upstream errors on the wire', () => {
+    let server;
+
+    before(async () => {
+        config.maxRetries = 0;
+        server = await listen(app);
+    });
+
+    beforeEach(() => {
+        upstream.requests.length = 0;
+    });
+
+    after(async () => {
+        await server.close();
+        await upstream.close();
+    });
+
+    function chat(fields = {}) {
+        return fetch(`${server.url}/v1/chat/completions`, {
+            method: 'POST',
+            headers: { 'content-type': 'application/json' },
+            body: JSON.stringify({ model: 'claude-sonnet-4-5', messages: [{ role: 'user', content: 'hi' }], ...fields })
+        });
+    }
+
+    it('answers with the mapped error and passes Retry-After on', async () => {
+        response = res => {
+            res.statusCode = 429;
+            res.setHeader('content-type', 'application/json');
+            res.setHeader('retry-after', '7');
+            res.end(JSON.stringify(upstreamError('rate_limit_error', 'slow down')));
+        };
+
+        const reply = await chat();
+        assert.equal(reply.status, 429);
+        assert.equal(reply.headers.get('retry-after'), '7');
+        assert.deepEqual((await reply.json()).error, {
+            message: 'slow down',
+            type: 'rate_limit_error',
+            param: null,
+            code: 'rate_limit_exceeded'
+        });
+    });
+
+    it('maps an error sent in a 200 body', async () => {
+        response = upstreamError('permission_error');
+
+        const reply = await chat();
+        assert.equal(reply.status, 403);
+        assert.equal((await reply.json()).error.type, 'permission_error');
+    });
+
+    it('maps a context length error', async () => {
+        response = { status: 400, body: upstreamError('invalid_request_error', 'prompt is too long: 300000 tokens > 200000 maximum') };
+
+        const reply = await chat();
+        assert.equal(reply.status, 400);
+        const { error } = await reply.json();
+        assert.equal(error.code, 'context_length_exceeded');
+        assert.equal(error.param, 'messages');
+    });
+
+    it('reports an unreachable upstream as 502 upstream_unreachable', async () => {
+        response = res => res.destroy();
+
+        const reply = await chat();
+        assert.equal(reply.status, 502);
+        assert.equal((await reply.json()).error.code, 'upstream_unreachable');
+    });
+
+    it('sends a mapped error chunk when the stream fails', async () => {
+        response = {
+            events: [
+                { type: 'message_start', message: { id: 'msg_test', type: 'message', role: 'assistant', content: [], model: 'claude-sonnet-4-5', usage: { input_tokens: 10, output_tokens: 0 } } },
+                upstreamError('api_error', 'stream broke')
+            ]
+        };
+
+        const reply = await chat({ stream: true });
+        assert.equal(reply.status, 200);
+        const chunks = (await reply.text()).split('\n')
+            .filter(line => line.startsWith('data: ') && line !== 'data: [DONE]')
+            .map(line => JSON.parse(line.slice(6)));
+        const errorChunk = chunks.find(chunk => chunk.error);
+        assert.equal(errorChunk.error.type, 'api_error');
+        assert.equal(errorChunk.error.message, 'stream broke');
+    });
+});
\ No newline at end of file
@@ -0,0 +1,95 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startMockUpstream, listen, createMessage } from './helpers.js';
+
+// Responses of the mock upstream per model; models without one answer normally
+let responses = {};
+const upstream = await startMockUpstream(body => responses[body.model] || createMessage(`from ${body.model}`));
+process.env.UPSTREAM_URL = upstream.url;
+
+const { config } = await import('../src/config.js');
+const { default: app } = await import('../src/server.js');
+
+const rateLimited = { status: 429, body: { type: 'error', error: { type: 'rate_limit_error', message: 'slow down' } } };
+const overloaded = { status: 529, body: { type: 'error', error: { type: 'overloaded_error', message: 'busy' } } };
+
+describe('model fallbacks', () => {
+    let server;
+
+    before(async () => {
+        config.maxRetries = 0;
+        config.modelFallbacks = { 'claude-opus-4-5': ['claude-sonnet-4-5', 'claude-haiku-4-5'] };
+        server = await listen(app);
+    });
+
+    beforeEach(() => {
+        responses = {};
+        upstream.requests.length = 0;
+    });
+
+    after(async () => {
+        await server.close();
+        await upstream.close();
+    });
+
+    function chat(fields = {}) {
+        return fetch(`${server.url}/v1/chat/completions`, {
+            method: 'POST',
+            headers: { 'content-type': 'application/json' },
+            body: JSON.stringify({ model: 'claude-opus-4-5', messages: [{ role: 'user', content: 'hi' }], ...fields })
+        });
+    }
+
+    it('serves from the first model that has capacity', async () => {
+        responses = { 'claude-opus-4-5': rateLimited, 'claude-sonnet-4-5': overloaded };
+
+        const response = await chat();
+        assert.equal(response.status, 200);
+        assert.equal(response.headers.get('x-adapter-served-model'), 'claude-haiku-4-5');
+        const body = await response.json();
+        assert.equal(body.model, 'claude-opus-4-5');
+        assert.equal(body.choices[0].message.content, 'from claude-haiku-4-5');
+        assert.deepEqual(upstream.requests.map(request => request.body.model),
+            ['claude-opus-4-5', 'claude-sonnet-4-5', 'claude-haiku-4-5']);
+    });
+
+    it('reports the requested model when it served the request', async () => {
+        const response = await chat();
+        assert.equal(response.headers.get('x-adapter-served-model'), 'claude-opus-4-5');
+        assert.equal(upstream.requests.length, 1);
+    });
+
+    it('falls back on an overload reported in a 200 body', async () => {
+        responses = { 'claude-opus-4-5': { type: 'error', error: { type: 'overloaded_error', message: 'busy' } } };
+
+        const response = await chat();
+        assert.equal(response.status, 200);
+        assert.equal(response.headers.get('x-adapter-served-model'), 'claude-sonnet-4-5');
+    });
+
+    it('falls back on an overload sent as the first stream event', async () => {
+        responses = { 'claude-opus-4-5': { events: [{ type: 'error', error: { type: 'overloaded_error', message: 'busy' } }] } };
+
+        const response = await chat({ stream: true });
+        assert.equal(response.status, 200);
+        assert.equal(response.headers.get('x-adapter-served-model'), 'claude-sonnet-4-5');
+        assert.match(await response.text(), /from claude-sonnet-4-5/);
+    });
+
+    it('returns the last error once the chain is exhausted', async () => {
+        responses = { 'claude-opus-4-5': overloaded, 'claude-sonnet-4-5': overloaded, 'claude-haiku-4-5': rateLimited };
+
+        const response = await chat();
+        assert.equal(response.status, 429);
+        assert.equal((await response.json()).error.type, 'rate_limit_error');
+        assert.equal(upstream.requests.length, 3);
+    });
+
+    it('does not fall back on errors other than capacity', async () => {
+        responses = { 'claude-opus-4-5': { status: 400, body: { type: 'error', error: { type: 'invalid_request_error', message: 'bad' } } } };
+
+        const response = await chat();
+        assert.equal(response.status, 400);
+        assert.equal(upstream.requests.length, 1);
+    });
+});
\ No newline at end of file
@@ -0,0 +1,134 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startMockUpstream, listen, createMessage } from './helpers.js';
+
+const upstream = await startMockUpstream(() => createMessage('read it'));
+process.env.UPSTREAM_URL = upstream.url;
+
+const { convertOpenAIToAnthropic, findUnsupportedContent } = await import('../src/format/openai-to-anthropic.js');
+const { default: app } = await import('../src/server.js');
+
+const PDF = Buffer.from('%PDF-1.7\n1 0 obj\n<<>>\nendobj\n').toString('base64');
+const PNG = Buffer.concat([Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]), Buffer.alloc(16)]).toString('base64');
+
+/**
+ * A user message with a text part and one other part
+ */
+function withPart(part) {
+    return [{ role: 'user', content: [{ type: 'text', text: 'Summarize this' }, part] }];
+}
+
+/**
+ * Convert a user message with one file part and return the converted part
+ */
+function convertFile(file) {
+    return convertOpenAIToAnthropic({ model: 'claude-sonnet-4-5', messages: withPart({ type: 'file', file }) }).messages[0].content[1];
+}
+
+describe('file content parts', () => {
+    it('sends a PDF data URI as a base64 document titled with the filename', () => {
+        assert.deepEqual(convertFile({ file_data: `data:application/pdf;base64,${PDF}`, filename: 'report.pdf' }), {
+            type: 'document',
+            source: { type: 'base64', media_type: 'application/pdf', data: PDF },
+            title: 'report.pdf'
+        });
+    });
+
+    it('types plain base64 by its content, then by the filename extension', () => {
+        assert.equal(convertFile({ file_data: PDF }).source.media_type, 'application/pdf');
+        assert.deepEqual(convertFile({ file_data: Buffer.from('{"a":1}').toString('base64'), filename: 'data.json' }), {
+            type: 'document',
+            source: { type: 'text', media_type: 'text/plain', data: '{"a":1}' },
+            title: 'data.json'
+        });
+    });
+
+    it('decodes text files into text documents', () => {
+        const part = convertFile({ file_data: `data:text/markdown;base64,${Buffer.from('# Notes').toString('base64')}`, filename: 'notes.md' });
+        assert.deepEqual(part.source, { type: 'text', media_type: 'text/plain', data: '# Notes' });
+    });
+
+    it('sends image files as image blocks', () => {
+        assert.deepEqual(convertFile({ file_data: PNG, filename: 'chart.png' }), {
+            type: 'image',
+            source: { type: 'base64', media_type: 'image/png', data: PNG }
+        });
+    });
+
+    it('names the part that cannot be converted', () => {
+        const cases = [
+            [{ type: 'file', file: { file_data: 'UEsDBAoAAAAA', filename: 'archive.zip' } }, /Unsupported file type for archive.zip: only PDF, image and plain-text files/],
+            [{ type: 'file', file: { filename: 'missing.pdf' } }, /require file.file_data/],
+            [{ type: 'input_audio', input_audio: { data: 'AAAA', format: 'wav' } }, /Audio input/],
+            [{ type: 'video_url', video_url: { url: 'https://example.com/a.mp4' } }, /Unsupported content part type: video_url/]
+        ];
+        for (const [part, message] of cases) {
+            const unsupported = findUnsupportedContent(withPart(part));
+            assert.match(unsupported.message, message);
+            assert.equal(unsupported.param, 'messages[0].content[1]');
+        }
+
+        assert.equal(findUnsupportedContent(withPart({ type: 'file', file: { file_data: PDF } })), null);
+        // Only user content is checked
+        assert.equal(findUnsupportedContent([{ role: 'assistant', content: [{ type: 'mystery' }] }]), null);
+    });
+});
+
+describe('file parts in requests', () => {
+    let server;
+
+    before(async () => {
+        server = await listen(app);
+    });
+
+    beforeEach(() => {
+        upstream.requests.length = 0;
+    });
+
+    after(async () => {
+        await server.close();
+        await upstream.close();
+    });
+
+    function post(path, body) {
+        return fetch(`${server.url}${path}`, {
+            method: 'POST',
+            headers: { 'content-type': 'application/json' },
+            body: JSON.stringify({ model: 'claude-sonnet-4-5', ...body })
+        });
+    }
+
+    it('rejects an unsupported part before calling upstream', async () => {
+        const response = await post('/v1/chat/completions', {
+            messages: withPart({ type: 'file', file: { file_data: 'data:application/msword;base64,AAAA', filename: 'letter.doc' } })
+        });
+        assert.equal(response.status, 400);
+        const { error } = await response.json();
+        assert.equal(error.type, 'invalid_request_error');
+        assert.equal(error.param, 'messages[0].content[1]');
+        assert.match(error.message, /application\/msword/);
+        assert.equal(upstream.requests.length, 0);
+    });
+
+    it('sends a chat file part upstream as a document', async () => {
+        const response = await post('/v1/chat/completions', {
+            messages: withPart({ type: 'file', file: { file_data: `data:application/pdf;base64,${PDF}`, filename: 'report.pdf' } })
+        });
+        assert.equal(response.status, 200);
+        assert.equal(upstream.requests[0].body.messages[0].content[1].type, 'document');
+    });
+
+    it('sends a Responses input_file upstream as a document', async () => {
+        const response = await post('/v1/responses', {
+            input: [{ role: 'user', content: [
+                { type: 'input_text', text: 'Summarize this' },
+                { type: 'input_file', filename: 'report.pdf', file_data: `data:application/pdf;base64,${PDF}` }
+            ] }]
+        });
+        assert.equal(response.status, 200);
+        const document = upstream.requests[0].body.messages[0].content[1];
+        assert.equal(document.type, 'document');
+        assert.equal(document.title, 'report.pdf');
+        assert.equal(document.source.media_type, 'application/pdf');
+    });
+});
\ No newline at end of file
@@ -0,0 +1,61 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { listen } from './helpers.js';
+
+const dir = mkdtempSync(join(tmpdir(), 'adapter-files-'));
+const { config } = await import('../src/config.js');
+config.filesDir = dir;
+
+const { default: app } = await import('../src/server.js');
+
+describe('file downloads', () => {
+    let server;
+
+    before(async () => {
+        server = await listen(app);
+    });
+
+    after(async () => {
+        await server.close();
+        rmSync(dir, { recursive: true, force: true });
+    });
+
+    async function upload(content, filename, type) {
+        const form = new FormData();
+        form.append('purpose', 'user_data');
+        form.append('file', new Blob([content], { type }), filename);
+        const response = await fetch(`${server.url}/v1/files`, { method: 'POST', body: form });
+        assert.equal(response.status, 200);
+        return response.json();
+    }
+
+    it('serves uploaded HTML as an attachment that browsers do not render', async () => {
+        const html = '<html><script>alert(document.cookie)</script></html>';
+        const file = await upload(html, 'page.html', 'text/html');
+
+        const response = await fetch(`${server.url}/v1/files/${file.id}/content`);
+        assert.equal(response.status, 200);
+        assert.equal(response.headers.get('content-type'), 'application/octet-stream');
+        assert.equal(response.headers.get('content-disposition'), 'attachment; filename="page.html"');
+        assert.equal(response.headers.get('x-content-type-options'), 'nosniff');
+        assert.equal(await response.text(), html);
+    });
+
+    it('serves images the same way', async () => {
+        const svg = '<svg xmlns="http://www.w3.org/2000/svg" onload="alert(1)"/>';
+        const file = await upload(svg, 'logo.svg', 'image/svg+xml');
+
+        const response = await fetch(`${server.url}/v1/files/${file.id}/content`);
+        assert.equal(response.headers.get('content-type'), 'application/octet-stream');
+        assert.match(response.headers.get('content-disposition'), /^attachment/);
+    });
+
+    it('answers 404 for unknown files', async () => {
+        const response = await fetch(`${server.url}/v1/files/file-missing/content`);
+        assert.equal(response.status, 404);
+        assert.equal((await response.json()).error.param, 'id');
+    });
+});
\ No newline at end of file
@@ -0,0 +1,143 @@
+/**
+ * Test helpers
+ * A mock antigravity-claude-proxy (Anthropic Messages API) and an HTTP listener for the adapter app
+ */
+
+import http from 'http';
+
+/**
+ * Listen on a free local port
+ * @param {Function|Object} handler - Request listener (an Express app or a plain handler)
+ * @returns {Promise<{ url: string, close: Function }>}
+ */
+export function listen(handler) {
+    const server = http.createServer(handler);
+    return new Promise(resolve => {
+        server.listen(0, '127.0.0.1', () => {
+            resolve({
+                url: `http://127.0.0.1:${server.address().port}`,
+                close: () => new Promise(done => {
+                    server.closeAllConnections();
+                    server.close(done);
+                })
+            });
+        });
+    });
+}
+
+/**
+ * Build an Anthropic message
+ * @param {string} text - Text content
+ * @param {Object} [fields] - Fields to override (model, content, usage...)
+ * @returns {Object}
+ */
+export function createMessage(text, fields = {}) {
+    return {
+        id: 'msg_test',
+        type: 'message',
+        role: 'assistant',
+        model: 'claude-sonnet-4-5',
+        content: [{ type: 'text', text }],
+        stop_reason: 'end_turn',
+        stop_sequence: null,
+        usage: { input_tokens: 10, output_tokens: 5 },
+        ...fields
+    };
+}
+
+/**
+ * Turn an Anthropic message (text, thinking and tool_use blocks) into the stream events that produce it
+ * @param {Object} message - Anthropic message
+ * @returns {Array<Object>}
+ */
+export function toStreamEvents(message) {
+    const { content, stop_reason, usage, ...rest } = message;
+    const events = [{
+        type: 'message_start',
+        message: { ...rest, content: [], stop_reason: null, usage: { input_tokens: usage.input_tokens, output_tokens: 0 } }
+    }];
+    content.forEach((block, index) => {
+        if (block.type === 'thinking') {
+            events.push({ type: 'content_block_start', index, content_block: { type: 'thinking', thinking: '' } });
+            events.push({ type: 'content_block_delta', index, delta: { type: 'thinking_delta', thinking: block.thinking } });
+            events.push({ type: 'content_block_delta', index, delta: { type: 'signature_delta', signature: block.signature } });
+        } else if (block.type === 'tool_use') {
+            events.push({ type: 'content_block_start', index, content_block: { type: 'tool_use', id: block.id, name: block.name, input: {} } });
+            events.push({ type: 'content_block_delta', index, delta: { type: 'input_json_delta', partial_json: JSON.stringify(block.input) } });
+        } else {
+            events.push({ type: 'content_block_start', index, content_block: { type: 'text', text: '' } });
+            events.push({ type: 'content_block_delta', index, delta: { type: 'text_delta', text: block.text } });
+        }
+        events.push({ type: 'content_block_stop', index });
+    });
+    events.push({ type: 'message_delta', delta: { stop_reason }, usage: { output_tokens: usage.output_tokens } });
+    events.push({ type: 'message_stop' });
+    return events;
+}
+
+/**
+ * Start a mock upstream
+ * The handler gets the parsed request body and returns one of:
+ * - an Anthropic message (sent as JSON, or as stream events for stream requests)
+ * - { status, body } for an error response
+ * - { events, hang } to stream raw events (hang keeps the stream open afterwards)
+ * - a function, called with the HTTP response to answer it any other way
+ * @param {Function} handler - (body, req) => response
+ * @returns {Promise<{ url: string, requests: Array<Object>, close: Function }>}
+ */
+export async function startMockUpstream(handler) {
+    const requests = [];
+    const server = await listen(async (req, res) => {
+        let data = '';
+        for await (const chunk of req) data += chunk;
+
+        if (req.url === '/health') {
+            res.setHeader('content-type', 'application/json');
+            return res.end(JSON.stringify({ status: 'ok' }));
+        }
+
+        const body = data ? JSON.parse(data) : {};
+        requests.push({ url: req.url, headers: req.headers, body });
+        const response = await handler(body, req);
+
+        if (typeof response === 'function') {
+            return response(res);
+        }
+        if (response.status) {
+            res.statusCode = response.status;
+            res.setHeader('content-type', 'application/json');
+            return res.end(JSON.stringify(response.body));
+        }
+
+        if (!body.stream) {
+            res.setHeader('content-type', 'application/json');
+            return res.end(JSON.stringify(response));
+        }
+
+        res.setHeader('content-type', 'text/event-stream');
+        for (const event of response.events || toStreamEvents(response)) {
+            res.write(`event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+        }
+        if (!response.hang) {
+            res.end();
+        }
+    });
+
+    return { ...server, requests };
+}
+
+/**
+ * Wait until a condition holds
+ * @param {Function} condition - Returns a truthy value (or a promise of one) when done
+ * @param {number} [timeout] - Give up after this many milliseconds
+ * @returns {Promise<any>} - The truthy value
+ */
+export async function waitFor(condition, timeout = 5000) {
+    const deadline = Date.now() + timeout;
+    for (;;) {
+        const value = await condition();
+        if (value) return value;
+        if (Date.now() > deadline) throw new Error('Timed out waiting for a condition');
+        await new Promise(resolve => setTimeout(resolve, 20));
+    }
+}
\ No newline at end of file
@@ -0,0 +1,113 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { listen } from './helpers.js';
+import { config } from '../src/config.js';
+import { inlineRemoteImages } from '../src/image-fetch.js';
+
+const PNG = Buffer.concat([Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]), Buffer.alloc(64)]);
+
+// Image host: /png, /big, /chunked, /html, /fake, /redirect/<n> (n hops to /png), /redirect-ftp
+const host = await listen((req, res) => {
+    const [, path, hops] = req.url.match(/^\/([a-z-]+)\/?(\d+)?/) || [];
+    if (path === 'png') {
+        res.setHeader('content-type', 'application/octet-stream');
+        return res.end(PNG);
+    }
+    if (path === 'big') {
+        res.setHeader('content-type', 'image/png');
+        return res.end(Buffer.concat([PNG, Buffer.alloc(2048)]));
+    }
+    if (path === 'chunked') {
+        res.setHeader('content-type', 'image/png');
+        res.write(PNG);
+        return res.end(Buffer.alloc(2048));
+    }
+    if (path === 'html') {
+        res.setHeader('content-type', 'text/html');
+        return res.end('<html></html>');
+    }
+    if (path === 'fake') {
+        res.setHeader('content-type', 'image/png');
+        return res.end('not really a png');
+    }
+    if (path === 'redirect') {
+        res.statusCode = 302;
+        res.setHeader('location', Number(hops) > 1 ? `/redirect/${hops - 1}?${req.url}` : '/png');
+        return res.end();
+    }
+    if (path === 'redirect-ftp') {
+        res.statusCode = 301;
+        res.setHeader('location', 'ftp://example.com/image.png');
+        return res.end();
+    }
+    res.statusCode = 404;
+    res.end();
+});
+const port = new URL(host.url).port;
+
+/**
+ * Inline one image URL, resolving to the image source or rejecting with the error
+ */
+async function inline(url) {
+    const anthropicRequest = { messages: [{ role: 'user', content: [{ type: 'image', source: { type: 'url', url } }] }] };
+    await inlineRemoteImages(anthropicRequest);
+    return anthropicRequest.messages[0].content[0].source;
+}
+
+/**
+ * Match an invalid_image_url error by message
+ */
+function imageError(pattern) {
+    return error => error.status === 400 && error.code === 'invalid_image_url' && pattern.test(error.message);
+}
+
+describe('remote images', () => {
+    let counter = 0;
+    // Every test uses its own URLs, downloaded images are cached by URL
+    const url = path => `${host.url}/${path}${path.includes('?') ? '&' : '?'}n=${counter++}`;
+
+    before(() => {
+        config.fetchImages = true;
+        config.imageMaxBytes = 1024;
+    });
+
+    beforeEach(() => {
+        config.imageFetchAllowPrivate = true;
+    });
+
+    after(() => host.close());
+
+    it('blocks private addresses, also behind a hostname', async () => {
+        config.imageFetchAllowPrivate = false;
+        await assert.rejects(inline(url('png')), imageError(/points to a private address/));
+        await assert.rejects(inline(`http://localhost:${port}/png`), imageError(/points to a private address/));
+        await assert.rejects(inline(`http://[::ffff:127.0.0.1]:${port}/png`), imageError(/points to a private address/));
+        await assert.rejects(inline('http://[64:ff9b::7f00:1]/png'), imageError(/points to a private address/));
+        await assert.rejects(inline('http://[2002:7f00:1::]/png'), imageError(/points to a private address/));
+    });
+
+    it('inlines an image, typed from its data', async () => {
+        assert.deepEqual(await inline(url('png')), { type: 'base64', media_type: 'image/png', data: PNG.toString('base64') });
+    });
+
+    it('follows a few redirects', async () => {
+        assert.equal((await inline(url('redirect/3'))).media_type, 'image/png');
+        await assert.rejects(inline(url('redirect/4')), imageError(/too many redirects/));
+        await assert.rejects(inline(url('redirect-ftp')), imageError(/redirected to ftp: URL/));
+    });
+
+    it('rejects images over imageMaxBytes', async () => {
+        await assert.rejects(inline(url('big')), imageError(/larger than 1024 bytes/));
+        await assert.rejects(inline(url('chunked')), imageError(/larger than 1024 bytes/));
+    });
+
+    it('rejects responses that are not images', async () => {
+        await assert.rejects(inline(url('html')), imageError(/is not an image \(text\/html\)/));
+        await assert.rejects(inline(url('fake')), imageError(/is not a supported image/));
+        await assert.rejects(inline(url('missing')), imageError(/HTTP 404/));
+    });
+
+    it('only accepts http(s) URLs', async () => {
+        await assert.rejects(inline('file:///etc/passwd'), imageError(/only http\(s\) URLs/));
+    });
+});
\ No newline at end of file
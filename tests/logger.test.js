@@ -0,0 +1,39 @@
+import { describe, it, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, writeFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { config } from '../src/config.js';
+import { logger } from '../src/utils/logger.js';
+import { loadApiKeys } from '../src/api-keys.js';
+
+const dir = mkdtempSync(join(tmpdir(), 'adapter-logger-'));
+
+describe('log redaction', () => {
+    after(() => {
+        config.apiKeys = [];
+        config.apiKeysFile = null;
+        loadApiKeys();
+        rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('redacts the values of keys from apiKeys and the keys file', () => {
+        config.apiKeys = [{ key: 'team-a-plain-secret', label: 'team-a' }, 'bare-string-secret'];
+        config.apiKeysFile = join(dir, 'keys.json');
+        writeFileSync(config.apiKeysFile, JSON.stringify({ keys: [{ key: 'file-key-secret', label: 'ci' }] }));
+        loadApiKeys();
+
+        const line = logger.redact('keys team-a-plain-secret, bare-string-secret and file-key-secret');
+        assert.equal(line, 'keys [REDACTED], [REDACTED] and [REDACTED]');
+        assert.deepEqual(logger.redact({ note: 'sent file-key-secret' }), { note: 'sent [REDACTED]' });
+        assert.match(logger.redact(new Error('bad key team-a-plain-secret')).message, /bad key \[REDACTED\]$/);
+    });
+
+    it('stops redacting keys that were removed', () => {
+        config.apiKeys = [{ key: 'team-a-plain-secret', label: 'team-a' }];
+        config.apiKeysFile = null;
+        loadApiKeys();
+
+        assert.equal(logger.redact('file-key-secret team-a-plain-secret'), 'file-key-secret [REDACTED]');
+    });
+});
\ No newline at end of file
@@ -0,0 +1,67 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startMockUpstream, listen, createMessage } from './helpers.js';
+
+// Upstream knows claude-* models only
+const upstream = await startMockUpstream(body => body.model.startsWith('claude-')
+    ? createMessage('ok')
+    : { status: 404, body: { type: 'error', error: { type: 'not_found_error', message: `model: ${body.model}` } } });
+process.env.UPSTREAM_URL = upstream.url;
+
+const { config } = await import('../src/config.js');
+const { loadApiKeys } = await import('../src/api-keys.js');
+const { default: app } = await import('../src/server.js');
+
+describe('metrics model label', () => {
+    let server;
+
+    before(async () => {
+        config.maxRetries = 0;
+        config.apiKeys = [{ key: 'sk-metrics', label: 'metrics' }];
+        loadApiKeys();
+        server = await listen(app);
+    });
+
+    after(async () => {
+        await server.close();
+        await upstream.close();
+    });
+
+    function chat(body, key = 'sk-metrics') {
+        return fetch(`${server.url}/v1/chat/completions`, {
+            method: 'POST',
+            headers: { 'content-type': 'application/json', authorization: `Bearer ${key}` },
+            body: JSON.stringify(body)
+        });
+    }
+
+    async function getModelLabels() {
+        const text = await (await fetch(`${server.url}/metrics`)).text();
+        return new Set([...text.matchAll(/model="([^"]*)"/g)].map(match => match[1]));
+    }
+
+    it('does not label requests rejected before validation with the model sent', async () => {
+        const messages = [{ role: 'user', content: 'hi' }];
+        assert.equal((await chat({ model: 'junk-unauthenticated', messages }, 'sk-wrong')).status, 401);
+        assert.equal((await chat({ model: 'junk-invalid' })).status, 400);
+
+        const labels = await getModelLabels();
+        assert.ok(!labels.has('junk-unauthenticated'));
+        assert.ok(!labels.has('junk-invalid'));
+    });
+
+    it('labels requests with the served model and unknown models as other', async () => {
+        const messages = [{ role: 'user', content: 'hi' }];
+        for (let i = 0; i < 5; i++) {
+            assert.equal((await chat({ model: `junk-${i}`, messages })).status, 404);
+        }
+        assert.equal((await chat({ model: 'claude-sonnet-4-5', messages })).status, 200);
+
+        const text = await (await fetch(`${server.url}/metrics`)).text();
+        assert.match(text, /adapter_requests_total\{route="\/v1\/chat\/completions",model="other",status="404"\} 5/);
+        assert.match(text, /adapter_requests_total\{route="\/v1\/chat\/completions",model="claude-sonnet-4-5",status="200"\} 1/);
+        assert.match(text, /adapter_upstream_errors_total\{model="other",status="404",code="not_found_error"\} 5/);
+        assert.match(text, /adapter_tokens_total\{model="claude-sonnet-4-5",type="prompt"\} 10/);
+        assert.deepEqual([...await getModelLabels()].filter(label => label.startsWith('junk')), []);
+    });
+});
\ No newline at end of file
@@ -0,0 +1,63 @@
+import { describe, it, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startMockUpstream, listen, createMessage } from './helpers.js';
+
+const upstream = await startMockUpstream(() => createMessage('ok'));
+process.env.UPSTREAM_URL = upstream.url;
+process.env.MODEL_ALIASES = JSON.stringify({
+    'gpt-4o': 'claude-sonnet-4-5',
+    'gpt-4o-*': 'claude-haiku-$1',
+    '/^o(\\d)$/': 'claude-opus-4-$1',
+    '/[invalid/': 'never',
+    'gpt-4o-exact': 'claude-exact'
+});
+
+const { resolveModel, matchModelPattern, listModelAliases } = await import('../src/utils/model-aliases.js');
+const { default: app } = await import('../src/server.js');
+
+describe('model aliases', () => {
+    it('resolves exact names, globs and regexes', () => {
+        assert.equal(resolveModel('gpt-4o'), 'claude-sonnet-4-5');
+        assert.equal(resolveModel('gpt-4o-mini'), 'claude-haiku-mini');
+        assert.equal(resolveModel('o1'), 'claude-opus-4-1');
+    });
+
+    it('prefers exact names over patterns', () => {
+        assert.equal(resolveModel('gpt-4o-exact'), 'claude-exact');
+    });
+
+    it('passes unknown names through', () => {
+        assert.equal(resolveModel('claude-sonnet-4-5-thinking'), 'claude-sonnet-4-5-thinking');
+    });
+
+    it('lists the exact aliases only', () => {
+        assert.deepEqual(listModelAliases().map(alias => alias.id), ['gpt-4o', 'gpt-4o-exact']);
+    });
+
+    it('matches patterns in alias syntax', () => {
+        assert.ok(matchModelPattern('claude-*', 'claude-opus-4-1'));
+        assert.ok(matchModelPattern('/^gpt/', 'gpt-4o'));
+        assert.ok(!matchModelPattern('gpt-4o', 'gpt-4o-mini'));
+        assert.ok(!matchModelPattern('/[invalid/', 'anything'));
+    });
+});
+
+describe('aliased chat requests', () => {
+    after(() => upstream.close());
+
+    it('send the upstream model and answer with the requested one', async () => {
+        const server = await listen(app);
+        try {
+            const response = await fetch(`${server.url}/v1/chat/completions`, {
+                method: 'POST',
+                headers: { 'content-type': 'application/json' },
+                body: JSON.stringify({ model: 'gpt-4o-mini', messages: [{ role: 'user', content: 'hi' }] })
+            });
+            assert.equal(response.status, 200);
+            assert.equal((await response.json()).model, 'gpt-4o-mini');
+            assert.equal(upstream.requests[0].body.model, 'claude-haiku-mini');
+        } finally {
+            await server.close();
+        }
+    });
+});
\ No newline at end of file
@@ -0,0 +1,148 @@
+import { describe, it, before, after, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startMockUpstream, listen } from './helpers.js';
+
+// A stream whose usage reports prompt cache reads and writes
+const cacheUsage = { input_tokens: 5, cache_read_input_tokens: 100, cache_creation_input_tokens: 20 };
+const upstream = await startMockUpstream(() => ({
+    events: [
+        { type: 'message_start', message: { id: 'msg_test', type: 'message', role: 'assistant', model: 'claude-sonnet-4-5', content: [], usage: { ...cacheUsage, output_tokens: 1 } } },
+        { type: 'content_block_start', index: 0, content_block: { type: 'text', text: '' } },
+        { type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text: 'cached' } },
+        { type: 'content_block_stop', index: 0 },
+        { type: 'message_delta', delta: { stop_reason: 'end_turn' }, usage: { output_tokens: 7 } },
+        { type: 'message_stop' }
+    ]
+}));
+process.env.UPSTREAM_URL = upstream.url;
+
+const { config } = await import('../src/config.js');
+const { convertOpenAIToAnthropic } = await import('../src/format/openai-to-anthropic.js');
+const { convertUsage } = await import('../src/format/anthropic-to-openai.js');
+const { default: app } = await import('../src/server.js');
+
+const ephemeral = { type: 'ephemeral' };
+const tools = ['read', 'write'].map(name => ({ type: 'function', function: { name, parameters: { type: 'object', properties: {} } } }));
+
+/**
+ * A two-turn agent conversation: the assistant called a tool, the tool answered
+ */
+function createConversation() {
+    return {
+        model: 'claude-sonnet-4-5',
+        tools,
+        messages: [
+            { role: 'system', content: 'You are a coding agent.' },
+            { role: 'user', content: 'Read the file' },
+            { role: 'assistant', content: 'Reading it', tool_calls: [{ id: 'call_1', type: 'function', function: { name: 'read', arguments: '{}' } }] },
+            { role: 'tool', tool_call_id: 'call_1', content: 'file contents' }
+        ]
+    };
+}
+
+/**
+ * Every block of a request that carries cache_control, as "<where>:<block type>"
+ */
+function findBreakpoints(anthropicRequest) {
+    const found = [];
+    for (const block of Array.isArray(anthropicRequest.system) ? anthropicRequest.system : []) {
+        if (block.cache_control) found.push(`system:${block.type}`);
+    }
+    for (const tool of anthropicRequest.tools || []) {
+        if (tool.cache_control) found.push(`tool:${tool.name}`);
+    }
+    anthropicRequest.messages.forEach((message, i) => {
+        for (const block of Array.isArray(message.content) ? message.content : []) {
+            if (block.cache_control) found.push(`message ${i}:${block.type}`);
+        }
+    });
+    return found;
+}
+
+describe('prompt caching breakpoints', () => {
+    afterEach(() => {
+        config.promptCaching = 'auto';
+    });
+
+    it('auto marks the system prompt, the last tool and the most recent stable turn', () => {
+        config.promptCaching = 'auto';
+        const anthropicRequest = convertOpenAIToAnthropic(createConversation());
+
+        assert.deepEqual(findBreakpoints(anthropicRequest), ['system:text', 'tool:write', 'message 1:tool_use']);
+        assert.deepEqual(anthropicRequest.system, [{ type: 'text', text: 'You are a coding agent.', cache_control: ephemeral }]);
+    });
+
+    it('system marks the system prompt and the last tool only', () => {
+        config.promptCaching = 'system';
+        assert.deepEqual(findBreakpoints(convertOpenAIToAnthropic(createConversation())), ['system:text', 'tool:write']);
+    });
+
+    it('off adds no breakpoint', () => {
+        config.promptCaching = 'off';
+        const anthropicRequest = convertOpenAIToAnthropic(createConversation());
+        assert.deepEqual(findBreakpoints(anthropicRequest), []);
+        assert.equal(anthropicRequest.system, 'You are a coding agent.');
+    });
+
+    it('leaves the newest message of a single-turn request alone', () => {
+        config.promptCaching = 'auto';
+        const anthropicRequest = convertOpenAIToAnthropic({ model: 'claude-sonnet-4-5', messages: [{ role: 'user', content: 'hi' }] });
+        assert.deepEqual(findBreakpoints(anthropicRequest), []);
+    });
+
+    it('does not mark thinking blocks', () => {
+        config.promptCaching = 'auto';
+        const anthropicRequest = convertOpenAIToAnthropic({
+            model: 'claude-sonnet-4-5',
+            messages: [
+                { role: 'user', content: 'first' },
+                { role: 'assistant', content: '', thinking_blocks: [{ type: 'thinking', thinking: 'hmm', signature: 'sig' }] },
+                { role: 'user', content: 'next' }
+            ]
+        });
+        assert.deepEqual(anthropicRequest.messages[1].content, [{ type: 'thinking', thinking: 'hmm', signature: 'sig' }]);
+        assert.deepEqual(findBreakpoints(anthropicRequest), []);
+    });
+});
+
+describe('prompt cache usage', () => {
+    let server;
+
+    before(async () => {
+        server = await listen(app);
+    });
+
+    after(async () => {
+        await server.close();
+        await upstream.close();
+    });
+
+    it('counts cache reads and writes in prompt_tokens and reports them separately', () => {
+        assert.deepEqual(convertUsage({ ...cacheUsage, output_tokens: 7 }), {
+            prompt_tokens: 125,
+            completion_tokens: 7,
+            total_tokens: 132,
+            prompt_tokens_details: { cached_tokens: 100, cache_creation_tokens: 20 }
+        });
+        assert.equal(convertUsage({ input_tokens: 5, output_tokens: 7 }).prompt_tokens_details, undefined);
+    });
+
+    it('reports cache usage in the usage chunk of a stream', async () => {
+        const response = await fetch(`${server.url}/v1/chat/completions`, {
+            method: 'POST',
+            headers: { 'content-type': 'application/json' },
+            body: JSON.stringify({ ...createConversation(), stream: true, stream_options: { include_usage: true } })
+        });
+        assert.equal(response.status, 200);
+
+        const chunks = (await response.text()).split('\n')
+            .filter(line => line.startsWith('data: ') && line !== 'data: [DONE]')
+            .map(line => JSON.parse(line.slice(6)));
+        const usage = chunks.find(chunk => chunk.usage && chunk.choices.length === 0).usage;
+        assert.equal(usage.prompt_tokens, 125);
+        assert.deepEqual(usage.prompt_tokens_details, { cached_tokens: 100, cache_creation_tokens: 20 });
+
+        // The request sent upstream carries the breakpoints
+        assert.deepEqual(findBreakpoints(upstream.requests[0].body), ['system:text', 'tool:write', 'message 1:tool_use']);
+    });
+});
\ No newline at end of file
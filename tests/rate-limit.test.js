@@ -0,0 +1,95 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startMockUpstream, listen, createMessage } from './helpers.js';
+
+const upstream = await startMockUpstream(() => createMessage('ok'));
+process.env.UPSTREAM_URL = upstream.url;
+
+const { config } = await import('../src/config.js');
+const { loadApiKeys, findKeyByLabel } = await import('../src/api-keys.js');
+const { default: app, executeBatchRequest } = await import('../src/server.js');
+
+describe('per-key rate limits', () => {
+    let server;
+
+    before(async () => {
+        config.rateLimitRpm = 0;
+        config.rateLimitTpm = 0;
+        config.apiKeys = [
+            { key: 'sk-rpm', label: 'rpm', rpm: 2 },
+            { key: 'sk-tpm', label: 'tpm', tpm: 20 },
+            { key: 'sk-free', label: 'free' },
+            { key: 'sk-batch', label: 'batch', rpm: 2, tpm: 100 }
+        ];
+        loadApiKeys();
+        server = await listen(app);
+    });
+
+    after(async () => {
+        await server.close();
+        await upstream.close();
+    });
+
+    function chat(key) {
+        return fetch(`${server.url}/v1/chat/completions`, {
+            method: 'POST',
+            headers: { 'content-type': 'application/json', authorization: `Bearer ${key}` },
+            body: JSON.stringify({ model: 'claude-sonnet-4-5', messages: [{ role: 'user', content: 'hi' }] })
+        });
+    }
+
+    it('rejects requests over the RPM limit with Retry-After', async () => {
+        const first = await chat('sk-rpm');
+        assert.equal(first.status, 200);
+        assert.equal(first.headers.get('x-ratelimit-limit-requests'), '2');
+        assert.equal(first.headers.get('x-ratelimit-remaining-requests'), '1');
+        assert.equal((await chat('sk-rpm')).headers.get('x-ratelimit-remaining-requests'), '0');
+
+        const limited = await chat('sk-rpm');
+        assert.equal(limited.status, 429);
+        const retryAfter = Number(limited.headers.get('retry-after'));
+        assert.ok(retryAfter >= 1 && retryAfter <= 60, `Retry-After ${retryAfter}`);
+        assert.match(limited.headers.get('x-ratelimit-reset-requests'), /^(\d+m)?[\d.]+m?s$/);
+        const { error } = await limited.json();
+        assert.equal(error.type, 'rate_limit_error');
+        assert.match(error.message, /requests per minute \(RPM\) on key rpm: Limit 2, Used 2/);
+        assert.equal(upstream.requests.length, 2);
+    });
+
+    it('rejects requests once the tokens of earlier ones exceed the TPM limit', async () => {
+        // Each completion uses 15 tokens: the second one is admitted at 15/20, the third one is not
+        const first = await chat('sk-tpm');
+        assert.equal(first.status, 200);
+        assert.equal(first.headers.get('x-ratelimit-limit-tokens'), '20');
+        assert.equal(first.headers.get('x-ratelimit-remaining-tokens'), '20');
+        assert.equal((await chat('sk-tpm')).headers.get('x-ratelimit-remaining-tokens'), '5');
+
+        const limited = await chat('sk-tpm');
+        assert.equal(limited.status, 429);
+        assert.ok(Number(limited.headers.get('retry-after')) >= 1);
+        assert.equal(limited.headers.get('x-ratelimit-remaining-tokens'), '0');
+        assert.match((await limited.json()).error.message, /tokens per minute \(TPM\) on key tpm: Limit 20, Used 30/);
+    });
+
+    it('counts batch requests and their tokens against the owning key', async () => {
+        const body = { model: 'claude-sonnet-4-5', messages: [{ role: 'user', content: 'hi' }] };
+        const result = await executeBatchRequest(body, findKeyByLabel('batch'));
+        assert.equal(result.usage.total_tokens, 15);
+
+        const response = await chat('sk-batch');
+        assert.equal(response.status, 200);
+        assert.equal(response.headers.get('x-ratelimit-remaining-requests'), '0');
+        assert.equal(response.headers.get('x-ratelimit-remaining-tokens'), '85');
+
+        const limited = await chat('sk-batch');
+        assert.equal(limited.status, 429);
+        assert.match((await limited.json()).error.message, /on key batch: Limit 2, Used 2/);
+    });
+
+    it('keeps a separate window per key and sends no headers without limits', async () => {
+        const response = await chat('sk-free');
+        assert.equal(response.status, 200);
+        assert.equal(response.headers.get('x-ratelimit-limit-requests'), null);
+        assert.equal(response.headers.get('x-ratelimit-limit-tokens'), null);
+    });
+});
\ No newline at end of file
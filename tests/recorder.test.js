@@ -0,0 +1,110 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, readdirSync, readFileSync, writeFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { startMockUpstream, listen, createMessage, waitFor } from './helpers.js';
+
+const dir = mkdtempSync(join(tmpdir(), 'adapter-recordings-'));
+const upstream = await startMockUpstream(() => createMessage('recorded answer', {
+    content: [
+        { type: 'thinking', thinking: 'let me think', signature: 'sig' },
+        { type: 'text', text: 'recorded answer' }
+    ]
+}));
+process.env.UPSTREAM_URL = upstream.url;
+process.env.RECORD_DIR = dir;
+
+const { default: app } = await import('../src/server.js');
+const { replayFile } = await import('../src/replay.js');
+
+describe('recording and replay', () => {
+    let server;
+
+    before(async () => {
+        server = await listen(app);
+    });
+
+    after(async () => {
+        await server.close();
+        await upstream.close();
+        rmSync(dir, { recursive: true, force: true });
+    });
+
+    /**
+     * Send a request and wait for the recording it produces
+     * @returns {Promise<string>} - Recording path
+     */
+    async function record(path, body) {
+        const existing = new Set(readdirSync(dir));
+        const response = await fetch(`${server.url}${path}`, {
+            method: 'POST',
+            headers: { 'content-type': 'application/json' },
+            body: JSON.stringify(body)
+        });
+        assert.equal(response.status, 200);
+        await response.text();
+
+        const name = await waitFor(() => readdirSync(dir).find(file => !existing.has(file)));
+        const file = join(dir, name);
+        // The file is complete once it parses
+        await waitFor(() => {
+            try {
+                return JSON.parse(readFileSync(file, 'utf8'));
+            } catch {
+                return false;
+            }
+        });
+        return file;
+    }
+
+    const messages = [{ role: 'user', content: 'hi' }];
+    const cases = [
+        ['/v1/chat/completions', { model: 'claude-sonnet-4-5', messages }],
+        ['/v1/chat/completions', { model: 'claude-sonnet-4-5', messages, stream: true, n: 2 }],
+        ['/v1/responses', { model: 'claude-sonnet-4-5', input: 'hi' }],
+        ['/v1/responses', { model: 'claude-sonnet-4-5', input: 'hi', stream: true }],
+        ['/v1/completions', { model: 'claude-sonnet-4-5', prompt: 'hi', stream: true }]
+    ];
+
+    for (const [path, body] of cases) {
+        it(`records ${path}${body.stream ? ' streams' : ''} and replays them without differences`, async () => {
+            const file = await record(path, body);
+            const recording = JSON.parse(readFileSync(file, 'utf8'));
+            assert.equal(recording.endpoint, path);
+            assert.equal(recording.status, 200);
+            assert.equal(recording.stream, !!body.stream);
+            assert.deepEqual(recording.request, body);
+            assert.equal(recording.choices.length, body.n || 1);
+            assert.equal(recording.choices[0].model, 'claude-sonnet-4-5');
+            assert.ok(recording.choices[0].output.length > 0);
+
+            const { choices } = await replayFile(file);
+            assert.equal(choices.length, body.n || 1);
+            for (const choice of choices) {
+                assert.deepEqual(choice.differences, []);
+            }
+        });
+    }
+
+    it('reports converter output that changed, and updates the recording on request', async () => {
+        const file = await record('/v1/chat/completions', { model: 'claude-sonnet-4-5', messages });
+        const recording = JSON.parse(readFileSync(file, 'utf8'));
+        recording.choices[0].output[0].choices[0].message.content = 'old answer';
+        writeFileSync(file, JSON.stringify(recording));
+
+        const { choices } = await replayFile(file);
+        assert.deepEqual(choices[0].differences, [
+            '$[0].choices[0].message.content: expected "old answer", got "recorded answer"'
+        ]);
+
+        await replayFile(file, { update: true });
+        assert.deepEqual((await replayFile(file)).choices[0].differences, []);
+    });
+
+    it('rejects recordings of another version', async () => {
+        const file = join(dir, 'future.json');
+        writeFileSync(file, JSON.stringify({ version: 99, choices: [] }));
+        await assert.rejects(replayFile(file), /Unsupported recording version 99/);
+    });
+});
\ No newline at end of file
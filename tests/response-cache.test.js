@@ -0,0 +1,61 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startMockUpstream, listen, createMessage } from './helpers.js';
+
+const upstream = await startMockUpstream(() => createMessage('cached answer'));
+process.env.UPSTREAM_URL = upstream.url;
+
+const { config } = await import('../src/config.js');
+const { loadApiKeys } = await import('../src/api-keys.js');
+const { default: app } = await import('../src/server.js');
+
+describe('response cache scope', () => {
+    let server;
+    let round = 0;
+
+    before(async () => {
+        config.responseCache = true;
+        config.apiKeys = [{ key: 'sk-team-a', label: 'team-a' }, { key: 'sk-team-b', label: 'team-b' }];
+        loadApiKeys();
+        server = await listen(app);
+    });
+
+    beforeEach(() => {
+        // Every test asks its own question
+        round++;
+        upstream.requests.length = 0;
+    });
+
+    after(async () => {
+        config.responseCacheShared = false;
+        await server.close();
+        await upstream.close();
+    });
+
+    async function ask(key) {
+        const response = await fetch(`${server.url}/v1/chat/completions`, {
+            method: 'POST',
+            headers: { 'content-type': 'application/json', authorization: `Bearer ${key}` },
+            body: JSON.stringify({ model: 'claude-sonnet-4-5', temperature: 0, messages: [{ role: 'user', content: `question ${round}` }] })
+        });
+        assert.equal(response.status, 200);
+        assert.equal((await response.json()).choices[0].message.content, 'cached answer');
+        return response.headers.get('x-adapter-cache');
+    }
+
+    it('keeps the entries of each API key apart', async () => {
+        assert.equal(await ask('sk-team-a'), 'miss');
+        assert.equal(await ask('sk-team-a'), 'hit');
+        assert.equal(await ask('sk-team-b'), 'miss');
+        assert.equal(await ask('sk-team-b'), 'hit');
+        assert.equal(upstream.requests.length, 2);
+    });
+
+    it('shares entries across keys with responseCacheShared', async () => {
+        config.responseCacheShared = true;
+
+        assert.equal(await ask('sk-team-a'), 'miss');
+        assert.equal(await ask('sk-team-b'), 'hit');
+        assert.equal(upstream.requests.length, 1);
+    });
+});
\ No newline at end of file
@@ -0,0 +1,61 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { findInvalidInput, convertResponsesToChat } from '../src/format/responses.js';
+import { listen } from './helpers.js';
+
+describe('findInvalidInput', () => {
+    it('accepts a string or an array of item objects', () => {
+        assert.equal(findInvalidInput('hello'), null);
+        assert.equal(findInvalidInput([{ role: 'user', content: [{ type: 'input_text', text: 'hi' }] }]), null);
+    });
+
+    it('names the malformed item', () => {
+        assert.deepEqual(findInvalidInput([{ role: 'user', content: 'hi' }, null]), {
+            message: 'input[1] must be an object',
+            param: 'input[1]'
+        });
+        assert.equal(findInvalidInput(['hi']).param, 'input[0]');
+        assert.equal(findInvalidInput([{ role: 'user', content: [{ type: 'input_text', text: 'a' }, 42] }]).param, 'input[0].content[1]');
+        assert.equal(findInvalidInput({ role: 'user' }).param, 'input');
+    });
+});
+
+describe('convertResponsesToChat', () => {
+    it('maps instructions and input items to chat messages', () => {
+        const chat = convertResponsesToChat({
+            model: 'gpt-4o',
+            instructions: 'Be brief',
+            input: [{ role: 'user', content: [{ type: 'input_text', text: 'hi' }] }]
+        });
+        assert.deepEqual(chat.messages, [
+            { role: 'system', content: 'Be brief' },
+            { role: 'user', content: [{ type: 'text', text: 'hi' }] }
+        ]);
+    });
+});
+
+describe('POST /v1/responses', () => {
+    let server;
+
+    before(async () => {
+        const { default: app } = await import('../src/server.js');
+        server = await listen(app);
+    });
+
+    after(() => server.close());
+
+    for (const input of [[null], [{ role: 'user', content: 'hi' }, 'text'], [{ role: 'user', content: [null] }]]) {
+        it(`answers 400 for input ${JSON.stringify(input)}`, async () => {
+            const response = await fetch(`${server.url}/v1/responses`, {
+                method: 'POST',
+                headers: { 'content-type': 'application/json' },
+                body: JSON.stringify({ model: 'claude-sonnet-4-5', input })
+            });
+            const body = await response.json();
+
+            assert.equal(response.status, 400);
+            assert.equal(body.error.type, 'invalid_request_error');
+            assert.match(body.error.param, /^input\[\d\]/);
+        });
+    }
+});
\ No newline at end of file
@@ -0,0 +1,27 @@
+/**
+ * Test runner
+ * Runs every tests/*.test.js file with the Node test runner, in a temporary home directory with a
+ * minimal environment - the config file, .env, files, batches and usage ledger of the machine are left alone
+ */
+
+import { spawnSync } from 'child_process';
+import { mkdtempSync, readdirSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { dirname, join } from 'path';
+import { fileURLToPath } from 'url';
+
+const testsDir = dirname(fileURLToPath(import.meta.url));
+const files = readdirSync(testsDir)
+    .filter(name => name.endsWith('.test.js'))
+    .sort()
+    .map(name => join(testsDir, name));
+
+const home = mkdtempSync(join(tmpdir(), 'antigravity-openai-adapter-tests-'));
+const result = spawnSync(process.execPath, ['--test', ...files], {
+    stdio: 'inherit',
+    cwd: home,
+    env: { PATH: process.env.PATH, HOME: home, LOG_LEVEL: 'silent', AUTO_START_PROXY: 'false' }
+});
+rmSync(home, { recursive: true, force: true });
+
+process.exit(result.status ?? 1);
\ No newline at end of file
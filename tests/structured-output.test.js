@@ -0,0 +1,105 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { convertOpenAIToAnthropic } from '../src/format/openai-to-anthropic.js';
+import { convertAnthropicToOpenAI, convertStreamEvent } from '../src/format/anthropic-to-openai.js';
+import { validateJsonSchema } from '../src/utils/json-schema.js';
+import { createMessage, toStreamEvents } from './helpers.js';
+
+const jsonObject = { type: 'json_object', toolName: 'json_response' };
+const tool = { type: 'function', function: { name: 'lookup', parameters: { type: 'object' } } };
+
+/**
+ * Stream a message through the converter
+ */
+function stream(message, responseFormat) {
+    const state = { responseFormat };
+    return toStreamEvents(message).flatMap(event => convertStreamEvent(event, 'gpt-4o', state));
+}
+
+function streamedContent(chunks) {
+    return chunks.map(chunk => chunk.choices?.[0]?.delta.content || '').join('');
+}
+
+describe('response_format conversion', () => {
+    it('forces the synthetic tool when tool_choice is none', () => {
+        const request = convertOpenAIToAnthropic({
+            model: 'gpt-4o',
+            messages: [{ role: 'user', content: 'hi' }],
+            tools: [tool],
+            tool_choice: 'none',
+            response_format: { type: 'json_object' }
+        });
+        assert.deepEqual(request.tool_choice, { type: 'tool', name: 'json_response' });
+    });
+
+    it('lets the model pick a tool when other tools are allowed', () => {
+        const request = convertOpenAIToAnthropic({
+            model: 'gpt-4o',
+            messages: [{ role: 'user', content: 'hi' }],
+            tools: [tool],
+            response_format: { type: 'json_object' }
+        });
+        assert.deepEqual(request.tool_choice, { type: 'any' });
+    });
+});
+
+describe('response_format output', () => {
+    it('rejects a non-JSON answer in every mode', () => {
+        for (const responseFormat of [jsonObject, { type: 'json_schema', toolName: 'json_response', schema: { type: 'object' }, strict: false }]) {
+            assert.throws(
+                () => convertAnthropicToOpenAI(createMessage('Sure, here it is'), 'gpt-4o', responseFormat),
+                error => error.type === 'invalid_response_format' && error.status === 500
+            );
+        }
+    });
+
+    it('accepts a JSON text answer', () => {
+        const response = convertAnthropicToOpenAI(createMessage('{"a":1}'), 'gpt-4o', jsonObject);
+        assert.equal(response.choices[0].message.content, '{"a":1}');
+    });
+
+    it('answers with the structured output alone', () => {
+        const message = createMessage('', {
+            content: [{ type: 'text', text: 'Here you go:' }, { type: 'tool_use', id: 'toolu_1', name: 'json_response', input: { a: 1 } }],
+            stop_reason: 'tool_use'
+        });
+        const response = convertAnthropicToOpenAI(message, 'gpt-4o', jsonObject);
+        assert.equal(response.choices[0].message.content, '{"a":1}');
+        assert.equal(response.choices[0].finish_reason, 'stop');
+
+        assert.equal(streamedContent(stream(message, jsonObject)), '{"a":1}');
+    });
+
+    it('passes text on with calls of the client tools', () => {
+        const message = createMessage('', {
+            content: [{ type: 'text', text: 'Looking it up' }, { type: 'tool_use', id: 'toolu_1', name: 'lookup', input: {} }],
+            stop_reason: 'tool_use'
+        });
+        const response = convertAnthropicToOpenAI(message, 'gpt-4o', jsonObject);
+        assert.equal(response.choices[0].message.content, 'Looking it up');
+        assert.equal(response.choices[0].finish_reason, 'tool_calls');
+
+        assert.equal(streamedContent(stream(message, jsonObject)), 'Looking it up');
+    });
+
+    it('streams a JSON text answer and reports a non-JSON one as an error', () => {
+        assert.equal(streamedContent(stream(createMessage('{"a":1}'), jsonObject)), '{"a":1}');
+
+        const chunks = stream(createMessage('Sure, here it is'), jsonObject);
+        assert.equal(streamedContent(chunks), '');
+        assert.ok(chunks.some(chunk => chunk.error?.type === 'invalid_response_format'));
+    });
+});
+
+describe('validateJsonSchema', () => {
+    it('follows recursive references', () => {
+        const schema = { type: 'object', properties: { children: { type: 'array', items: { $ref: '#' } } } };
+        assert.deepEqual(validateJsonSchema({ children: [{ children: [] }] }, schema), []);
+        assert.equal(validateJsonSchema({ children: [{ children: 1 }] }, schema).length, 1);
+    });
+
+    it('stops on a reference to itself', () => {
+        assert.match(validateJsonSchema({}, { $ref: '#' })[0], /nested deeper than/);
+        assert.match(validateJsonSchema({}, { anyOf: [{ $ref: '#' }] })[0], /does not match/);
+    });
+});
\ No newline at end of file
@@ -0,0 +1,94 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startMockUpstream, listen, createMessage } from './helpers.js';
+
+// The model thinks, then calls a tool
+const thinking = { type: 'thinking', thinking: 'I should look it up', signature: 'sig-1' };
+const redacted = { type: 'redacted_thinking', data: 'opaque' };
+const toolUse = { type: 'tool_use', id: 'toolu_1', name: 'lookup', input: { q: 'weather' } };
+const upstream = await startMockUpstream(() => createMessage('', { content: [thinking, redacted, toolUse], stop_reason: 'tool_use' }));
+process.env.UPSTREAM_URL = upstream.url;
+
+const { default: app } = await import('../src/server.js');
+const { convertOpenAIToAnthropic } = await import('../src/format/openai-to-anthropic.js');
+
+const tools = [{ type: 'function', function: { name: 'lookup', parameters: { type: 'object', properties: { q: { type: 'string' } } } } }];
+
+describe('thinking blocks across tool calls', () => {
+    let server;
+
+    before(async () => {
+        server = await listen(app);
+    });
+
+    beforeEach(() => {
+        upstream.requests.length = 0;
+    });
+
+    after(async () => {
+        await server.close();
+        await upstream.close();
+    });
+
+    function post(path, body) {
+        return fetch(`${server.url}${path}`, {
+            method: 'POST',
+            headers: { 'content-type': 'application/json' },
+            body: JSON.stringify({ model: 'claude-sonnet-4-5-thinking', tools, ...body })
+        });
+    }
+
+    it('sends the thinking of a chat tool call turn back ahead of its tool_use', async () => {
+        const messages = [{ role: 'user', content: 'weather?' }];
+        const first = await (await post('/v1/chat/completions', { messages })).json();
+        const assistant = first.choices[0].message;
+        assert.deepEqual(assistant.thinking_blocks, [thinking, redacted]);
+        assert.equal(assistant.tool_calls[0].id, 'toolu_1');
+
+        const second = await post('/v1/chat/completions', {
+            messages: [...messages, assistant, { role: 'tool', tool_call_id: 'toolu_1', content: 'sunny' }]
+        });
+        assert.equal(second.status, 200);
+        const sent = upstream.requests[1].body.messages;
+        assert.deepEqual(sent[1].content.map(block => block.type), ['thinking', 'redacted_thinking', 'tool_use']);
+        assert.deepEqual(sent[1].content[0], thinking);
+        assert.deepEqual(sent[1].content[1], redacted);
+        assert.equal(sent[2].content[0].type, 'tool_result');
+    });
+
+    it('sends the reasoning items of a Responses tool call turn back as thinking', async () => {
+        const input = [{ role: 'user', content: 'weather?' }];
+        const first = await (await post('/v1/responses', { input, include: ['reasoning.encrypted_content'] })).json();
+        const reasoning = first.output.filter(item => item.type === 'reasoning');
+        assert.equal(reasoning.length, 2);
+        assert.ok(reasoning.every(item => item.encrypted_content));
+
+        const call = first.output.find(item => item.type === 'function_call');
+        const second = await post('/v1/responses', {
+            input: [...input, ...first.output, { type: 'function_call_output', call_id: call.call_id, output: 'sunny' }]
+        });
+        assert.equal(second.status, 200);
+        const sent = upstream.requests[1].body.messages;
+        assert.deepEqual(sent[1].content.slice(0, 2), [thinking, redacted]);
+        assert.equal(sent[1].content[2].type, 'tool_use');
+    });
+
+    it('drops thinking that is unsigned or unknown', () => {
+        const anthropicRequest = convertOpenAIToAnthropic({
+            model: 'claude-sonnet-4-5-thinking',
+            messages: [
+                { role: 'user', content: 'weather?' },
+                {
+                    role: 'assistant',
+                    content: null,
+                    reasoning_content: 'thinking without a signature',
+                    thinking_blocks: [{ type: 'thinking', thinking: 'unsigned' }, { type: 'mystery' }, thinking],
+                    tool_calls: [{ id: 'toolu_1', type: 'function', function: { name: 'lookup', arguments: '{"q":"weather"}' } }]
+                },
+                { role: 'tool', tool_call_id: 'toolu_1', content: 'sunny' }
+            ]
+        });
+        assert.deepEqual(anthropicRequest.messages[1].content.map(block => block.type), ['thinking', 'tool_use']);
+        assert.deepEqual(anthropicRequest.messages[1].content[0], thinking);
+    });
+});
\ No newline at end of file
@@ -0,0 +1,136 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startMockUpstream, listen, createMessage } from './helpers.js';
+
+const upstream = await startMockUpstream(() => createMessage('answer', {
+    content: [
+        { type: 'thinking', thinking: 'x'.repeat(400), signature: 'sig' },
+        { type: 'text', text: 'answer' }
+    ],
+    usage: { input_tokens: 10, output_tokens: 150 }
+}));
+process.env.UPSTREAM_URL = upstream.url;
+
+const { config } = await import('../src/config.js');
+const { convertOpenAIToAnthropic } = await import('../src/format/openai-to-anthropic.js');
+const { default: app } = await import('../src/server.js');
+
+const messages = [{ role: 'user', content: 'hi' }];
+
+/**
+ * Convert a chat request and return its thinking parameter and limits
+ */
+function convert(fields) {
+    const { thinking, max_tokens, temperature, top_p } = convertOpenAIToAnthropic({ model: 'claude-sonnet-4-5', messages, ...fields });
+    return { thinking, max_tokens, temperature, top_p };
+}
+
+describe('thinking budgets', () => {
+    before(() => {
+        config.reasoningEffortBudgets = { minimal: 1024, low: 4096, medium: 12000, high: 24000 };
+        config.thinkingBudgets = { '*thinking*': 16000 };
+    });
+
+    it('maps reasoning_effort to its budget', () => {
+        assert.deepEqual(convert({ reasoning_effort: 'low' }).thinking, { type: 'enabled', budget_tokens: 4096 });
+        assert.deepEqual(convert({ reasoning_effort: 'high' }).thinking, { type: 'enabled', budget_tokens: 24000 });
+    });
+
+    it('prefers an explicit thinking parameter over reasoning_effort', () => {
+        const { thinking } = convert({ reasoning_effort: 'high', thinking: { type: 'enabled', budget_tokens: 2000 } });
+        assert.deepEqual(thinking, { type: 'enabled', budget_tokens: 2000 });
+        assert.equal(convert({ reasoning_effort: 'high', thinking: { type: 'disabled' } }).thinking, undefined);
+    });
+
+    it('falls back to the model default, which reasoning_effort none turns off', () => {
+        assert.deepEqual(convert({ model: 'claude-sonnet-4-5-thinking' }).thinking, { type: 'enabled', budget_tokens: 16000 });
+        assert.deepEqual(convert({ model: 'claude-sonnet-4-5-thinking', reasoning_effort: 'low' }).thinking, { type: 'enabled', budget_tokens: 4096 });
+        assert.equal(convert({ model: 'claude-sonnet-4-5-thinking', reasoning_effort: 'none' }).thinking, undefined);
+        assert.equal(convert({}).thinking, undefined);
+    });
+
+    it('makes room for the budget in max_tokens', () => {
+        assert.equal(convert({ reasoning_effort: 'low' }).max_tokens, 4096 + 4096);
+
+        // A client limit covers thinking and answer, the budget shrinks to fit
+        assert.deepEqual(convert({ reasoning_effort: 'high', max_tokens: 8000 }), {
+            thinking: { type: 'enabled', budget_tokens: 7999 },
+            max_tokens: 8000,
+            temperature: undefined,
+            top_p: undefined
+        });
+        assert.equal(convert({ reasoning_effort: 'high', max_tokens: 1000 }).thinking, undefined);
+    });
+
+    it('drops sampling parameters thinking does not accept', () => {
+        const converted = convert({ reasoning_effort: 'low', temperature: 0.2, top_p: 0.5 });
+        assert.equal(converted.temperature, undefined);
+        assert.equal(converted.top_p, undefined);
+
+        assert.equal(convert({ temperature: 0.2 }).temperature, 0.2);
+    });
+
+    it('skips thinking when tool use is forced', () => {
+        const tools = [{ type: 'function', function: { name: 'lookup', parameters: { type: 'object', properties: {} } } }];
+        assert.equal(convert({ reasoning_effort: 'low', tools, tool_choice: 'required' }).thinking, undefined);
+        assert.equal(convert({ reasoning_effort: 'low', response_format: { type: 'json_object' } }).thinking, undefined);
+    });
+});
+
+describe('reasoning requests', () => {
+    let server;
+
+    before(async () => {
+        server = await listen(app);
+    });
+
+    beforeEach(() => {
+        upstream.requests.length = 0;
+    });
+
+    after(async () => {
+        await server.close();
+        await upstream.close();
+    });
+
+    function post(path, body) {
+        return fetch(`${server.url}${path}`, {
+            method: 'POST',
+            headers: { 'content-type': 'application/json' },
+            body: JSON.stringify({ model: 'claude-sonnet-4-5', ...body })
+        });
+    }
+
+    it('rejects an unknown reasoning_effort', async () => {
+        const response = await post('/v1/chat/completions', { messages, reasoning_effort: 'extreme' });
+        assert.equal(response.status, 400);
+        const { error } = await response.json();
+        assert.equal(error.param, 'reasoning_effort');
+        assert.match(error.message, /none, minimal, low, medium, high/);
+        assert.equal(upstream.requests.length, 0);
+    });
+
+    it('rejects an unknown reasoning.effort in the Responses API', async () => {
+        const response = await post('/v1/responses', { input: 'hi', reasoning: { effort: 'extreme' } });
+        assert.equal(response.status, 400);
+        assert.equal((await response.json()).error.param, 'reasoning.effort');
+    });
+
+    it('sends the budget upstream and reports reasoning tokens', async () => {
+        const response = await post('/v1/chat/completions', { messages, reasoning_effort: 'medium' });
+        assert.equal(response.status, 200);
+        assert.deepEqual(upstream.requests[0].body.thinking, { type: 'enabled', budget_tokens: 12000 });
+
+        // 400 characters of thinking are estimated at 100 of the 150 output tokens
+        const { usage } = await response.json();
+        assert.equal(usage.completion_tokens, 150);
+        assert.deepEqual(usage.completion_tokens_details, { reasoning_tokens: 100 });
+    });
+
+    it('maps reasoning.effort of the Responses API', async () => {
+        const response = await post('/v1/responses', { input: 'hi', reasoning: { effort: 'minimal' } });
+        assert.equal(response.status, 200);
+        assert.deepEqual(upstream.requests[0].body.thinking, { type: 'enabled', budget_tokens: 1024 });
+        assert.equal((await response.json()).usage.output_tokens_details.reasoning_tokens, 100);
+    });
+});
\ No newline at end of file
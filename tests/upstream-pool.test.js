@@ -0,0 +1,81 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startMockUpstream, listen } from './helpers.js';
+
+let reply = null;
+const upstream = await startMockUpstream(() => reply);
+process.env.UPSTREAM_URL = upstream.url;
+
+const { config } = await import('../src/config.js');
+const { sendMessage } = await import('../src/upstream.js');
+const { getUpstreamStatus, probeUpstreams } = await import('../src/upstream-pool.js');
+const { default: app } = await import('../src/server.js');
+
+after(() => upstream.close());
+
+const request = { model: 'claude-sonnet-4-5', max_tokens: 100, messages: [{ role: 'user', content: 'hi' }] };
+
+describe('circuit breaker', () => {
+    before(() => {
+        config.maxRetries = 0;
+        config.modelFallbacks = {};
+        config.circuitBreakerThreshold = 2;
+        config.circuitBreakerCooldown = 60000;
+    });
+
+    beforeEach(() => {
+        upstream.requests.length = 0;
+    });
+
+    it('does not eject an instance answering 503 overloaded', async () => {
+        reply = { status: 503, body: { type: 'error', error: { type: 'overloaded_error', message: 'busy' } } };
+
+        for (let i = 0; i < 4; i++) {
+            await assert.rejects(sendMessage(request));
+        }
+
+        assert.equal(upstream.requests.length, 4);
+        assert.equal(getUpstreamStatus()[0].circuit, 'closed');
+        assert.equal(getUpstreamStatus()[0].consecutive_failures, 0);
+    });
+
+    it('ejects an instance after consecutive 502s', async () => {
+        reply = { status: 502, body: { type: 'error', error: { type: 'api_error', message: 'bad gateway' } } };
+
+        await assert.rejects(sendMessage(request));
+        await assert.rejects(sendMessage(request));
+        assert.equal(getUpstreamStatus()[0].circuit, 'open');
+
+        await assert.rejects(sendMessage(request), error => error.code === 'upstream_unavailable');
+        assert.equal(upstream.requests.length, 2);
+    });
+});
+
+describe('health endpoint', () => {
+    let server;
+
+    before(async () => {
+        server = await listen(app);
+    });
+
+    after(() => server.close());
+
+    async function getHealth() {
+        const response = await fetch(`${server.url}/health`);
+        assert.equal(response.status, 200);
+        return response.json();
+    }
+
+    it('reports the last probe without probing the upstreams', async () => {
+        for (let i = 0; i < 5; i++) {
+            assert.equal((await getHealth()).upstreams[0].checked_at, null);
+        }
+
+        await probeUpstreams();
+        const checkedAt = getUpstreamStatus()[0].checked_at;
+        assert.ok(checkedAt);
+        const health = await getHealth();
+        assert.equal(health.upstreams[0].checked_at, checkedAt);
+        assert.equal(health.upstreams[0].status, 'ok');
+    });
+});
\ No newline at end of file
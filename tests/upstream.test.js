@@ -0,0 +1,105 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { getEventListeners } from 'events';
+import { startMockUpstream, createMessage } from './helpers.js';
+
+// Responses of the mock upstream, taken in order (the last one repeats)
+let script = [];
+const upstream = await startMockUpstream(() => script.length > 1 ? script.shift() : script[0]);
+process.env.UPSTREAM_URL = upstream.url;
+
+const { config } = await import('../src/config.js');
+const { sendMessage, streamMessage } = await import('../src/upstream.js');
+
+after(() => upstream.close());
+
+const request = { model: 'claude-sonnet-4-5', max_tokens: 100, messages: [{ role: 'user', content: 'hi' }] };
+
+describe('upstream retries', () => {
+    before(() => {
+        config.maxRetries = 2;
+        config.retryBaseDelay = 1;
+        config.retryMaxDelay = 5;
+    });
+
+    beforeEach(() => {
+        upstream.requests.length = 0;
+    });
+
+    it('retries failed attempts without leaving listeners on the client signal', async () => {
+        const controller = new AbortController();
+
+        for (let i = 0; i < 20; i++) {
+            script = [{ status: 502, body: { type: 'error', error: { type: 'api_error', message: 'bad gateway' } } }, createMessage('ok')];
+            const { message } = await sendMessage(request, { signal: controller.signal });
+            assert.equal(message.content[0].text, 'ok');
+        }
+
+        assert.equal(upstream.requests.length, 40);
+        assert.equal(getEventListeners(controller.signal, 'abort').length, 0);
+    });
+
+    it('stops following the client signal once a stream is consumed', async () => {
+        const controller = new AbortController();
+        script = [createMessage('streamed')];
+
+        const { events } = await streamMessage(request, { signal: controller.signal });
+        assert.equal(getEventListeners(controller.signal, 'abort').length, 1);
+        for await (const event of events) {
+            assert.ok(event.type);
+        }
+
+        assert.equal(getEventListeners(controller.signal, 'abort').length, 0);
+    });
+
+    it('does not resend a request whose successful response was cut short', async () => {
+        script = [res => {
+            res.setHeader('content-type', 'application/json');
+            res.write('{"id":"msg_test","content":[');
+            setTimeout(() => res.destroy(), 10);
+        }];
+
+        await assert.rejects(sendMessage(request), error => error.code === 'upstream_unreachable');
+        assert.equal(upstream.requests.length, 1);
+    });
+
+    it('does not retry an error reported in a 200 body', async () => {
+        script = [{ type: 'error', error: { type: 'overloaded_error', message: 'busy' } }];
+
+        await assert.rejects(sendMessage(request), error => error.upstreamError?.type === 'overloaded_error');
+        assert.equal(upstream.requests.length, 1);
+    });
+});
+
+describe('upstream first byte timeout', () => {
+    before(() => {
+        config.maxRetries = 1;
+        config.firstByteTimeout = 50;
+    });
+
+    beforeEach(() => {
+        upstream.requests.length = 0;
+    });
+
+    after(() => {
+        config.firstByteTimeout = 60000;
+    });
+
+    it('does not apply to non-streaming requests', async () => {
+        script = [res => setTimeout(() => {
+            res.setHeader('content-type', 'application/json');
+            res.end(JSON.stringify(createMessage('slow')));
+        }, 150)];
+
+        const { message } = await sendMessage(request);
+        assert.equal(message.content[0].text, 'slow');
+        assert.equal(upstream.requests.length, 1);
+    });
+
+    it('retries a stream whose first event is late, then gives up with a timeout', async () => {
+        script = [() => {}];
+
+        await assert.rejects(streamMessage(request), error => error.status === 504 && error.code === 'timeout');
+        assert.equal(upstream.requests.length, 2);
+    });
+});
\ No newline at end of file
@@ -0,0 +1,70 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { existsSync, mkdtempSync, readFileSync, readdirSync, rmSync } from 'fs';
+import { homedir, tmpdir } from 'os';
+import { join } from 'path';
+import { startMockUpstream, listen, createMessage, waitFor } from './helpers.js';
+
+const upstream = await startMockUpstream(() => createMessage('ok'));
+process.env.UPSTREAM_URL = upstream.url;
+
+const { config } = await import('../src/config.js');
+const { default: app } = await import('../src/server.js');
+
+const dir = mkdtempSync(join(tmpdir(), 'adapter-ledger-'));
+
+describe('usage ledger', () => {
+    let server;
+
+    before(async () => {
+        config.adminApiKey = 'sk-admin';
+        server = await listen(app);
+    });
+
+    after(async () => {
+        await server.close();
+        await upstream.close();
+        rmSync(dir, { recursive: true, force: true });
+    });
+
+    function chat() {
+        return fetch(`${server.url}/v1/chat/completions`, {
+            method: 'POST',
+            headers: { 'content-type': 'application/json' },
+            body: JSON.stringify({ model: 'claude-sonnet-4-5', messages: [{ role: 'user', content: 'hi' }] })
+        });
+    }
+
+    it('is off by default and writes nothing to the home directory', async () => {
+        assert.equal(config.usageLedgerFile, null);
+        assert.equal((await chat()).status, 200);
+
+        const configDir = join(homedir(), '.config/antigravity-openai-adapter');
+        assert.ok(!existsSync(configDir) || !readdirSync(configDir).some(name => name.endsWith('.jsonl')));
+    });
+
+    it('records completions once a file is set and reports them', async () => {
+        config.usageLedgerFile = join(dir, 'usage.jsonl');
+        assert.equal((await chat()).status, 200);
+
+        // The record is complete once its line ends
+        const record = JSON.parse(await waitFor(() => {
+            const content = existsSync(config.usageLedgerFile) ? readFileSync(config.usageLedgerFile, 'utf8') : '';
+            return content.endsWith('\n') && content;
+        }));
+        assert.equal(record.endpoint, '/v1/chat/completions');
+        assert.equal(record.status, 200);
+        assert.equal(record.total_tokens, 15);
+
+        const report = await fetch(`${server.url}/admin/usage?group_by=model`, { headers: { authorization: 'Bearer sk-admin' } });
+        assert.deepEqual((await report.json()).data.map(({ avg_latency_ms, ...entry }) => entry), [{
+            model: 'claude-sonnet-4-5',
+            requests: 1,
+            errors: 0,
+            prompt_tokens: 10,
+            completion_tokens: 5,
+            cached_tokens: 0,
+            total_tokens: 15
+        }]);
+    });
+});
\ No newline at end of file
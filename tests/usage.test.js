@@ -0,0 +1,89 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startMockUpstream, listen, waitFor } from './helpers.js';
+
+// A stream that reports its input tokens, sends some text and never finishes
+const upstream = await startMockUpstream(() => ({
+    hang: true,
+    events: [
+        { type: 'message_start', message: { id: 'msg_test', type: 'message', role: 'assistant', model: 'claude-sonnet-4-5', content: [], usage: { input_tokens: 600, output_tokens: 1 } } },
+        { type: 'content_block_start', index: 0, content_block: { type: 'text', text: '' } },
+        { type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text: 'partial' } }
+    ]
+}));
+process.env.UPSTREAM_URL = upstream.url;
+
+const { config } = await import('../src/config.js');
+const { loadApiKeys } = await import('../src/api-keys.js');
+const { default: app } = await import('../src/server.js');
+
+const requests = {
+    '/v1/chat/completions': { model: 'claude-sonnet-4-5', stream: true, messages: [{ role: 'user', content: 'hi' }] },
+    '/v1/responses': { model: 'claude-sonnet-4-5', stream: true, input: 'hi' }
+};
+
+describe('usage of streams cut short by the client', () => {
+    let server;
+
+    before(async () => {
+        config.apiKeys = Object.keys(requests).flatMap((path, i) => [
+            { key: `sk-budget-${i}`, label: `budget-${i}`, tokenBudget: 500 },
+            { key: `sk-tpm-${i}`, label: `tpm-${i}`, tpm: 500 }
+        ]);
+        loadApiKeys();
+        server = await listen(app);
+    });
+
+    after(async () => {
+        await server.close();
+        await upstream.close();
+    });
+
+    /**
+     * Start a stream, read its first bytes and disconnect
+     */
+    async function abandonStream(path, key) {
+        const controller = new AbortController();
+        const response = await fetch(`${server.url}${path}`, {
+            method: 'POST',
+            headers: { 'content-type': 'application/json', authorization: `Bearer ${key}` },
+            body: JSON.stringify(requests[path]),
+            signal: controller.signal
+        });
+        assert.equal(response.status, 200);
+        const reader = response.body.getReader();
+        const { value } = await reader.read();
+        assert.ok(value.length > 0);
+        controller.abort();
+    }
+
+    function send(path, key) {
+        return fetch(`${server.url}${path}`, {
+            method: 'POST',
+            headers: { 'content-type': 'application/json', authorization: `Bearer ${key}` },
+            body: JSON.stringify({ ...requests[path], stream: false })
+        });
+    }
+
+    Object.keys(requests).forEach((path, i) => {
+        it(`${path} counts the reported tokens against the token budget`, async () => {
+            await abandonStream(path, `sk-budget-${i}`);
+
+            const response = await waitFor(async () => {
+                const candidate = await send(path, `sk-budget-${i}`);
+                return candidate.status === 429 && candidate;
+            });
+            assert.equal((await response.json()).error.code, 'insufficient_quota');
+        });
+
+        it(`${path} counts the reported tokens against the TPM limit`, async () => {
+            await abandonStream(path, `sk-tpm-${i}`);
+
+            const response = await waitFor(async () => {
+                const candidate = await send(path, `sk-tpm-${i}`);
+                return candidate.status === 429 && candidate;
+            });
+            assert.equal((await response.json()).error.type, 'rate_limit_error');
+        });
+    });
+});
\ No newline at end of file